@@ -0,0 +1,74 @@
+// api-errors.js
+// Maps the errors raised while handling a request to an HTTP status and
+// OpenAI's { error: { message, type, param, code } } response
+
+// Response for each error code used inside the server. code is what clients see.
+const ERROR_RESPONSES = {
+  invalid_request: { status: 400, type: 'invalid_request_error', code: null },
+  unsupported_parameter: { status: 400, type: 'invalid_request_error', code: 'unsupported_parameter' },
+  invalid_config: { status: 400, type: 'invalid_request_error', code: 'invalid_config' },
+  context_length_exceeded: { status: 400, type: 'invalid_request_error', code: 'context_length_exceeded' },
+  missing_api_key: { status: 401, type: 'invalid_request_error', code: 'missing_api_key' },
+  invalid_api_key: { status: 401, type: 'invalid_request_error', code: 'invalid_api_key' },
+  expired_api_key: { status: 401, type: 'invalid_request_error', code: 'expired_api_key' },
+  model_not_found: { status: 404, type: 'invalid_request_error', code: 'model_not_found' },
+  not_found: { status: 404, type: 'invalid_request_error', code: 'not_found' },
+  unknown_url: { status: 404, type: 'invalid_request_error', code: 'unknown_url' },
+  request_too_large: { status: 413, type: 'invalid_request_error', code: 'request_too_large' },
+  invalid_output: { status: 422, type: 'invalid_output_error', code: 'response_format_failed' },
+  rate_limit_exceeded: { status: 429, type: 'rate_limit_error', code: 'rate_limit_exceeded' },
+  insufficient_quota: { status: 429, type: 'insufficient_quota', code: 'insufficient_quota' },
+  queue_full: { status: 429, type: 'rate_limit_error', code: 'queue_full' },
+  // LiteRT failures, told apart by litert-process.js from what the binary printed
+  check_failed: { status: 500, type: 'server_error', code: 'litert_check_failed' },
+  process_error: { status: 500, type: 'server_error', code: 'litert_process_error' },
+  spawn_error: { status: 500, type: 'server_error', code: 'litert_spawn_error' },
+  backend_unsupported: { status: 501, type: 'server_error', code: 'backend_unsupported' },
+  parse_error: { status: 502, type: 'upstream_error', code: 'upstream_parse_error' },
+  model_file_not_found: { status: 503, type: 'server_error', code: 'model_file_not_found' },
+  out_of_memory: { status: 503, type: 'server_error', code: 'out_of_memory' },
+  timeout: { status: 504, type: 'timeout_error', code: 'generation_timeout' },
+};
+
+const INTERNAL_ERROR = { status: 500, type: 'server_error', code: 'internal_error' };
+
+/**
+ * Create an error with one of the codes above
+ * @param {string} code - Key of ERROR_RESPONSES
+ * @param {string} message
+ * @param {string} [param] - Request field the error is about
+ * @returns {Error}
+ */
+function apiError(code, message, param = null) {
+  const err = new Error(message);
+  err.code = code;
+  err.param = param;
+  return err;
+}
+
+/**
+ * Status and OpenAI response body for an error. Errors with codes not in
+ * the table are internal errors.
+ * @param {Error} err
+ * @returns {{status: number, body: {error: {message: string, type: string, param: (string|null), code: (string|null)}}}}
+ */
+function errorResponse(err) {
+  const response = ERROR_RESPONSES[err.code] || INTERNAL_ERROR;
+  return {
+    status: response.status,
+    body: {
+      error: {
+        message: err.message,
+        type: response.type,
+        param: err.param || null,
+        code: response.code,
+      }
+    },
+  };
+}
+
+module.exports = {
+  ERROR_RESPONSES,
+  apiError,
+  errorResponse
+};
@@ -0,0 +1,59 @@
+// audit-log.js
+// Optional record of every prompt and reply, one JSON line per LiteRT run,
+// rotated by size: audit.jsonl becomes audit.jsonl.1, .1 becomes .2, and so on
+
+const fs = require('fs');
+
+/**
+ * Open the audit log
+ * @param {Object} options
+ * @param {string} options.file - JSON lines file entries are appended to
+ * @param {number} options.maxBytes - Size at which the file is rotated
+ * @param {number} options.maxFiles - Rotated files kept besides the current one
+ * @param {function(string): string} [options.redact] - Applied to prompts and replies
+ * @returns {{write: function(Object)}}
+ */
+function createAuditLog({ file, maxBytes, maxFiles, redact = text => text }) {
+  let size = fs.existsSync(file) ? fs.statSync(file).size : 0;
+
+  function rotate() {
+    fs.rmSync(`${file}.${maxFiles}`, { force: true });
+    for (let i = maxFiles - 1; i >= 1; i--) {
+      if (fs.existsSync(`${file}.${i}`)) {
+        fs.renameSync(`${file}.${i}`, `${file}.${i + 1}`);
+      }
+    }
+    if (maxFiles > 0) {
+      fs.renameSync(file, `${file}.1`);
+    } else {
+      fs.rmSync(file, { force: true });
+    }
+    size = 0;
+  }
+
+  return {
+    /**
+     * Append an entry. Its prompt and response are redacted first.
+     * @param {Object} entry - { request_id, key, model, prompt, response, ... }
+     */
+    write(entry) {
+      const line = JSON.stringify({
+        time: new Date().toISOString(),
+        ...entry,
+        prompt: redact(entry.prompt),
+        response: redact(entry.response),
+      }) + '\n';
+      const bytes = Buffer.byteLength(line);
+      if (size > 0 && size + bytes > maxBytes) {
+        rotate();
+      }
+      // Prompts can hold anything, so only the server's user may read them
+      fs.appendFileSync(file, line, { mode: 0o600 });
+      size += bytes;
+    }
+  };
+}
+
+module.exports = {
+  createAuditLog
+};
@@ -0,0 +1,456 @@
+// batch-runner.js
+// Runs /v1/batches jobs: every request line of an uploaded JSONL file is put
+// through the local model, replies go to an output file and failures to an
+// error file. Jobs are kept as JSON files in a directory, with the lines
+// finished so far, so they carry on where they left off after a restart.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { errorResponse } = require('./api-errors');
+const { cancelledError } = require('./litert-process');
+
+// Endpoints batch lines may call
+const BATCH_ENDPOINTS = ['/v1/chat/completions'];
+
+// Completion windows a batch may ask for, in seconds
+const COMPLETION_WINDOWS = { '24h': 24 * 60 * 60 };
+
+// Times a line turned away by a full queue is tried again before it fails
+const QUEUE_RETRIES = 100;
+
+// Error for requests the completion window closed on
+const EXPIRED_ERROR = {
+  code: 'batch_expired',
+  message: 'This request could not be executed before the completion window expired.',
+};
+
+// Statuses of batches that still have work to do
+const ACTIVE_STATUSES = ['validating', 'in_progress', 'finalizing', 'cancelling'];
+
+const now = () => Math.floor(Date.now() / 1000);
+
+function invalidRequest(message, param) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  err.param = param;
+  return err;
+}
+
+/**
+ * Read the request lines of a batch input file
+ * @param {string} text - JSONL content
+ * @param {string} endpoint - URL every line must call
+ * @param {number} maxRequests - Most lines a batch may have
+ * @returns {{requests: Array<{custom_id: string, body: Object}>, errors: Array<{code: string, message: string, line: (number|null)}>}}
+ */
+function parseBatchInput(text, endpoint, maxRequests) {
+  const requests = [];
+  const errors = [];
+  const seen = new Set();
+  const fail = (code, message, line = null) => errors.push({ code, message, line });
+
+  text.split('\n').forEach((raw, i) => {
+    const line = i + 1;
+    if (!raw.trim()) return;
+    let request;
+    try {
+      request = JSON.parse(raw);
+    } catch (e) {
+      return fail('invalid_json_line', `Line ${line} is not valid JSON`, line);
+    }
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      return fail('invalid_request', `Line ${line} must be a JSON object`, line);
+    }
+    if (typeof request.custom_id !== 'string' || !request.custom_id) {
+      return fail('missing_required_parameter', `Line ${line} has no custom_id`, line);
+    }
+    if (seen.has(request.custom_id)) {
+      return fail('duplicate_custom_id', `custom_id ${JSON.stringify(request.custom_id)} is used more than once`, line);
+    }
+    seen.add(request.custom_id);
+    if (request.method !== 'POST') {
+      return fail('invalid_method', `Line ${line}: method must be "POST"`, line);
+    }
+    if (request.url !== endpoint) {
+      return fail('mismatched_endpoint', `Line ${line}: url must be the batch's endpoint, ${endpoint}`, line);
+    }
+    if (!request.body || typeof request.body !== 'object' || Array.isArray(request.body)) {
+      return fail('invalid_body', `Line ${line}: body must be a JSON object`, line);
+    }
+    requests.push({ custom_id: request.custom_id, body: request.body });
+  });
+
+  if (requests.length === 0 && errors.length === 0) {
+    fail('empty_file', 'The input file has no requests');
+  }
+  if (requests.length > maxRequests) {
+    fail('too_many_requests', `A batch may have at most ${maxRequests} requests, the input file has ${requests.length}`);
+  }
+  return { requests, errors };
+}
+
+// A batch record without the fields only the runner uses, as the API shows it
+function publicRecord(record) {
+  const { owner, outcome, ...rest } = record;
+  return rest;
+}
+
+// Wait before trying a line again, unless the batch is cancelled
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Create the batch runner. Batches run one at a time, in the order they were
+ * made, with up to `concurrency` of their requests in flight.
+ * @param {Object} options
+ * @param {string} options.dir - Directory batches and their progress are kept in
+ * @param {Object} options.files - File store (see file-store.js) input is read from and output written to
+ * @param {number} options.concurrency - Requests run at once
+ * @param {number} options.maxRequests - Most requests a batch may have
+ * @param {function(Object, Object): Promise<{status_code: number, request_id: string, body: Object}>} options.runRequest -
+ *   Runs one request body; called with (body, { batch, owner, signal }) and rejects
+ *   with code 'cancelled' when the signal aborts it. A rejection with code
+ *   'queue_full' is tried again after its retryAfter seconds, up to
+ *   QUEUE_RETRIES times and while the completion window is open.
+ * @param {Object} options.logger - Logger (see logger.js)
+ * @returns {Object} - Batch runner
+ */
+function createBatchRunner({ dir, files, concurrency, maxRequests, runRequest, logger }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const batches = new Map();
+  for (const name of fs.readdirSync(dir).filter(n => /^batch_[0-9a-f]+\.json$/.test(n))) {
+    try {
+      const record = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+      batches.set(record.id, record);
+    } catch (e) {
+      logger.warn('Could not read batch', { file: name, error: e });
+    }
+  }
+
+  let running = null; // { batch, controller } of the batch being worked on
+  let idle = Promise.resolve();
+
+  const progressFile = (batch, kind) => path.join(dir, `${batch.id}.${kind}.jsonl`);
+
+  function save(batch) {
+    const file = path.join(dir, `${batch.id}.json`);
+    const temp = path.join(dir, `.${batch.id}.json.${process.pid}.tmp`);
+    fs.writeFileSync(temp, JSON.stringify(batch, null, 2) + '\n');
+    fs.renameSync(temp, file);
+  }
+
+  // Lines written before a restart. A line cut short by a crash is dropped,
+  // so its request runs again.
+  function readProgress(batch, kind) {
+    const file = progressFile(batch, kind);
+    if (!fs.existsSync(file)) return [];
+    const lines = [];
+    for (const raw of fs.readFileSync(file, 'utf8').split('\n')) {
+      try {
+        lines.push(JSON.parse(raw));
+      } catch (e) {
+        // Blank, or cut short
+      }
+    }
+    fs.writeFileSync(file, lines.map(line => JSON.stringify(line) + '\n').join(''));
+    return lines;
+  }
+
+  function writeLine(batch, kind, customId, response, error = null) {
+    const line = { id: `batch_req_${crypto.randomBytes(12).toString('hex')}`, custom_id: customId, response, error };
+    fs.appendFileSync(progressFile(batch, kind), JSON.stringify(line) + '\n');
+  }
+
+  // Run a line, trying again while the queue is full. Resolves with null if
+  // the completion window closes first.
+  async function runLine(batch, request, signal) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await runRequest(request.body, { batch: publicRecord(batch), owner: batch.owner, signal });
+      } catch (err) {
+        if (err.code !== 'queue_full') throw err;
+        const delayMs = (err.retryAfter || 1) * 1000;
+        if (Date.now() + delayMs >= batch.expires_at * 1000) {
+          return null;
+        }
+        if (attempt >= QUEUE_RETRIES) {
+          const { status, body } = errorResponse(err);
+          return { status_code: status, request_id: err.requestId || null, body };
+        }
+        await sleep(delayMs, signal);
+      }
+    }
+  }
+
+  function fail(batch, errors) {
+    Object.assign(batch, { status: 'failed', failed_at: now(), errors: { object: 'list', data: errors } });
+    save(batch);
+  }
+
+  // Turn the progress files into output and error files, and close the batch
+  function finalize(batch) {
+    if (batch.status !== 'finalizing') {
+      batch.outcome = batch.outcome || 'completed';
+      Object.assign(batch, { status: 'finalizing', finalizing_at: now() });
+      save(batch);
+    }
+    for (const [kind, field, suffix] of [['output', 'output_file_id', 'output'], ['errors', 'error_file_id', 'error']]) {
+      const file = progressFile(batch, kind);
+      if (fs.existsSync(file) && fs.statSync(file).size > 0) {
+        const created = files.create({
+          filename: `${batch.id}_${suffix}.jsonl`,
+          purpose: 'batch_output',
+          data: fs.readFileSync(file),
+          owner: batch.owner,
+        });
+        batch[field] = created.id;
+      }
+    }
+    Object.assign(batch, { status: batch.outcome, [`${batch.outcome}_at`]: now() });
+    save(batch);
+    for (const kind of ['output', 'errors']) {
+      fs.rmSync(progressFile(batch, kind), { force: true });
+    }
+  }
+
+  async function runBatch(batch, signal) {
+    if (batch.status === 'cancelling' || batch.status === 'finalizing') {
+      return finalize(batch);
+    }
+
+    const input = files.content(batch.input_file_id);
+    if (!input) {
+      return fail(batch, [{ code: 'input_file_missing', message: `Input file ${batch.input_file_id} no longer exists`, line: null }]);
+    }
+    const { requests, errors } = parseBatchInput(input.toString('utf8'), batch.endpoint, maxRequests);
+    if (errors.length > 0) {
+      return fail(batch, errors);
+    }
+
+    const done = new Set();
+    const counts = { total: requests.length, completed: 0, failed: 0 };
+    for (const line of readProgress(batch, 'output')) {
+      done.add(line.custom_id);
+      counts.completed++;
+    }
+    for (const line of readProgress(batch, 'errors')) {
+      done.add(line.custom_id);
+      counts.failed++;
+    }
+    if (batch.status === 'validating') {
+      Object.assign(batch, { status: 'in_progress', in_progress_at: now() });
+    }
+    batch.request_counts = counts;
+    save(batch);
+
+    const pending = requests.filter(request => !done.has(request.custom_id));
+    let next = 0;
+    // A worker that fails stops the others taking new lines; the batch is
+    // failed once the lines they are running have been written
+    let failure = null;
+    const work = async () => {
+      while (next < pending.length && batch.status === 'in_progress' && !failure && batch.outcome !== 'expired') {
+        if (now() >= batch.expires_at) {
+          batch.outcome = 'expired';
+          break;
+        }
+        const request = pending[next++];
+        let outcome;
+        try {
+          outcome = await runLine(batch, request, signal);
+        } catch (err) {
+          if (err.code !== 'cancelled') failure = err;
+          return;
+        }
+        if (!outcome) {
+          // The window closed while the line waited for the queue
+          batch.outcome = 'expired';
+          writeLine(batch, 'errors', request.custom_id, null, EXPIRED_ERROR);
+          counts.failed++;
+          save(batch);
+          break;
+        }
+        const ok = outcome.status_code < 400;
+        writeLine(batch, ok ? 'output' : 'errors', request.custom_id, outcome);
+        counts[ok ? 'completed' : 'failed']++;
+        save(batch);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, work));
+    if (failure) {
+      throw failure;
+    }
+
+    // Requests left when the window closed are reported as failed
+    if (batch.outcome === 'expired') {
+      for (const request of pending.slice(next)) {
+        writeLine(batch, 'errors', request.custom_id, null, EXPIRED_ERROR);
+        counts.failed++;
+      }
+    }
+    finalize(batch);
+  }
+
+  // Work through the active batches one at a time
+  function pump() {
+    if (running) return;
+    const batch = Array.from(batches.values())
+      .filter(b => ACTIVE_STATUSES.includes(b.status))
+      .sort((a, b) => a.created_at - b.created_at)[0];
+    if (!batch) return;
+
+    const controller = new AbortController();
+    running = { batch, controller };
+    idle = runBatch(batch, controller.signal)
+      .catch((err) => {
+        logger.error('Batch failed', { batch_id: batch.id, error: err });
+        fail(batch, [{ code: 'internal_error', message: err.message, line: null }]);
+      })
+      .finally(() => {
+        running = null;
+        pump();
+      });
+  }
+
+  return {
+    /**
+     * Pick up the batches that were active when the server last stopped
+     */
+    resume() {
+      pump();
+    },
+
+    /**
+     * Create a batch and queue it
+     * @param {Object} spec
+     * @param {string} spec.input_file_id - File of request lines, uploaded with purpose "batch"
+     * @param {string} spec.endpoint - Endpoint the lines call (see BATCH_ENDPOINTS)
+     * @param {string} spec.completion_window - Key of COMPLETION_WINDOWS
+     * @param {Object} [spec.metadata]
+     * @param {(string|null)} [owner] - Id of the API key that made it
+     * @returns {Object} - Batch object
+     */
+    create({ input_file_id, endpoint, completion_window, metadata = null }, owner = null) {
+      const input = files.get(input_file_id, owner);
+      if (!input) {
+        throw invalidRequest(`No file with id ${input_file_id}`, 'input_file_id');
+      }
+      if (input.purpose !== 'batch') {
+        throw invalidRequest(`File ${input_file_id} was not uploaded with purpose "batch"`, 'input_file_id');
+      }
+      // Checked again when the batch runs, in case the file is gone by then
+      const { errors } = parseBatchInput(files.content(input_file_id).toString('utf8'), endpoint, maxRequests);
+      if (errors.length > 0) {
+        const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+        const err = invalidRequest(`File ${input_file_id} is not a valid batch input: ${errors[0].message}${more}`, 'input_file_id');
+        err.errors = errors;
+        throw err;
+      }
+      const createdAt = now();
+      const batch = {
+        id: `batch_${crypto.randomBytes(12).toString('hex')}`,
+        object: 'batch',
+        endpoint,
+        errors: null,
+        input_file_id,
+        completion_window,
+        status: 'validating',
+        output_file_id: null,
+        error_file_id: null,
+        created_at: createdAt,
+        in_progress_at: null,
+        expires_at: createdAt + COMPLETION_WINDOWS[completion_window],
+        finalizing_at: null,
+        completed_at: null,
+        failed_at: null,
+        expired_at: null,
+        cancelling_at: null,
+        cancelled_at: null,
+        request_counts: { total: 0, completed: 0, failed: 0 },
+        metadata,
+        owner,
+      };
+      batches.set(batch.id, batch);
+      save(batch);
+      const created = publicRecord(batch);
+      pump();
+      return created;
+    },
+
+    /**
+     * Look up a batch
+     * @param {string} id
+     * @param {(string|null)} [owner] - Only find batches made by this key
+     * @returns {(Object|null)}
+     */
+    get(id, owner) {
+      const batch = batches.get(id);
+      return batch && (owner === undefined || batch.owner === owner) ? publicRecord(batch) : null;
+    },
+
+    /**
+     * List batches, newest first
+     * @param {(string|null)} [owner]
+     * @returns {Object[]}
+     */
+    list(owner) {
+      return Array.from(batches.values())
+        .filter(batch => owner === undefined || batch.owner === owner)
+        .sort((a, b) => b.created_at - a.created_at || (a.id < b.id ? 1 : -1))
+        .map(publicRecord);
+    },
+
+    /**
+     * Cancel a batch. Requests already running are stopped, and what finished
+     * is still written to the output and error files.
+     * @param {string} id
+     * @param {(string|null)} [owner]
+     * @returns {(Object|null)} - The batch, or null if there is no such batch
+     */
+    cancel(id, owner) {
+      const batch = batches.get(id);
+      if (!batch || (owner !== undefined && batch.owner !== owner)) return null;
+      if (batch.status === 'cancelling' || batch.status === 'cancelled') {
+        return publicRecord(batch);
+      }
+      if (batch.status !== 'validating' && batch.status !== 'in_progress') {
+        throw invalidRequest(`A batch with status ${batch.status} can't be cancelled`);
+      }
+      Object.assign(batch, { status: 'cancelling', cancelling_at: now(), outcome: 'cancelled' });
+      save(batch);
+      if (running && running.batch === batch) {
+        running.controller.abort();
+      } else {
+        finalize(batch);
+      }
+      return publicRecord(batch);
+    },
+
+    /**
+     * Resolves once no batch is being worked on, for tests and shutdown
+     * @returns {Promise}
+     */
+    idle() {
+      return idle.then(() => (running ? this.idle() : undefined));
+    }
+  };
+}
+
+module.exports = {
+  BATCH_ENDPOINTS,
+  COMPLETION_WINDOWS,
+  parseBatchInput,
+  createBatchRunner
+};
@@ -0,0 +1,259 @@
+// chat-templates.js
+// Turn formats used to render OpenAI chat messages into a prompt for each model family
+
+/**
+ * Built-in templates. Each role format contains a {content} placeholder.
+ * A template with system: null has no system role; system messages are
+ * merged into the first user turn instead. Generation is cut at any of the
+ * template's stop strings, so the model can't run on into a made-up turn.
+ * Tool calls are written between tool_call_start and tool_call_end, and tool
+ * results are rendered with the "tool" format. Image content parts are
+ * written as the "image" placeholder, where the binary puts the image.
+ */
+const BUILTIN_TEMPLATES = {
+  gemma: {
+    system: null,
+    user: '<start_of_turn>user\n{content}<end_of_turn>\n',
+    assistant: '<start_of_turn>model\n{content}<end_of_turn>\n',
+    generation_prompt: '<start_of_turn>model\n',
+    stop: ['<end_of_turn>', '<start_of_turn>'],
+    tool: '<start_of_turn>user\n```tool_output\n{content}\n```<end_of_turn>\n',
+    tool_call_start: '```tool_call\n',
+    tool_call_end: '\n```',
+    image: '<start_of_image>',
+  },
+  phi: {
+    system: '<|system|>\n{content}<|end|>\n',
+    user: '<|user|>\n{content}<|end|>\n',
+    assistant: '<|assistant|>\n{content}<|end|>\n',
+    generation_prompt: '<|assistant|>\n',
+    stop: ['<|end|>', '<|user|>', '<|endoftext|>'],
+    tool_call_start: '<|tool_call|>',
+    tool_call_end: '<|/tool_call|>',
+  },
+  qwen: {
+    system: '<|im_start|>system\n{content}<|im_end|>\n',
+    user: '<|im_start|>user\n{content}<|im_end|>\n',
+    assistant: '<|im_start|>assistant\n{content}<|im_end|>\n',
+    generation_prompt: '<|im_start|>assistant\n',
+    stop: ['<|im_end|>', '<|im_start|>'],
+    tool: '<|im_start|>user\n<tool_response>\n{content}\n</tool_response><|im_end|>\n',
+    tool_call_start: '<tool_call>\n',
+    tool_call_end: '\n</tool_call>',
+  },
+  generic: {
+    system: 'System: {content}\n\n',
+    user: 'User: {content}\n\n',
+    assistant: 'Assistant: {content}\n\n',
+    generation_prompt: 'Assistant:',
+    stop: ['\nUser:', '\nSystem:', '\nTool:'],
+    tool: 'Tool: {content}\n\n',
+    trim: true,
+  },
+};
+
+/**
+ * Pick a built-in template from a model's id or file name
+ * @param {string} name - Model id or path
+ * @returns {string} - Template name
+ */
+function detectTemplate(name) {
+  const lower = name.toLowerCase();
+  for (const family of ['gemma', 'phi', 'qwen']) {
+    if (lower.includes(family)) {
+      return family;
+    }
+  }
+  return 'generic';
+}
+
+// Put content into a format. A replacer function keeps "$" in the content literal.
+function fill(format, content) {
+  return format.replace('{content}', () => content);
+}
+
+/**
+ * Check a template definition and fill in optional fields
+ * @param {Object} template - Template from the config file
+ * @param {string} name - Name used in error messages
+ * @returns {Object} - Validated template
+ */
+function validateTemplate(template, name) {
+  if (!template || typeof template !== 'object') {
+    throw new Error(`Chat template "${name}" must be an object`);
+  }
+  for (const role of ['user', 'assistant']) {
+    if (typeof template[role] !== 'string' || !template[role].includes('{content}')) {
+      throw new Error(`Chat template "${name}" needs a "${role}" format containing {content}`);
+    }
+  }
+  if (template.system != null && (typeof template.system !== 'string' || !template.system.includes('{content}'))) {
+    throw new Error(`Chat template "${name}" has a "system" format without {content}`);
+  }
+  if (template.stop != null && (!Array.isArray(template.stop) || template.stop.some(s => typeof s !== 'string'))) {
+    throw new Error(`Chat template "${name}" has a "stop" that is not an array of strings`);
+  }
+  if (template.tool != null && (typeof template.tool !== 'string' || !template.tool.includes('{content}'))) {
+    throw new Error(`Chat template "${name}" has a "tool" format without {content}`);
+  }
+  if (template.image != null && (typeof template.image !== 'string' || !template.image)) {
+    throw new Error(`Chat template "${name}" has an empty "image"`);
+  }
+  for (const marker of ['tool_call_start', 'tool_call_end']) {
+    if (template[marker] != null && (typeof template[marker] !== 'string' || !template[marker].trim())) {
+      throw new Error(`Chat template "${name}" has an empty "${marker}"`);
+    }
+  }
+
+  return {
+    system: template.system == null ? null : template.system,
+    user: template.user,
+    assistant: template.assistant,
+    generation_prompt: template.generation_prompt || '',
+    stop: template.stop || [],
+    // Without a tool format, tool results go in a user turn
+    tool: template.tool || fill(template.user, '<tool_response>\n{content}\n</tool_response>'),
+    tool_call_start: template.tool_call_start || '<tool_call>',
+    tool_call_end: template.tool_call_end || '</tool_call>',
+    image: template.image || '<image>',
+    trim: Boolean(template.trim),
+  };
+}
+
+/**
+ * Look up a template by name, or validate an inline template definition
+ * @param {(string|Object)} spec - Template name or definition
+ * @param {Object} [customTemplates] - User-defined templates by name
+ * @returns {Object} - Template
+ */
+function resolveTemplate(spec, customTemplates = {}) {
+  if (typeof spec === 'object') {
+    return validateTemplate(spec, 'inline');
+  }
+  if (Object.prototype.hasOwnProperty.call(customTemplates, spec)) {
+    return validateTemplate(customTemplates[spec], spec);
+  }
+  if (Object.prototype.hasOwnProperty.call(BUILTIN_TEMPLATES, spec)) {
+    return validateTemplate(BUILTIN_TEMPLATES[spec], spec);
+  }
+  throw new Error(`Unknown chat template "${spec}"`);
+}
+
+/**
+ * Turn OpenAI's "developer" messages, the newer name for system messages,
+ * into system messages
+ * @param {Array} messages - OpenAI chat messages
+ * @returns {Array} - New messages array
+ */
+function normalizeRoles(messages) {
+  return messages.map(m => (m.role === 'developer' ? { ...m, role: 'system' } : m));
+}
+
+/**
+ * Add instructions to a conversation's system message, or start one
+ * @param {Array} messages - OpenAI chat messages
+ * @param {string} text - Instructions to add
+ * @returns {Array} - New messages array
+ */
+function appendSystemText(messages, text) {
+  const systemIndex = messages.findIndex(m => m.role === 'system');
+  if (systemIndex === -1) {
+    return [{ role: 'system', content: text }, ...messages];
+  }
+  const updated = [...messages];
+  const content = messages[systemIndex].content;
+  updated[systemIndex] = {
+    ...messages[systemIndex],
+    content: Array.isArray(content) ? [...content, { type: 'text', text: `\n${text}` }] : `${content}\n\n${text}`,
+  };
+  return updated;
+}
+
+/**
+ * Write an assistant message's tool calls out the way the template expects them
+ * @param {Object} message - OpenAI assistant message with tool_calls
+ * @param {Object} template
+ * @returns {string}
+ */
+function renderToolCalls(message, template) {
+  const calls = message.tool_calls.map((call) => {
+    let args = call.function.arguments;
+    try {
+      args = JSON.parse(args);
+    } catch (e) {
+      // Not JSON, pass the arguments on as a string
+    }
+    const json = JSON.stringify({ name: call.function.name, arguments: args });
+    return `${template.tool_call_start || '<tool_call>'}${json}${template.tool_call_end || '</tool_call>'}`;
+  });
+  return [message.content || '', ...calls].filter(Boolean).join('\n');
+}
+
+/**
+ * Render message content, which is a string or an array of content parts.
+ * Parts are joined by newlines, with images written as the template's placeholder.
+ * @param {(string|Array|null)} content
+ * @param {Object} template
+ * @returns {string}
+ */
+function renderContent(content, template) {
+  if (!Array.isArray(content)) {
+    return content == null ? '' : content;
+  }
+  return content.map((part) => {
+    if (part && part.type === 'image_url') return template.image || '<image>';
+    return (part && part.text) || '';
+  }).join('\n');
+}
+
+/**
+ * Convert OpenAI messages to a single prompt using a chat template
+ * @param {Array} messages - OpenAI chat messages
+ * @param {Object} [template] - Template to render with (defaults to generic)
+ * @returns {string} - Rendered prompt
+ */
+function messagesToPrompt(messages, template = BUILTIN_TEMPLATES.generic) {
+  let turns = messages
+    .filter(m => ['system', 'user', 'assistant', 'tool'].includes(m.role))
+    .map((m) => {
+      if (m.role === 'assistant' && Array.isArray(m.tool_calls) && m.tool_calls.length > 0) {
+        return { role: 'assistant', content: renderToolCalls({ ...m, content: renderContent(m.content, template) }, template) };
+      }
+      return { role: m.role, content: renderContent(m.content, template) };
+    });
+
+  // Models without a system role get the system text at the start of the first user turn
+  if (!template.system) {
+    const system = turns.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    turns = turns.filter(m => m.role !== 'system');
+    if (system) {
+      const firstUser = turns.findIndex(m => m.role === 'user');
+      if (firstUser === -1) {
+        turns.unshift({ role: 'user', content: system });
+      } else {
+        turns[firstUser] = { ...turns[firstUser], content: `${system}\n\n${turns[firstUser].content}` };
+      }
+    }
+  }
+
+  let prompt = '';
+  for (const message of turns) {
+    prompt += fill(template[message.role], message.content);
+  }
+
+  // Add final prompt for the assistant to respond
+  if (messages[messages.length - 1].role !== 'assistant') {
+    prompt += template.generation_prompt;
+  }
+
+  return template.trim ? prompt.trim() : prompt;
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES,
+  detectTemplate,
+  resolveTemplate,
+  appendSystemText,
+  normalizeRoles,
+  messagesToPrompt
+};
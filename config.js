@@ -0,0 +1,245 @@
+// config.js
+// Server settings: defaults, overridden by environment variables, overridden
+// by an optional JSON config file. Settings are checked as a whole, so a bad
+// file is turned away with every problem listed instead of half applied.
+
+const fs = require('fs');
+const path = require('path');
+const { validateSchema } = require('./response-format');
+const { parseSamplingFlags } = require('./sampling');
+const { CONTEXT_STRATEGIES } = require('./context-window');
+const { LEVELS } = require('./logger');
+const { REDACTION_PATTERNS, createRedactor } = require('./redaction');
+
+const string = { type: 'string' };
+const optionalString = { type: ['string', 'null'] };
+const integer = (minimum) => ({ type: 'integer', minimum });
+const boolean = { type: 'boolean' };
+const stringList = { type: 'array', items: { type: 'string' } };
+
+// Every setting: the environment variable it is read from, its default and
+// the schema its value must match. restart marks settings that are only read
+// at startup, so a new value waits for the next restart; secret ones are
+// masked when shown. In the config file settings go by these names.
+const SETTINGS = {
+  port: { env: 'PORT', default: 3000, schema: { type: 'integer', minimum: 0, maximum: 65535 }, restart: true },
+  litert_binary: { env: 'LITERT_BINARY', default: './litert_lm_main', schema: string, restart: true },
+  model_path: { env: 'MODEL_PATH', default: 'gemma-3n-e4b-it-int4.litertlm', schema: string },
+  backend: { env: 'BACKEND', default: 'cpu', schema: string },
+  models_config: { env: 'MODELS_CONFIG', default: './models.json', schema: string },
+  models_dir: { env: 'MODELS_DIR', default: null, schema: optionalString },
+  default_model: { env: 'DEFAULT_MODEL', default: null, schema: optionalString },
+  output_profile: { env: 'OUTPUT_PROFILE', default: 'litert-lm', schema: string },
+  max_concurrent: { env: 'MAX_CONCURRENT', default: 1, schema: integer(1) },
+  max_queue: { env: 'MAX_QUEUE', default: 16, schema: integer(0) },
+  request_timeout: { env: 'REQUEST_TIMEOUT_MS', default: 120000, schema: integer(1) },
+  sampling_flags: { env: 'SAMPLING_FLAGS', default: '', schema: string },
+  strict_params: { env: 'STRICT_PARAMS', default: false, schema: boolean },
+  context_strategy: { env: 'CONTEXT_STRATEGY', default: 'reject', schema: { enum: CONTEXT_STRATEGIES } },
+  context_reserve: { env: 'CONTEXT_RESERVE_TOKENS', default: 256, schema: integer(0) },
+  context_summary_model: { env: 'CONTEXT_SUMMARY_MODEL', default: null, schema: optionalString },
+  context_summary_tokens: { env: 'CONTEXT_SUMMARY_TOKENS', default: 256, schema: integer(1) },
+  response_cache: { env: 'RESPONSE_CACHE', default: false, schema: boolean, restart: true },
+  response_cache_max_entries: { env: 'RESPONSE_CACHE_MAX_ENTRIES', default: 1000, schema: integer(1), restart: true },
+  response_cache_ttl: { env: 'RESPONSE_CACHE_TTL_MS', default: 3600000, schema: integer(0), restart: true },
+  response_cache_dir: { env: 'RESPONSE_CACHE_DIR', default: null, schema: optionalString, restart: true },
+  json_max_attempts: { env: 'JSON_MAX_ATTEMPTS', default: 3, schema: integer(1) },
+  worker_pool: { env: 'WORKER_POOL', default: false, schema: boolean, restart: true },
+  worker_args: { env: 'WORKER_ARGS', default: [], schema: stringList, separator: ' ', restart: true },
+  workers_per_model: { env: 'WORKERS_PER_MODEL', default: 1, schema: integer(1), restart: true },
+  worker_max_requests: { env: 'WORKER_MAX_REQUESTS', default: 100, schema: integer(0), restart: true },
+  worker_ready_marker: { env: 'WORKER_READY_MARKER', default: '>>> ', schema: string, restart: true },
+  worker_startup_timeout: { env: 'WORKER_STARTUP_TIMEOUT_MS', default: 60000, schema: integer(1), restart: true },
+  api_key: { env: 'API_KEY', default: null, schema: optionalString, secret: true },
+  keys_file: { env: 'KEYS_FILE', default: './keys.json', schema: string, restart: true },
+  usage_ledger: { env: 'USAGE_LEDGER', default: './usage.jsonl', schema: string, restart: true },
+  admin_key: { env: 'ADMIN_KEY', default: null, schema: optionalString, secret: true },
+  image_flag: { env: 'IMAGE_FLAG', default: '--image_file', schema: string },
+  image_dir: { env: 'IMAGE_DIR', default: null, schema: optionalString },
+  body_limit: { env: 'MAX_BODY_SIZE', default: '20mb', schema: string, restart: true },
+  log_level: { env: 'LOG_LEVEL', default: 'info', schema: { enum: Object.keys(LEVELS) }, restart: true },
+  audit_log: { env: 'AUDIT_LOG', default: null, schema: optionalString, restart: true },
+  audit_log_max_bytes: { env: 'AUDIT_LOG_MAX_BYTES', default: 10485760, schema: integer(1), restart: true },
+  audit_log_max_files: { env: 'AUDIT_LOG_MAX_FILES', default: 5, schema: integer(0), restart: true },
+  log_redact: {
+    env: 'LOG_REDACT',
+    default: ['email', 'phone', 'credit_card', 'secret'],
+    schema: { type: 'array', items: { enum: Object.keys(REDACTION_PATTERNS) } },
+    separator: ',',
+    restart: true,
+  },
+  log_redact_pattern: { env: 'LOG_REDACT_PATTERN', default: null, schema: optionalString, restart: true },
+  files_dir: { env: 'FILES_DIR', default: './files', schema: string, restart: true },
+  file_size_limit: { env: 'MAX_FILE_SIZE', default: '100mb', schema: string, restart: true },
+  batches_dir: { env: 'BATCHES_DIR', default: './batches', schema: string, restart: true },
+  batch_concurrency: { env: 'BATCH_CONCURRENCY', default: 1, schema: integer(1), restart: true },
+  batch_priority: { env: 'BATCH_PRIORITY', default: -1, schema: { type: 'integer' } },
+  batch_max_requests: { env: 'BATCH_MAX_REQUESTS', default: 50000, schema: integer(1), restart: true },
+};
+
+// Shown instead of a secret. Sent back in an update, it keeps the secret as it was.
+const SECRET_MASK = '********';
+
+// A setting's value from its environment variable. Numbers that don't parse
+// are left as strings, so they fail the schema instead of becoming NaN.
+function fromEnv(setting, raw) {
+  const type = setting.schema.type;
+  if (type === 'integer') {
+    return /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+  }
+  if (type === 'boolean') {
+    return raw === 'true';
+  }
+  if (type === 'array') {
+    return raw.split(setting.separator).map(s => s.trim()).filter(Boolean);
+  }
+  return raw;
+}
+
+/**
+ * Settings from the defaults and the environment
+ * @param {Object} env - Environment variables, such as process.env
+ * @returns {Object}
+ */
+function envSettings(env) {
+  const settings = {};
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    settings[name] = env[setting.env] !== undefined ? fromEnv(setting, env[setting.env]) : setting.default;
+  }
+  // DEBUG=true predates LOG_LEVEL
+  if (env.LOG_LEVEL === undefined && env.DEBUG === 'true') {
+    settings.log_level = 'debug';
+  }
+  return settings;
+}
+
+/**
+ * Read a config file: a JSON object of settings by name. A missing file is
+ * the same as an empty one.
+ * @param {string} file
+ * @returns {Object}
+ */
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  const text = fs.readFileSync(file, 'utf8');
+  let values;
+  try {
+    values = text.trim() ? JSON.parse(text) : {};
+  } catch (e) {
+    const err = new Error(`${file} is not valid JSON: ${e.message}`);
+    err.errors = [{ setting: null, message: err.message }];
+    throw err;
+  }
+  if (!values || typeof values !== 'object' || Array.isArray(values)) {
+    const err = new Error(`${file} must contain a JSON object of settings`);
+    err.errors = [{ setting: null, message: err.message }];
+    throw err;
+  }
+  return values;
+}
+
+/**
+ * Check settings and work out the configuration the server runs with
+ * @param {Object} settings - Every setting by name (envSettings() with overrides)
+ * @returns {{config: (Object|null), errors: Array<{setting: (string|null), message: string}>}}
+ */
+function resolveConfig(settings) {
+  const errors = [];
+  for (const [name, value] of Object.entries(settings)) {
+    if (!SETTINGS[name]) {
+      errors.push({ setting: name, message: `${name} is not a setting` });
+      continue;
+    }
+    for (const message of validateSchema(value, SETTINGS[name].schema, name)) {
+      errors.push({ setting: name, message });
+    }
+  }
+
+  const config = { ...settings };
+  try {
+    config.sampling_flags = parseSamplingFlags(settings.sampling_flags);
+  } catch (e) {
+    if (typeof settings.sampling_flags === 'string') {
+      errors.push({ setting: 'sampling_flags', message: e.message });
+    }
+  }
+  if (typeof settings.log_redact_pattern === 'string') {
+    try {
+      createRedactor([], settings.log_redact_pattern);
+    } catch (e) {
+      errors.push({ setting: 'log_redact_pattern', message: e.message });
+    }
+  }
+  // BACKEND=mock swaps the binary for mock-litert.js, which needs no model
+  if (settings.backend === 'mock') {
+    config.litert_binary = path.join(__dirname, 'mock-litert.js');
+  }
+  return errors.length > 0 ? { config: null, errors } : { config, errors };
+}
+
+/**
+ * Settings that differ between two sets, with secrets masked
+ * @param {Object} from
+ * @param {Object} to
+ * @returns {Array<{setting: string, from: *, to: *}>}
+ */
+function diffSettings(from, to) {
+  const shown = (name, value) => (SETTINGS[name] && SETTINGS[name].secret && value ? SECRET_MASK : value);
+  return Object.keys({ ...from, ...to })
+    .filter(name => JSON.stringify(from[name]) !== JSON.stringify(to[name]))
+    .map(name => ({ setting: name, from: shown(name, from[name]), to: shown(name, to[name]) }));
+}
+
+/**
+ * Settings as the admin API shows them, with secrets masked
+ * @param {Object} settings
+ * @returns {Object}
+ */
+function maskSettings(settings) {
+  const masked = {};
+  for (const [name, value] of Object.entries(settings)) {
+    masked[name] = SETTINGS[name] && SETTINGS[name].secret && value ? SECRET_MASK : value;
+  }
+  return masked;
+}
+
+/**
+ * Call onChange when a file is written, renamed into place or removed. The
+ * directory is watched rather than the file, as editors often replace a file
+ * instead of writing to it. Changes within a short window are reported once.
+ * @param {string} file
+ * @param {function()} onChange
+ * @returns {{close: function()}}
+ */
+function watchFile(file, onChange) {
+  const dir = path.dirname(path.resolve(file));
+  const name = path.basename(file);
+  let timer = null;
+  const watcher = fs.watch(dir, (event, changed) => {
+    if (changed && changed !== name) return;
+    clearTimeout(timer);
+    timer = setTimeout(onChange, 100);
+    timer.unref();
+  });
+  // Watching shouldn't keep the process alive on its own
+  watcher.unref();
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    }
+  };
+}
+
+module.exports = {
+  SETTINGS,
+  SECRET_MASK,
+  envSettings,
+  readConfigFile,
+  resolveConfig,
+  diffSettings,
+  maskSettings,
+  watchFile
+};
@@ -0,0 +1,186 @@
+// content-parts.js
+// OpenAI message content given as an array of parts: checks the parts against
+// what a model accepts, and gets image parts into files the binary can read
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Input a model can declare in its "modalities"
+const MODALITIES = ['text', 'image'];
+
+// Modality each content part type needs
+const PART_MODALITIES = {
+  text: 'text',
+  image_url: 'image',
+};
+
+// Image formats recognised from their first bytes
+const IMAGE_FORMATS = [
+  { extension: '.png', matches: buf => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { extension: '.jpg', matches: buf => buf.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { extension: '.gif', matches: buf => buf.subarray(0, 4).toString('latin1') === 'GIF8' },
+  { extension: '.webp', matches: buf => buf.subarray(0, 4).toString('latin1') === 'RIFF' && buf.subarray(8, 12).toString('latin1') === 'WEBP' },
+];
+
+function invalidRequest(message, param) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  err.param = param;
+  return err;
+}
+
+// URL of an image_url part, which OpenAI allows as a string or { url, detail }
+function imageUrl(part) {
+  const value = part.image_url;
+  return typeof value === 'string' ? value : value && value.url;
+}
+
+/**
+ * Plain text of message content. Text parts are joined by newlines and
+ * images are written as "[image]", for places that have no use for them.
+ * @param {(string|Array|null)} content
+ * @returns {string}
+ */
+function contentText(content) {
+  if (!Array.isArray(content)) {
+    return content == null ? '' : String(content);
+  }
+  return content
+    .map(part => (part && part.type === 'image_url' ? '[image]' : (part && part.text) || ''))
+    .join('\n');
+}
+
+// Read the image an image_url part points at: a base64 data URL, or a file
+// inside imageDir given as a path or file:// URL
+function readImage(url, imageDir, param) {
+  const dataUrl = url.match(/^data:([^;,]*)(;base64)?,(.*)$/s);
+  if (dataUrl) {
+    if (!dataUrl[2]) {
+      throw invalidRequest('Image data URLs must be base64 encoded', param);
+    }
+    return { data: Buffer.from(dataUrl[3], 'base64'), file: null };
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(url) && !url.startsWith('file://')) {
+    throw invalidRequest('Images must be given as data URLs or local file paths; they are not downloaded', param);
+  }
+  if (!imageDir) {
+    throw invalidRequest('Local image files are not enabled on this server', param);
+  }
+  const file = url.startsWith('file://') ? decodeURIComponent(new URL(url).pathname) : url;
+  let real;
+  try {
+    real = fs.realpathSync(path.resolve(imageDir, file));
+  } catch (e) {
+    throw invalidRequest(`Image file ${file} does not exist`, param);
+  }
+  // Resolved through symlinks, so a link can't point out of the directory
+  const relative = path.relative(fs.realpathSync(imageDir), real);
+  if (relative.startsWith('..') || path.isAbsolute(relative)) {
+    throw invalidRequest(`Image file ${file} is outside the image directory`, param);
+  }
+  return { data: fs.readFileSync(real), file: real };
+}
+
+/**
+ * Check message content against what a model accepts, and write the images
+ * it holds to files. Content is a string or an array of parts: { type: "text",
+ * text } anywhere, and { type: "image_url", image_url: { url } } in user
+ * messages of models whose modalities include "image".
+ * @param {Array} messages - OpenAI chat messages
+ * @param {Object} model - Registry entry
+ * @param {Object} [options]
+ * @param {string} [options.imageDir] - Directory local image paths may point into
+ * @returns {{messages: Array, cleanup: function()}} - The messages, with each image
+ *   part given a file ({ path, sha256 }), and a function that removes the files
+ *   made for them
+ */
+function resolveContent(messages, model, { imageDir } = {}) {
+  let tempDir = null;
+  const cleanup = () => {
+    if (tempDir) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      tempDir = null;
+    }
+  };
+
+  const saveImage = (part, param) => {
+    const url = imageUrl(part);
+    if (typeof url !== 'string' || !url) {
+      throw invalidRequest('image_url.url is required', param);
+    }
+    const image = readImage(url, imageDir, param);
+    const format = IMAGE_FORMATS.find(f => f.matches(image.data));
+    if (!format) {
+      throw invalidRequest('Images must be PNG, JPEG, GIF or WebP', param);
+    }
+    const sha256 = crypto.createHash('sha256').update(image.data).digest('hex');
+    if (image.file) {
+      return { path: image.file, sha256 };
+    }
+    tempDir = tempDir || fs.mkdtempSync(path.join(os.tmpdir(), 'litert-images-'));
+    const file = path.join(tempDir, `${sha256}${format.extension}`);
+    fs.writeFileSync(file, image.data);
+    return { path: file, sha256 };
+  };
+
+  try {
+    const resolved = messages.map((message, i) => {
+      const content = message.content;
+      if (content == null || typeof content === 'string') {
+        return message;
+      }
+      if (!Array.isArray(content)) {
+        throw invalidRequest('Message content must be a string or an array of content parts', `messages[${i}].content`);
+      }
+      return {
+        ...message,
+        content: content.map((part, j) => {
+          const param = `messages[${i}].content[${j}]`;
+          const modality = part && PART_MODALITIES[part.type];
+          if (!modality) {
+            throw invalidRequest(`Content part type ${JSON.stringify(part && part.type)} is not supported`, param);
+          }
+          if (!model.modalities.includes(modality)) {
+            throw invalidRequest(`Model ${model.id} does not accept ${modality} input`, param);
+          }
+          if (modality === 'text') {
+            if (typeof part.text !== 'string') {
+              throw invalidRequest('Text content parts need a "text" string', param);
+            }
+            return part;
+          }
+          if (message.role !== 'user') {
+            throw invalidRequest('Images are only accepted in user messages', param);
+          }
+          return { ...part, file: saveImage(part, param) };
+        }),
+      };
+    });
+    return { messages: resolved, cleanup };
+  } catch (err) {
+    cleanup();
+    throw err;
+  }
+}
+
+/**
+ * Files of the images in resolved messages, in the order they appear in the prompt
+ * @param {Array} messages - Messages from resolveContent
+ * @returns {Array<{path: string, sha256: string}>}
+ */
+function promptImages(messages) {
+  return messages
+    .flatMap(m => (Array.isArray(m.content) ? m.content : []))
+    .filter(part => part && part.type === 'image_url' && part.file)
+    .map(part => part.file);
+}
+
+module.exports = {
+  MODALITIES,
+  contentText,
+  resolveContent,
+  promptImages
+};
@@ -0,0 +1,116 @@
+// context-window.js
+// Keeps prompts inside a model's context window: rejects prompts that don't
+// fit, or makes a conversation fit by dropping or summarizing its oldest turns
+
+const CONTEXT_STRATEGIES = ['reject', 'truncate', 'summarize'];
+
+/**
+ * Error for a prompt that is longer than the model can take
+ * @param {number} tokens - Tokens the prompt needs, including the reply's share
+ * @param {number} contextLength - Model context length
+ * @param {string} param - Request field that is too long
+ * @returns {Error}
+ */
+function contextExceededError(tokens, contextLength, param) {
+  const err = new Error(`This model's maximum context length is ${contextLength} tokens. ` +
+    `However, your ${param} resulted in ${tokens} tokens, counting the tokens kept for the reply. ` +
+    `Please reduce the length of the ${param}.`);
+  err.code = 'context_length_exceeded';
+  err.param = param;
+  err.tokens = tokens;
+  err.contextLength = contextLength;
+  return err;
+}
+
+// Messages that have to stay: system messages and the latest turn
+function isPinned(messages, index) {
+  return messages[index].role === 'system' || index === messages.length - 1;
+}
+
+// Indexes of the messages that can be dropped, oldest first
+function dropOrder(messages) {
+  return messages.map((message, index) => index).filter(index => !isPinned(messages, index));
+}
+
+function without(messages, dropped) {
+  return messages.filter((message, index) => !dropped.has(index));
+}
+
+// Drop tool results left at the front of the conversation once their call is gone
+function dropOrphanedResults(messages, dropped) {
+  for (let index = 0; index < messages.length; index++) {
+    if (dropped.has(index) || messages[index].role === 'system') continue;
+    if (messages[index].role !== 'tool' || isPinned(messages, index)) break;
+    dropped.add(index);
+  }
+}
+
+/**
+ * Fit a conversation into a model's context window
+ * @param {Array} messages - OpenAI chat messages
+ * @param {Object} options
+ * @param {function(Array): number} options.measure - Tokens of the prompt the messages render to
+ * @param {number} options.limit - Tokens the prompt may use
+ * @param {number} options.contextLength - Model context length, for error messages
+ * @param {string} options.strategy - "reject", "truncate" (drop the oldest turns) or
+ *   "summarize" (replace the oldest turns with a summary)
+ * @param {function(Array): Promise<string>} [options.summarize] - Summarizes messages, for "summarize"
+ * @param {number} [options.summaryTokens] - Most tokens a summary can take
+ * @returns {Promise<{messages: Array, prompt_tokens: number, dropped: number, summarized: number}>}
+ *   The fitted conversation; dropped and summarized count the messages taken out
+ */
+async function fitConversation(messages, options) {
+  const { measure, limit, contextLength, strategy } = options;
+  const tokens = measure(messages);
+  if (tokens <= limit) {
+    return { messages, prompt_tokens: tokens, dropped: 0, summarized: 0 };
+  }
+  if (strategy === 'reject') {
+    throw contextExceededError(tokens + (contextLength - limit), contextLength, 'messages');
+  }
+
+  // The summary takes the place of the oldest message it replaces, which
+  // only has system messages before it
+  const summarizing = strategy === 'summarize';
+  const order = dropOrder(messages);
+  const withSummary = (kept, summary) => [
+    ...kept.slice(0, order[0]),
+    { role: 'system', content: `Summary of the earlier conversation:\n${summary}` },
+    ...kept.slice(order[0]),
+  ];
+  const reserve = summarizing ? options.summaryTokens : 0;
+
+  const dropped = new Set();
+  for (const index of order) {
+    dropped.add(index);
+    dropOrphanedResults(messages, dropped);
+    const kept = without(messages, dropped);
+    if (measure(summarizing ? withSummary(kept, '') : kept) + reserve <= limit) {
+      break;
+    }
+  }
+
+  let fitted = without(messages, dropped);
+  if (summarizing && dropped.size > 0) {
+    const summary = await options.summarize(messages.filter((message, index) => dropped.has(index)));
+    fitted = withSummary(fitted, summary);
+  }
+
+  const fittedTokens = measure(fitted);
+  if (fittedTokens > limit) {
+    // Even the messages that have to stay are too long
+    throw contextExceededError(tokens + (contextLength - limit), contextLength, 'messages');
+  }
+  return {
+    messages: fitted,
+    prompt_tokens: fittedTokens,
+    dropped: summarizing ? 0 : dropped.size,
+    summarized: summarizing ? dropped.size : 0,
+  };
+}
+
+module.exports = {
+  CONTEXT_STRATEGIES,
+  contextExceededError,
+  fitConversation
+};
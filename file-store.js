@@ -0,0 +1,129 @@
+// file-store.js
+// Files uploaded through /v1/files, and the output files batches write, kept
+// in a directory: <id> holds the content and <id>.json the file object
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Purposes a client may upload a file for; batch_output is set by the server
+const UPLOAD_PURPOSES = ['batch'];
+
+// A file record without its owner, as the API shows it
+function publicRecord(record) {
+  const { owner, ...rest } = record;
+  return rest;
+}
+
+// Write to a temporary file and rename it, so a crash can't leave half a file
+function writeAtomic(file, data) {
+  const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+  fs.writeFileSync(temp, data, { mode: 0o600 });
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Open the file store
+ * @param {Object} options
+ * @param {string} options.dir - Directory files are kept in (created if missing)
+ * @returns {Object} - File store
+ */
+function createFileStore({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const records = new Map();
+  for (const name of fs.readdirSync(dir).filter(n => n.endsWith('.json') && !n.startsWith('.'))) {
+    try {
+      const record = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+      if (fs.existsSync(path.join(dir, record.id))) {
+        records.set(record.id, record);
+      }
+    } catch (e) {
+      // Written partly before a crash; the upload never completed
+    }
+  }
+
+  // Files are only visible to the key that made them (owner null when authentication is off)
+  const visible = (record, owner) => record && (owner === undefined || record.owner === owner);
+
+  return {
+    /**
+     * Store a file
+     * @param {Object} file
+     * @param {string} file.filename
+     * @param {string} file.purpose
+     * @param {Buffer} file.data
+     * @param {(string|null)} [file.owner] - Id of the API key that made it
+     * @returns {Object} - File object
+     */
+    create({ filename, purpose, data, owner = null }) {
+      const record = {
+        id: `file-${crypto.randomBytes(12).toString('hex')}`,
+        object: 'file',
+        bytes: data.length,
+        created_at: Math.floor(Date.now() / 1000),
+        filename,
+        purpose,
+        status: 'processed',
+        owner,
+      };
+      writeAtomic(path.join(dir, record.id), data);
+      writeAtomic(path.join(dir, `${record.id}.json`), JSON.stringify(record, null, 2) + '\n');
+      records.set(record.id, record);
+      return publicRecord(record);
+    },
+
+    /**
+     * Look up a file
+     * @param {string} id
+     * @param {(string|null)} [owner] - Only find files made by this key
+     * @returns {(Object|null)} - File object, or null if there is no such file
+     */
+    get(id, owner) {
+      const record = records.get(id);
+      return visible(record, owner) ? publicRecord(record) : null;
+    },
+
+    /**
+     * List files, newest first
+     * @param {Object} [filter]
+     * @param {string} [filter.purpose]
+     * @param {(string|null)} [filter.owner]
+     * @returns {Object[]}
+     */
+    list({ purpose, owner } = {}) {
+      return Array.from(records.values())
+        .filter(record => visible(record, owner) && (!purpose || record.purpose === purpose))
+        .sort((a, b) => b.created_at - a.created_at)
+        .map(publicRecord);
+    },
+
+    /**
+     * Read a file's content
+     * @param {string} id
+     * @param {(string|null)} [owner]
+     * @returns {(Buffer|null)} - The content, or null if there is no such file
+     */
+    content(id, owner) {
+      return visible(records.get(id), owner) ? fs.readFileSync(path.join(dir, id)) : null;
+    },
+
+    /**
+     * Delete a file
+     * @param {string} id
+     * @param {(string|null)} [owner]
+     * @returns {boolean} - Whether there was such a file
+     */
+    remove(id, owner) {
+      if (!visible(records.get(id), owner)) return false;
+      records.delete(id);
+      fs.rmSync(path.join(dir, `${id}.json`), { force: true });
+      fs.rmSync(path.join(dir, id), { force: true });
+      return true;
+    }
+  };
+}
+
+module.exports = {
+  UPLOAD_PURPOSES,
+  createFileStore
+};
@@ -0,0 +1,227 @@
+// key-store.js
+// API keys kept in a JSON file, with per-key model access, limits and expiry.
+// Only a SHA-256 hash of each key is stored; the key itself is shown once, when it is created.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'sk-litert-';
+
+const hashKey = (key) => crypto.createHash('sha256').update(key, 'utf8').digest();
+
+/**
+ * Compare two strings in constant time
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  // Hashing first gives equal-length buffers, so the lengths don't leak either
+  return crypto.timingSafeEqual(hashKey(a), hashKey(b));
+}
+
+function invalidRequest(message, param) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  err.param = param;
+  return err;
+}
+
+function optionalLimit(value, param) {
+  if (value == null) return null;
+  if (!Number.isInteger(value) || value < 1) {
+    throw invalidRequest(`${param} must be a positive integer`, param);
+  }
+  return value;
+}
+
+/**
+ * Check the fields of a new key
+ * @param {Object} spec - { name, models, requests_per_minute, tokens_per_day, expires_at }
+ * @returns {Object} - Normalized fields
+ */
+function validateKeySpec(spec) {
+  if (!spec || typeof spec.name !== 'string' || !spec.name.trim()) {
+    throw invalidRequest('name is required', 'name');
+  }
+  if (spec.models != null && (!Array.isArray(spec.models) || spec.models.some(m => typeof m !== 'string'))) {
+    throw invalidRequest('models must be an array of model ids', 'models');
+  }
+  let expiresAt = null;
+  if (spec.expires_at != null) {
+    const time = Date.parse(spec.expires_at);
+    if (Number.isNaN(time)) {
+      throw invalidRequest('expires_at must be an ISO 8601 date', 'expires_at');
+    }
+    expiresAt = new Date(time).toISOString();
+  }
+  return {
+    name: spec.name.trim(),
+    models: spec.models || null, // null allows every model
+    requests_per_minute: optionalLimit(spec.requests_per_minute, 'requests_per_minute'),
+    tokens_per_day: optionalLimit(spec.tokens_per_day, 'tokens_per_day'),
+    expires_at: expiresAt,
+  };
+}
+
+// A key record without its hash, as the admin API shows it
+function publicRecord(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Open the key store
+ * @param {Object} options
+ * @param {string} options.file - JSON file the keys are kept in (created when the first key is)
+ * @returns {Object} - Key store
+ */
+function createKeyStore({ file }) {
+  let records = [];
+  if (fs.existsSync(file)) {
+    const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!content || !Array.isArray(content.keys)) {
+      throw new Error(`${file} must contain a "keys" array`);
+    }
+    records = content.keys;
+  }
+
+  // Write to a temporary file and rename it, so a crash can't leave half a file
+  function save() {
+    const temp = path.join(path.dirname(file), `.${path.basename(file)}.${process.pid}.tmp`);
+    fs.writeFileSync(temp, JSON.stringify({ keys: records }, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(temp, file);
+  }
+
+  return {
+    /**
+     * Whether any key can still be used
+     * @returns {boolean}
+     */
+    hasActiveKeys() {
+      return records.some(r => !r.revoked_at);
+    },
+
+    /**
+     * Find the key record for a presented key. Every stored hash is compared
+     * in constant time, so the time taken doesn't depend on which key matched.
+     * @param {string} key - Key from the request
+     * @returns {(Object|null)} - The record (revoked keys are not matched)
+     */
+    authenticate(key) {
+      const hash = hashKey(key);
+      let found = null;
+      for (const record of records) {
+        const matches = crypto.timingSafeEqual(hash, Buffer.from(record.hash, 'hex'));
+        if (matches && !record.revoked_at) {
+          found = record;
+        }
+      }
+      return found;
+    },
+
+    /**
+     * Create a key
+     * @param {Object} spec - See validateKeySpec
+     * @returns {{key: string, record: Object}} - The new key, and its record without the hash
+     */
+    create(spec) {
+      const fields = validateKeySpec(spec);
+      const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+      const record = {
+        id: `key_${crypto.randomBytes(8).toString('hex')}`,
+        ...fields,
+        prefix: key.substring(0, KEY_PREFIX.length + 4),
+        hash: hashKey(key).toString('hex'),
+        created_at: new Date().toISOString(),
+        revoked_at: null,
+      };
+      records.push(record);
+      save();
+      return { key, record: publicRecord(record) };
+    },
+
+    /**
+     * Revoke a key
+     * @param {string} id - Key id
+     * @returns {(Object|null)} - The revoked record, or null if there is no such key
+     */
+    revoke(id) {
+      const record = records.find(r => r.id === id);
+      if (!record) return null;
+      if (!record.revoked_at) {
+        record.revoked_at = new Date().toISOString();
+        save();
+      }
+      return publicRecord(record);
+    },
+
+    /**
+     * List keys, without their hashes
+     * @returns {Object[]}
+     */
+    list() {
+      return records.map(publicRecord);
+    },
+
+    /**
+     * Look up a key by id
+     * @param {string} id - Key id
+     * @returns {(Object|null)} - The record without its hash, or null if there is no such key
+     */
+    get(id) {
+      const record = records.find(r => r.id === id);
+      return record ? publicRecord(record) : null;
+    }
+  };
+}
+
+/**
+ * Whether a key has passed its expiry date
+ * @param {Object} key - Key record
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+function isExpired(key, now = Date.now()) {
+  return Boolean(key.expires_at) && Date.parse(key.expires_at) <= now;
+}
+
+/**
+ * Whether a key may use a model
+ * @param {(Object|null)} key - Key record, or null when authentication is off
+ * @param {string} modelId
+ * @returns {boolean}
+ */
+function allowsModel(key, modelId) {
+  return !key || !key.models || key.models.includes(modelId);
+}
+
+/**
+ * Sliding one-minute window of requests per key
+ * @returns {{take: function(string, number): {ok: boolean, retryAfter: number}}}
+ *   take() counts a request against the key's limit, unless it is already used up
+ */
+function createRateLimiter() {
+  const windows = new Map();
+
+  return {
+    take(id, perMinute, now = Date.now()) {
+      const recent = (windows.get(id) || []).filter(time => time > now - 60000);
+      windows.set(id, recent);
+      if (recent.length >= perMinute) {
+        return { ok: false, retryAfter: Math.max(1, Math.ceil((recent[0] + 60000 - now) / 1000)) };
+      }
+      recent.push(now);
+      return { ok: true, retryAfter: 0 };
+    }
+  };
+}
+
+module.exports = {
+  safeEqual,
+  createKeyStore,
+  isExpired,
+  allowsModel,
+  createRateLimiter
+};
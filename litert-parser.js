@@ -1,181 +1,301 @@
 // litert-parser.js
-// Module for parsing LiteRT-LM output more robustly
+// Module for parsing LiteRT-LM output, following an output profile that
+// describes how a binary or model version lays out its output
+
+// Built-in output profiles. Markers are matched at the start of a line.
+const BUILTIN_PROFILES = {
+  // litert_lm_main: the reply follows "Response:", then performance lines.
+  // Builds that leave the marker out still have their output returned.
+  'litert-lm': {
+    response_markers: ['Response:'],
+    end_markers: ['Prefill:', 'Decode:', 'Peak memory'],
+    require_marker: false,
+  },
+  // Builds that print the reply with no marker at all
+  plain: {
+    response_markers: [],
+    end_markers: ['Prefill:', 'Decode:', 'Peak memory'],
+  },
+  // The markers older builds and wrappers have been seen to use
+  legacy: {
+    response_markers: ['Response:', 'Generated text:', 'Output:', 'Assistant:', 'Model output:', 'Generation:'],
+    end_markers: [
+      'Prefill:', 'Decode:', 'Peak memory', 'Tokens/sec', 'Performance:', 'Benchmark results:',
+      'I0000', 'W0000', 'E0000', 'F0000',
+    ],
+    require_marker: false,
+  },
+};
+
+const DEFAULT_PROFILE = 'litert-lm';
+
+// Log lines as printed by absl logging and the Python wrappers
+const DEFAULT_LOG_PATTERN = '^[IWEF]\\d{4} |INFO:|WARNING:';
+
+function isStringArray(value) {
+  return Array.isArray(value) && value.every(s => typeof s === 'string' && s.length > 0);
+}
 
 /**
- * Parse the raw output from litert_lm_main to extract the generated text
- * @param {string} output - Raw output from the LiteRT-LM binary
- * @returns {string} - Extracted generated text
+ * Check an output profile and fill in its defaults
+ * @param {Object} profile - Profile from the config file
+ * @param {string} name - Name used in error messages
+ * @returns {Object} - Validated profile
  */
-function parseLiteRTOutput(output) {
-  const lines = output.split('\n');
-  let response = '';
-  let inResponse = false;
-  let foundResponseMarker = false;
-
-  // Common response markers used by different LiteRT-LM models
-  const responseMarkers = [
-    'Response:',
-    'Generated text:',
-    'Output:',
-    'Assistant:',
-    'Model output:',
-    'Generation:',
-    'model\n' // Gemma models use this format
-  ];
-
-  // End markers that indicate we should stop collecting response
-  const endMarkers = [
-    'Prefill:',
-    'Decode:',
-    'Peak memory',
-    'Tokens/sec',
-    'Performance:',
-    'Benchmark results:',
-    '---', // Common separator
-    '===', // Another common separator
-    'I0000', // Log line prefix
-    'W0000', // Warning prefix
-    'E0000', // Error prefix
-    'F0000'  // Fatal prefix
-  ];
-
-  // Skip initial log lines
-  let startIndex = 0;
-  for (let i = 0; i < lines.length; i++) {
-    const line = lines[i];
-    // Look for where the actual output starts (after all the initialization logs)
-    if (!line.match(/^[IWEF]\d{4}/) && !line.includes('INFO:') && !line.includes('WARNING:') && line.trim()) {
-      startIndex = i;
-      break;
+function validateProfile(profile, name) {
+  if (!profile || typeof profile !== 'object') {
+    throw new Error(`Output profile "${name}" must be an object`);
+  }
+  for (const key of ['response_markers', 'end_markers']) {
+    if (profile[key] != null && !isStringArray(profile[key])) {
+      throw new Error(`Output profile "${name}" has a "${key}" that is not an array of strings`);
     }
   }
+  let logPattern;
+  try {
+    logPattern = new RegExp(profile.log_pattern || DEFAULT_LOG_PATTERN);
+  } catch (e) {
+    throw new Error(`Output profile "${name}" has an invalid "log_pattern": ${e.message}`);
+  }
 
-  for (let i = startIndex; i < lines.length; i++) {
-    const line = lines[i];
-    const trimmedLine = line.trim();
+  const responseMarkers = profile.response_markers || [];
+  return {
+    name,
+    response_markers: responseMarkers,
+    end_markers: profile.end_markers || [],
+    log_pattern: logPattern,
+    // Without markers there is nothing to require
+    require_marker: responseMarkers.length > 0 && profile.require_marker !== false,
+  };
+}
 
-    // Check if we've hit an end marker
-    if (endMarkers.some(marker => line.includes(marker))) {
-      if (inResponse) {
-        break; // Stop collecting if we were in the response section
-      }
-    }
+/**
+ * Look up an output profile by name, or validate an inline profile definition
+ * @param {(string|Object)} [spec] - Profile name or definition (defaults to "litert-lm")
+ * @param {Object} [customProfiles] - User-defined profiles by name
+ * @returns {Object} - Profile
+ */
+function resolveProfile(spec = DEFAULT_PROFILE, customProfiles = {}) {
+  if (typeof spec === 'object') {
+    return validateProfile(spec, 'inline');
+  }
+  if (Object.prototype.hasOwnProperty.call(customProfiles, spec)) {
+    return validateProfile(customProfiles[spec], spec);
+  }
+  if (Object.prototype.hasOwnProperty.call(BUILTIN_PROFILES, spec)) {
+    return validateProfile(BUILTIN_PROFILES[spec], spec);
+  }
+  throw new Error(`Unknown output profile "${spec}"`);
+}
 
-    // Check for response markers
-    for (const marker of responseMarkers) {
-      if (line.includes(marker)) {
-        inResponse = true;
-        foundResponseMarker = true;
+const startsWithAny = (line, markers) => markers.find(marker => line.startsWith(marker));
 
-        // Extract text after the marker if it's on the same line
-        const markerIndex = line.indexOf(marker);
-        const afterMarker = line.substring(markerIndex + marker.length).trim();
+/**
+ * Create an incremental parser for LiteRT-LM output that arrives in chunks.
+ * Log lines before the reply are skipped, the response marker is stripped,
+ * and the reply ends at the first line starting with an end marker. Text is
+ * handed back as soon as it is known to belong to the reply.
+ * @param {Object} [profile] - Output profile from resolveProfile
+ * @returns {{push: function(string): string, end: function(): string, result: function(): Object}}
+ *   push() feeds a chunk of raw output and end() flushes what is left; both
+ *   return the newly available reply text (possibly empty). result() describes
+ *   the parse, as parseLiteRTOutput does.
+ */
+function createStreamParser(profile = resolveProfile()) {
+  let buffer = '';
+  let atLineStart = true;
+  let inResponse = false;
+  let finished = false;
+  let sawOutput = false;
+  let foundMarker = false;
+  let foundEnd = false;
+  let text = '';
+  let pendingWhitespace = '';
+  // Output seen before any marker, kept in case no marker comes
+  let unmarked = '';
 
-        if (afterMarker) {
-          response = afterMarker;
-        }
-        break;
-      }
+  // Hold back leading/trailing whitespace so the reply comes out trimmed
+  function emit(piece) {
+    let combined = pendingWhitespace + piece;
+    if (!text) {
+      combined = combined.trimStart();
     }
+    const body = combined.trimEnd();
+    pendingWhitespace = combined.substring(body.length);
+    text += body;
+    return body;
+  }
 
-    // If we're in the response section, collect lines
-    if (inResponse && i > 0) { // Skip the marker line itself
-      // Skip empty lines at the beginning of response
-      if (!response && !trimmedLine) {
-        continue;
-      }
+  // Whether an unfinished line could still turn out to start with one of the markers
+  const couldBecome = (line, markers) => markers.some(marker => marker.startsWith(line));
 
-      // Add the line to our response
-      if (trimmedLine) {
-        if (response) response += '\n';
-        response += line; // Use original line to preserve formatting
-      }
-    }
-  }
+  function drain(atEnd) {
+    let out = '';
+
+    while (!finished && buffer) {
+      const newlineIndex = buffer.indexOf('\n');
+      const complete = newlineIndex !== -1 || atEnd;
+      const line = newlineIndex !== -1 ? buffer.substring(0, newlineIndex) : buffer;
+      const rest = () => buffer.substring(line.length + 1);
 
-  // If we didn't find any response markers, assume everything after logs is the response
-  if (!foundResponseMarker && startIndex < lines.length) {
-    const responseLines = [];
+      if (!inResponse) {
+        const content = line.trimStart();
+        if (complete && ((!content && !unmarked) || profile.log_pattern.test(line))) {
+          buffer = rest();
+          continue;
+        }
+
+        const marker = startsWithAny(content, profile.response_markers);
+        if (marker) {
+          buffer = buffer.substring(line.length - content.length + marker.length);
+          inResponse = true;
+          foundMarker = true;
+          atLineStart = false;
+          continue;
+        }
+        if (!complete) {
+          break; // Wait for the rest of the line
+        }
 
-    for (let i = startIndex; i < lines.length; i++) {
-      const line = lines[i];
+        if (profile.response_markers.length === 0) {
+          sawOutput = true;
+          inResponse = true;
+          atLineStart = true;
+          continue;
+        }
+        if (!profile.require_marker && startsWithAny(line, profile.end_markers)) {
+          out += emit(unmarked); // No marker came, so the output before the end was the reply
+          foundEnd = true;
+          finished = true;
+          break;
+        }
+        sawOutput = true;
+        if (!profile.require_marker) {
+          unmarked += line + '\n';
+        }
+        buffer = rest(); // Output before a marker is not part of the reply
+        continue;
+      }
 
-      // Stop if we hit end markers
-      if (endMarkers.some(marker => line.includes(marker))) {
+      if (atLineStart && startsWithAny(line, profile.end_markers)) {
+        foundEnd = true;
+        finished = true;
         break;
       }
 
-      // Collect non-empty lines
-      if (line.trim()) {
-        responseLines.push(line);
+      if (complete) {
+        out += emit(newlineIndex !== -1 ? line + '\n' : line);
+        buffer = rest();
+        atLineStart = true;
+      } else if (atLineStart && couldBecome(line, profile.end_markers)) {
+        break; // Wait until it is clear whether this is an end marker
+      } else {
+        out += emit(line);
+        buffer = '';
+        atLineStart = false;
+        break;
       }
     }
 
-    response = responseLines.join('\n');
-  }
-
-  // Clean up the response
-  response = response.trim();
-
-  // Remove any trailing performance metrics that might have been included
-  const perfPatterns = [
-    /\nPrefill:.*$/s,
-    /\nDecode:.*$/s,
-    /\nPeak memory.*$/s,
-    /\nTokens\/sec.*$/s
-  ];
-
-  for (const pattern of perfPatterns) {
-    response = response.replace(pattern, '').trim();
+    return out;
   }
 
-  return response || 'No response generated';
+  return {
+    push(chunk) {
+      if (finished) return '';
+      buffer += chunk;
+      return drain(false);
+    },
+    end() {
+      let out = '';
+      if (!finished) {
+        out = drain(true);
+        if (!finished && !inResponse) {
+          out += emit(unmarked);
+        }
+      }
+      finished = true;
+      buffer = '';
+      return out;
+    },
+    result() {
+      if (!text) {
+        let reason = 'no_output';
+        if (foundMarker) reason = 'empty_response';
+        else if (sawOutput) reason = 'no_response_marker';
+        return { ok: false, text: '', confidence: 'none', reason, profile: profile.name };
+      }
+      // A reply framed by a marker and an end marker is certain; one side of the frame less so
+      const framed = [foundMarker || profile.response_markers.length === 0, foundEnd].filter(Boolean).length;
+      return { ok: true, text, confidence: ['low', 'medium', 'high'][framed], reason: null, profile: profile.name };
+    }
+  };
 }
 
 /**
- * Extract structured information from LiteRT-LM output
+ * Parse the complete output of a litert_lm_main run
  * @param {string} output - Raw output from the LiteRT-LM binary
- * @returns {Object} - Structured output with response and metadata
+ * @param {Object} [profile] - Output profile from resolveProfile
+ * @returns {{ok: boolean, text: string, confidence: string, reason: (string|null), profile: string}}
+ *   confidence is "high" when the reply was framed by a response marker and an
+ *   end marker, "medium" when only one was found, "low" when neither was, and
+ *   "none" when no reply was found. reason then says why: "no_output",
+ *   "no_response_marker" or "empty_response".
  */
-function parseStructuredOutput(output) {
-  const result = {
-    response: parseLiteRTOutput(output),
-    metrics: {}
-  };
+function parseLiteRTOutput(output, profile) {
+  const parser = createStreamParser(profile);
+  parser.push(output);
+  parser.end();
+  return parser.result();
+}
 
-  // Try to extract performance metrics
-  const lines = output.split('\n');
+/**
+ * Extract the performance figures LiteRT-LM prints after a run
+ * @param {string} output - Raw output from the LiteRT-LM binary
+ * @returns {Object} - prefillTokensPerSec, decodeTokensPerSec and peakMemoryMB, when present
+ */
+function parseMetrics(output) {
+  const metrics = {};
 
-  for (const line of lines) {
+  for (const line of output.split('\n')) {
     // Prefill performance
-    if (line.includes('Prefill:')) {
-      const match = line.match(/Prefill:.*?(\d+\.?\d*)\s*tokens\/sec/i);
-      if (match) {
-        result.metrics.prefillTokensPerSec = parseFloat(match[1]);
-      }
+    const prefill = line.match(/Prefill:.*?(\d+\.?\d*)\s*tokens\/sec/i);
+    if (prefill) {
+      metrics.prefillTokensPerSec = parseFloat(prefill[1]);
     }
 
     // Decode performance
-    if (line.includes('Decode:')) {
-      const match = line.match(/Decode:.*?(\d+\.?\d*)\s*tokens\/sec/i);
-      if (match) {
-        result.metrics.decodeTokensPerSec = parseFloat(match[1]);
-      }
+    const decode = line.match(/Decode:.*?(\d+\.?\d*)\s*tokens\/sec/i);
+    if (decode) {
+      metrics.decodeTokensPerSec = parseFloat(decode[1]);
     }
 
     // Peak memory
-    if (line.includes('Peak memory')) {
-      const match = line.match(/Peak memory.*?(\d+\.?\d*)\s*MB/i);
-      if (match) {
-        result.metrics.peakMemoryMB = parseFloat(match[1]);
-      }
+    const memory = line.match(/Peak memory.*?(\d+\.?\d*)\s*MB/i);
+    if (memory) {
+      metrics.peakMemoryMB = parseFloat(memory[1]);
     }
   }
 
-  return result;
+  return metrics;
+}
+
+/**
+ * Parse a run's output into the reply text and performance figures
+ * @deprecated Use parseLiteRTOutput and parseMetrics
+ * @param {string} output - Raw output from the LiteRT-LM binary
+ * @param {Object} [profile] - Output profile from resolveProfile
+ * @returns {{response: string, metrics: Object}} - response is empty when no reply was found
+ */
+function parseStructuredOutput(output, profile) {
+  return { response: parseLiteRTOutput(output, profile).text, metrics: parseMetrics(output) };
 }
 
 module.exports = {
+  BUILTIN_PROFILES,
+  resolveProfile,
   parseLiteRTOutput,
-  parseStructuredOutput
-};
\ No newline at end of file
+  parseMetrics,
+  parseStructuredOutput,
+  createStreamParser
+};
@@ -0,0 +1,220 @@
+// litert-process.js
+// Starting, watching and killing LiteRT-LM child processes
+
+const { spawn } = require('child_process');
+
+// LiteRT processes currently running, so they can be killed on shutdown
+const activeChildren = new Set();
+
+/**
+ * Spawn the LiteRT-LM binary in its own process group, so a timeout or
+ * cancellation can kill it together with anything it started
+ * @param {string} binary - Path to litert_lm_main
+ * @param {string[]} args - Command line arguments
+ * @returns {ChildProcess}
+ */
+function startLiteRT(binary, args) {
+  const child = spawn(binary, args, { detached: true });
+  activeChildren.add(child);
+  child.on('close', () => activeChildren.delete(child));
+  child.on('error', () => activeChildren.delete(child));
+  return child;
+}
+
+/**
+ * Kill a LiteRT child together with anything it spawned
+ * @param {ChildProcess} child
+ */
+function killProcessGroup(child) {
+  try {
+    process.kill(-child.pid, 'SIGKILL');
+  } catch (e) {
+    child.kill('SIGKILL');
+  }
+}
+
+/**
+ * Kill every LiteRT process that is still running
+ */
+function killAllProcesses() {
+  for (const child of activeChildren) {
+    killProcessGroup(child);
+  }
+}
+
+// What went wrong in a failed run, recognised from what the binary wrote to
+// stderr. Checked in order, so a specific cause wins over the check failure
+// it often ends in. api-errors.js maps each code to a response status.
+const STDERR_SIGNATURES = [
+  {
+    code: 'model_file_not_found',
+    description: 'could not open the model file',
+    pattern: /(NOT_FOUND|No such file or directory|Failed to open|does not exist)[^\n]*(model|\.litertlm|\.tflite)|(model|\.litertlm|\.tflite)[^\n]*(NOT_FOUND|No such file or directory|not found|does not exist)/i,
+  },
+  {
+    code: 'out_of_memory',
+    description: 'ran out of memory',
+    pattern: /out of memory|std::bad_alloc|RESOURCE_EXHAUSTED|failed to allocate|cannot allocate memory/i,
+  },
+  {
+    code: 'backend_unsupported',
+    description: 'does not support the backend',
+    pattern: /unsupported backend|backend[^\n]*(not supported|unavailable|not available)|no (gpu|opencl|npu)[^\n]*(found|available)/i,
+  },
+  {
+    code: 'check_failed',
+    description: 'fatal error',
+    pattern: /^F\d{4} |Check fail(ed|ure)/m,
+  },
+];
+
+/**
+ * Work out why a run failed from its stderr
+ * @param {string} stderr
+ * @returns {({code: string, description: string, line: string}|null)} - The
+ *   matching signature and the stderr line it matched, or null if none did
+ */
+function classifyFailure(stderr) {
+  for (const signature of STDERR_SIGNATURES) {
+    const line = stderr.split('\n').find(l => signature.pattern.test(l));
+    if (line) {
+      return { code: signature.code, description: signature.description, line: line.trim() };
+    }
+  }
+  return null;
+}
+
+/**
+ * Build the error for a LiteRT process that exited unsuccessfully
+ * @param {number} code - Exit code
+ * @param {string} stderr - What the process wrote to stderr
+ * @returns {Error}
+ */
+function exitError(code, stderr) {
+  const failure = classifyFailure(stderr);
+  let err;
+  if (failure) {
+    err = new Error(`LiteRT ${failure.description}: ${failure.line}`);
+    err.code = failure.code;
+  } else {
+    err = new Error(`LiteRT process exited with code ${code}: ${stderr}`);
+    err.code = 'process_error';
+  }
+  err.exitCode = code;
+  return err;
+}
+
+function timeoutError(timeoutMs) {
+  const err = new Error(`LiteRT generation timed out after ${timeoutMs}ms`);
+  err.code = 'timeout';
+  return err;
+}
+
+function cancelledError() {
+  const err = new Error('Request was cancelled by the client');
+  err.code = 'cancelled';
+  return err;
+}
+
+/**
+ * Kill a child when a timeout expires or an abort signal fires
+ * @param {ChildProcess} child
+ * @param {Object} options
+ * @param {number} options.timeout - Milliseconds before the child is killed
+ * @param {AbortSignal} [options.signal] - Kills the child when aborted
+ * @param {function(Error)} onAbort - Called once with the reason before killing
+ * @returns {function()} - Stops watching
+ */
+function watchDeadline(child, { timeout, signal }, onAbort) {
+  let aborted = false;
+  const abort = (err) => {
+    if (!aborted) {
+      aborted = true;
+      onAbort(err);
+      killProcessGroup(child);
+    }
+  };
+
+  const timer = setTimeout(() => abort(timeoutError(timeout)), timeout);
+  const onSignal = () => abort(cancelledError());
+  if (signal) {
+    signal.addEventListener('abort', onSignal, { once: true });
+  }
+
+  return () => {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', onSignal);
+    }
+  };
+}
+
+/**
+ * Run the binary once for a single prompt and collect its output
+ * @param {string} binary - Path to litert_lm_main
+ * @param {string[]} args - Command line arguments
+ * @param {Object} options
+ * @param {number} options.timeout - Generation timeout in milliseconds
+ * @param {AbortSignal} [options.signal] - Cancels the run
+ * @param {function(string)} [options.onOutput] - Receives stdout as it arrives
+ * @returns {Promise<{output: string, error: string, exitCode: number}>} - stdout and stderr of a successful run
+ */
+function runProcess(binary, args, { timeout, signal, onOutput }) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      return reject(cancelledError());
+    }
+
+    const child = startLiteRT(binary, args);
+    let output = '';
+    let error = '';
+
+    // Set once the child has been killed on purpose, so 'close' doesn't report a crash
+    let abortError = null;
+    const stopWatching = watchDeadline(child, { timeout, signal }, (err) => {
+      abortError = err;
+    });
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (data) => {
+      output += data;
+      if (onOutput) {
+        onOutput(data);
+      }
+    });
+
+    child.stderr.on('data', (data) => {
+      error += data.toString();
+    });
+
+    child.on('error', (err) => {
+      stopWatching();
+      const startError = new Error(`Failed to start LiteRT process: ${err.message}`);
+      startError.code = 'spawn_error';
+      reject(startError);
+    });
+
+    child.on('close', (code) => {
+      stopWatching();
+      if (abortError) {
+        reject(abortError);
+      } else if (code !== 0) {
+        reject(exitError(code, error));
+      } else {
+        resolve({ output, error, exitCode: code });
+      }
+    });
+  });
+}
+
+module.exports = {
+  startLiteRT,
+  killProcessGroup,
+  killAllProcesses,
+  STDERR_SIGNATURES,
+  classifyFailure,
+  exitError,
+  cancelledError,
+  watchDeadline,
+  runProcess
+};
@@ -0,0 +1,69 @@
+// logger.js
+// JSON-lines logging: one object per line with time, level and msg, plus
+// whatever fields the caller adds (request_id, model, ...)
+
+// Levels in increasing severity; "silent" logs nothing
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+
+// Errors don't serialize to JSON by themselves
+function serialize(value) {
+  if (value instanceof Error) {
+    const error = { message: value.message };
+    if (value.code) error.code = value.code;
+    if (value.exitCode !== undefined) error.exit_code = value.exitCode;
+    if (!value.code || value.code === 'internal_error') error.stack = value.stack;
+    return error;
+  }
+  return value;
+}
+
+/**
+ * Create a logger
+ * @param {Object} [options]
+ * @param {string} [options.level] - Lowest level written: debug, info, warn, error or silent
+ * @param {Object} [options.stream] - Where info and debug lines go (default stdout)
+ * @param {Object} [options.errorStream] - Where warn and error lines go (default stderr)
+ * @param {Object} [options.fields] - Fields added to every line
+ * @returns {Object} - Logger with debug, info, warn and error(msg, fields) methods
+ */
+function createLogger({ level = 'info', stream = process.stdout, errorStream = process.stderr, fields = {} } = {}) {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown log level "${level}" (use ${Object.keys(LEVELS).join(', ')})`);
+  }
+  const threshold = LEVELS[level];
+
+  function write(lineLevel, msg, lineFields = {}) {
+    if (LEVELS[lineLevel] < threshold) return;
+    const line = { time: new Date().toISOString(), level: lineLevel, msg, ...fields };
+    for (const [name, value] of Object.entries(lineFields)) {
+      if (value !== undefined) line[name] = serialize(value);
+    }
+    const target = LEVELS[lineLevel] >= LEVELS.warn ? errorStream : stream;
+    target.write(JSON.stringify(line) + '\n');
+  }
+
+  return {
+    level,
+    /**
+     * Whether lines of a level are written, to skip building costly fields
+     * @param {string} lineLevel
+     * @returns {boolean}
+     */
+    enabled: (lineLevel) => LEVELS[lineLevel] >= threshold,
+    debug: (msg, lineFields) => write('debug', msg, lineFields),
+    info: (msg, lineFields) => write('info', msg, lineFields),
+    warn: (msg, lineFields) => write('warn', msg, lineFields),
+    error: (msg, lineFields) => write('error', msg, lineFields),
+    /**
+     * Logger that adds fields to every line, such as a component name
+     * @param {Object} childFields
+     * @returns {Object}
+     */
+    child: (childFields) => createLogger({ level, stream, errorStream, fields: { ...fields, ...childFields } }),
+  };
+}
+
+module.exports = {
+  LEVELS,
+  createLogger
+};
@@ -0,0 +1,121 @@
+// metrics.js
+// Minimal Prometheus metrics registry (counters, histograms, gauges) with text exposition
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labelNames, values, extra = '') {
+  const pairs = labelNames.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function labelValues(labelNames, labels = {}) {
+  return labelNames.map(name => (labels[name] === undefined ? '' : labels[name]));
+}
+
+/**
+ * Create a metrics registry
+ * @returns {{counter: function, histogram: function, gauge: function, render: function(): string}}
+ */
+function createMetricsRegistry() {
+  const metrics = [];
+
+  return {
+    /**
+     * Register a counter
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string[]} [labelNames] - Label names
+     * @returns {{inc: function(Object=, number=)}}
+     */
+    counter(name, help, labelNames = []) {
+      const series = new Map();
+      metrics.push({
+        render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+          for (const { values, value } of series.values()) {
+            lines.push(`${name}${formatLabels(labelNames, values)} ${value}`);
+          }
+          return lines;
+        }
+      });
+      return {
+        inc(labels, amount = 1) {
+          const values = labelValues(labelNames, labels);
+          const key = JSON.stringify(values);
+          if (!series.has(key)) series.set(key, { values, value: 0 });
+          series.get(key).value += amount;
+        }
+      };
+    },
+
+    /**
+     * Register a histogram
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {string[]} labelNames - Label names
+     * @param {number[]} buckets - Upper bounds, in increasing order
+     * @returns {{observe: function(Object, number)}}
+     */
+    histogram(name, help, labelNames, buckets) {
+      const series = new Map();
+      metrics.push({
+        render() {
+          const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+          for (const { values, counts, sum, count } of series.values()) {
+            buckets.forEach((bound, i) => {
+              lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${counts[i]}`);
+            });
+            lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${count}`);
+            lines.push(`${name}_sum${formatLabels(labelNames, values)} ${sum}`);
+            lines.push(`${name}_count${formatLabels(labelNames, values)} ${count}`);
+          }
+          return lines;
+        }
+      });
+      return {
+        observe(labels, value) {
+          const values = labelValues(labelNames, labels);
+          const key = JSON.stringify(values);
+          if (!series.has(key)) {
+            series.set(key, { values, counts: buckets.map(() => 0), sum: 0, count: 0 });
+          }
+          const entry = series.get(key);
+          buckets.forEach((bound, i) => {
+            if (value <= bound) entry.counts[i]++;
+          });
+          entry.sum += value;
+          entry.count++;
+        }
+      };
+    },
+
+    /**
+     * Register a gauge whose value is read when metrics are rendered
+     * @param {string} name - Metric name
+     * @param {string} help - Description
+     * @param {function(): number} collect - Returns the current value
+     */
+    gauge(name, help, collect) {
+      metrics.push({
+        render() {
+          return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`];
+        }
+      });
+    },
+
+    /**
+     * Render all metrics in the Prometheus text format
+     * @returns {string}
+     */
+    render() {
+      return metrics.flatMap(m => m.render()).join('\n') + '\n';
+    }
+  };
+}
+
+module.exports = {
+  createMetricsRegistry
+};
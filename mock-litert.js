@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// mock-litert.js
+// Mock litert_lm_main for development and tests without the real binary or a model.
+// Selected with BACKEND=mock. Takes the same flags as the binary and prints
+// the same kind of output: I0000 log lines on stderr, then a "Response:"
+// marker, the reply streamed token by token, and Prefill/Decode/Peak memory lines.
+//
+// Environment:
+//   MOCK_LOAD_MS     - Simulated model load time before the first token (default 200)
+//   MOCK_LATENCY_MS  - Delay between tokens (default 20)
+//   MOCK_REPLIES     - JSON file of scripted replies: [{ "match": "<regex>", "reply": "..." }].
+//                      The first entry whose regex matches the prompt is used.
+//   MOCK_FAULT       - Fault injected into every run: crash, check_failure, hang,
+//                      silent (exit normally without printing a response), or a
+//                      failure while loading: missing_model, oom or unsupported_backend
+//   IMAGE_FLAG       - Flag image files are passed with, as for the server (default --image_file).
+//                      Without a scripted reply, a run with images says how many it got.
+//
+// A prompt can also ask for a fault itself with [[mock:crash]],
+// [[mock:check_failure]], [[mock:hang]], [[mock:silent]], [[mock:missing_model]],
+// [[mock:oom]] or [[mock:unsupported_backend]], or for a reply with [[mock:reply=text]].
+//
+// With --interactive the mock runs as a warm worker: it prints ">>> ", then
+// answers each "<request id> <escaped prompt>" line read from stdin, ending
+// the reply with ">>> " and the request id.
+
+const fs = require('fs');
+const readline = require('readline');
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+// Values of a flag given more than once
+const flagValues = (name) => args.flatMap((arg, index) => (arg === name ? [args[index + 1]] : []));
+
+const LOAD_MS = parseInt(process.env.MOCK_LOAD_MS || '200', 10);
+const LATENCY_MS = parseInt(process.env.MOCK_LATENCY_MS || '20', 10);
+const READY_MARKER = '>>> ';
+const DEFAULT_REPLY = 'Hello! This is a mock reply from the LiteRT-LM mock backend.';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Log line in the format the binary uses before logging is initialised
+function log(level, source, message) {
+  const now = Date.now() / 1000;
+  process.stderr.write(`${level}0000 00:00:${now.toFixed(6)}  ${process.pid} ${source}] ${message}\n`);
+}
+
+function loadReplies() {
+  if (!process.env.MOCK_REPLIES) return [];
+  try {
+    return JSON.parse(fs.readFileSync(process.env.MOCK_REPLIES, 'utf8'));
+  } catch (e) {
+    log('W', 'mock-litert.js:48', `Could not read MOCK_REPLIES: ${e.message}`);
+    return [];
+  }
+}
+
+function replyFor(prompt, images = []) {
+  const directive = prompt.match(/\[\[mock:reply=([\s\S]*?)\]\]/);
+  if (directive) return directive[1];
+  const scripted = loadReplies().find(entry => new RegExp(entry.match, 'i').test(prompt));
+  if (scripted) return scripted.reply;
+  return images.length > 0 ? `I see ${images.length} image${images.length === 1 ? '' : 's'}.` : DEFAULT_REPLY;
+}
+
+function faultFor(prompt) {
+  const directive = prompt.match(/\[\[mock:(crash|check_failure|hang|silent|missing_model|oom|unsupported_backend)\]\]/);
+  return directive ? directive[1] : process.env.MOCK_FAULT;
+}
+
+const estimateTokens = (text) => Math.max(1, Math.ceil(text.length / 4));
+
+async function generate(prompt, images = []) {
+  const fault = faultFor(prompt);
+  const reply = replyFor(prompt, images);
+  const pieces = reply.match(/\S+\s*|\s+/g) || [];
+
+  // Failures the real binary hits while loading the model, before any output
+  if (fault === 'missing_model') {
+    log('E', 'engine_impl.cc:52', `NOT_FOUND: Failed to open model file ${flag('--model_path')}: No such file or directory`);
+    process.exit(1);
+  }
+  if (fault === 'oom') {
+    process.stderr.write("terminate called after throwing an instance of 'std::bad_alloc'\n  what():  std::bad_alloc\n");
+    process.exit(134);
+  }
+  if (fault === 'unsupported_backend') {
+    log('E', 'engine_impl.cc:61', `INVALID_ARGUMENT: Unsupported backend: ${flag('--backend')}`);
+    process.exit(1);
+  }
+
+  log('I', 'llm_executor.cc:156', `Prefilling ${estimateTokens(prompt)} tokens`);
+  await sleep(LOAD_MS);
+  if (fault === 'silent') return '';
+  process.stdout.write('Response: ');
+
+  for (let i = 0; i < pieces.length; i++) {
+    if (fault && i === Math.floor(pieces.length / 2)) {
+      // A pending promise alone would let the process exit, so keep a timer alive
+      if (fault === 'hang') return new Promise(() => setInterval(() => {}, 1000));
+      if (fault === 'crash') process.exit(139);
+      if (fault === 'check_failure') {
+        process.stderr.write('F0000 00:00:00.000000  1 llm_executor.cc:212] Check failed: kv_cache != nullptr KV cache allocation failed\n');
+        process.exit(134);
+      }
+    }
+    process.stdout.write(pieces[i]);
+    await sleep(LATENCY_MS);
+  }
+
+  const promptTokens = estimateTokens(prompt);
+  const decodeTokens = estimateTokens(reply);
+  return `\n\nPrefill: ${promptTokens} tokens, 245.3 tokens/sec\n` +
+    `Decode: ${decodeTokens} tokens, 18.7 tokens/sec\n` +
+    'Peak memory: 1536.42 MB\n';
+}
+
+function decodePrompt(line) {
+  return line.replace(/\\(\\|n)/g, (match, c) => (c === 'n' ? '\n' : '\\'));
+}
+
+log('I', 'litert_lm_main.cc:112', 'LiteRT-LM mock starting');
+log('I', 'engine_impl.cc:87', `Loading model ${flag('--model_path')} on ${flag('--backend')} backend`);
+log('I', 'engine_impl.cc:143', 'Created engine with 4 threads');
+
+const images = flagValues(process.env.IMAGE_FLAG || '--image_file');
+for (const image of images) {
+  if (!fs.existsSync(image)) {
+    log('E', 'vision_executor.cc:64', `Could not open image ${image}`);
+    process.exit(1);
+  }
+  log('I', 'vision_executor.cc:71', `Loaded image ${image} (${fs.statSync(image).size} bytes)`);
+}
+
+if (flag('--input_prompt') !== undefined) {
+  generate(flag('--input_prompt'), images).then(stats => process.stdout.write(stats));
+} else if (args.includes('--interactive')) {
+  process.stdout.write(READY_MARKER);
+  const rl = readline.createInterface({ input: process.stdin });
+  let busy = Promise.resolve();
+  rl.on('line', (line) => {
+    const space = line.indexOf(' ');
+    const requestId = line.substring(0, space);
+    busy = busy
+      .then(() => generate(decodePrompt(line.substring(space + 1))))
+      .then(stats => process.stdout.write(stats + READY_MARKER + requestId));
+  });
+} else {
+  log('E', 'litert_lm_main.cc:98', '--input_prompt is required');
+  process.exit(1);
+}
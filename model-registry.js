@@ -0,0 +1,190 @@
+// model-registry.js
+// Registry of the LiteRT-LM models the server can route requests to
+
+const fs = require('fs');
+const path = require('path');
+const { detectTemplate, resolveTemplate } = require('./chat-templates');
+const { resolveProfile } = require('./litert-parser');
+const { CONTEXT_STRATEGIES } = require('./context-window');
+const { MODALITIES } = require('./content-parts');
+
+const MODEL_EXTENSION = '.litertlm';
+
+/**
+ * Fill in defaults for a model entry and check the required fields
+ * @param {Object} entry - Raw entry from the config file or directory scan
+ * @param {Object} defaults - Values used when the entry leaves them out, plus custom templates and output profiles
+ * @param {string} baseDir - Directory relative model paths are resolved against
+ * @returns {Object} - Normalized model entry
+ */
+function normalizeEntry(entry, defaults, baseDir) {
+  if (!entry || typeof entry.id !== 'string' || !entry.id) {
+    throw new Error('Model entry is missing an "id"');
+  }
+  if (typeof entry.path !== 'string' || !entry.path) {
+    throw new Error(`Model "${entry.id}" is missing a "path"`);
+  }
+
+  const resolve = (file) => (path.isAbsolute(file) ? file : path.join(baseDir, file));
+  const modelPath = resolve(entry.path);
+  let created = Math.floor(Date.now() / 1000);
+  try {
+    created = Math.floor(fs.statSync(modelPath).mtimeMs / 1000);
+  } catch (e) {
+    // Model file may not exist yet, keep the load time
+  }
+
+  // Without an explicit template, guess the model family from its id and file name
+  const chatTemplate = entry.chat_template || detectTemplate(`${entry.id} ${path.basename(entry.path)}`);
+  let template;
+  try {
+    template = resolveTemplate(chatTemplate, defaults.templates);
+  } catch (e) {
+    throw new Error(`Model "${entry.id}": ${e.message}`);
+  }
+
+  let outputProfile;
+  try {
+    outputProfile = resolveProfile(entry.output_profile || defaults.output_profile, defaults.output_profiles);
+  } catch (e) {
+    throw new Error(`Model "${entry.id}": ${e.message}`);
+  }
+
+  const contextStrategy = entry.context_strategy || defaults.context_strategy || 'reject';
+  if (!CONTEXT_STRATEGIES.includes(contextStrategy)) {
+    throw new Error(`Model "${entry.id}": unknown context strategy "${contextStrategy}"`);
+  }
+
+  const modalities = entry.modalities || ['text'];
+  if (!Array.isArray(modalities) || !modalities.includes('text') || modalities.some(m => !MODALITIES.includes(m))) {
+    throw new Error(`Model "${entry.id}": modalities must be a list including "text", from ${MODALITIES.join(', ')}`);
+  }
+
+  return {
+    id: entry.id,
+    path: modelPath,
+    backend: entry.backend || defaults.backend,
+    chat_template: typeof chatTemplate === 'string' ? chatTemplate : 'inline',
+    template,
+    output_profile: outputProfile,
+    context_strategy: contextStrategy, // What to do with prompts longer than context_length
+    modalities, // Input the model accepts: "text", plus "image" for vision models
+    tokenizer: entry.tokenizer ? resolve(entry.tokenizer) : null, // SentencePiece .model or tokenizer.json
+    limits: {
+      context_length: (entry.limits && entry.limits.context_length) || null,
+      max_tokens: (entry.limits && entry.limits.max_tokens) || null,
+      timeout_ms: (entry.limits && entry.limits.timeout_ms) || null,
+    },
+    created,
+  };
+}
+
+/**
+ * Read model entries from a JSON config file.
+ * The file holds either an array of entries or
+ * { "default": id, "models": [...], "templates": { name: template },
+ *   "output_profiles": { name: profile } }.
+ * @param {string} configFile - Path to the JSON file
+ * @returns {{entries: Array, defaultId: (string|undefined), templates: (Object|undefined), outputProfiles: (Object|undefined)}}
+ */
+function readConfigFile(configFile) {
+  const content = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  if (Array.isArray(content)) {
+    return { entries: content };
+  }
+  if (content && Array.isArray(content.models)) {
+    return {
+      entries: content.models,
+      defaultId: content.default,
+      templates: content.templates,
+      outputProfiles: content.output_profiles,
+    };
+  }
+  throw new Error(`${configFile} must contain an array of models or a "models" array`);
+}
+
+/**
+ * Find .litertlm files in a directory, using the file name as the model id
+ * @param {string} dir - Directory to scan
+ * @returns {Array} - Raw model entries
+ */
+function scanModelDirectory(dir) {
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith(MODEL_EXTENSION))
+    .sort()
+    .map(f => ({ id: path.basename(f, MODEL_EXTENSION), path: f }));
+}
+
+/**
+ * Build the model registry.
+ * Models come from the config file if it exists, otherwise from a scan of
+ * models_dir, otherwise a single "litert-lm" entry for model_path.
+ * @param {Object} options
+ * @param {string} [options.config_file] - JSON file listing the models
+ * @param {string} [options.models_dir] - Directory to scan for .litertlm files
+ * @param {string} options.model_path - Model used when neither of the above is set
+ * @param {string} options.backend - Backend for entries that don't name one
+ * @param {string} [options.output_profile] - Output profile for entries that don't name one
+ * @param {string} [options.context_strategy] - Context strategy for entries that don't name one
+ * @param {string} [options.default_model] - Id used when a request names no model
+ * @returns {{list: function(): Array, get: function(string): (Object|null), defaultModel: function(): Object}}
+ */
+function createModelRegistry(options) {
+  const defaults = {
+    backend: options.backend,
+    templates: {},
+    output_profile: options.output_profile,
+    output_profiles: {},
+    context_strategy: options.context_strategy,
+  };
+  let entries;
+  let defaultId = options.default_model;
+  let baseDir = '.';
+
+  if (options.config_file && fs.existsSync(options.config_file)) {
+    const config = readConfigFile(options.config_file);
+    entries = config.entries;
+    defaultId = defaultId || config.defaultId;
+    defaults.templates = config.templates || {};
+    defaults.output_profiles = config.outputProfiles || {};
+    baseDir = path.dirname(options.config_file);
+  } else if (options.models_dir) {
+    entries = scanModelDirectory(options.models_dir);
+    baseDir = options.models_dir;
+  } else {
+    entries = [{ id: 'litert-lm', path: options.model_path }];
+  }
+
+  const models = new Map();
+  for (const entry of entries) {
+    const model = normalizeEntry(entry, defaults, baseDir);
+    if (models.has(model.id)) {
+      throw new Error(`Duplicate model id "${model.id}"`);
+    }
+    models.set(model.id, model);
+  }
+
+  if (models.size === 0) {
+    throw new Error('No models configured');
+  }
+  if (defaultId && !models.has(defaultId)) {
+    throw new Error(`Default model "${defaultId}" is not in the registry`);
+  }
+  defaultId = defaultId || models.keys().next().value;
+
+  return {
+    list() {
+      return Array.from(models.values());
+    },
+    get(id) {
+      return models.get(id) || null;
+    },
+    defaultModel() {
+      return models.get(defaultId);
+    }
+  };
+}
+
+module.exports = {
+  createModelRegistry
+};
@@ -0,0 +1,71 @@
+// multipart.js
+// Parses multipart/form-data bodies, which is how OpenAI clients upload files
+
+function invalidRequest(message) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  return err;
+}
+
+// A parameter of a header such as Content-Disposition: form-data; name="file"
+function headerParam(header, name) {
+  const match = header.match(new RegExp(`;\\s*${name}=(?:"((?:[^"\\\\]|\\\\.)*)"|([^;]*))`, 'i'));
+  if (!match) return null;
+  return match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim();
+}
+
+/**
+ * Split a multipart/form-data body into its parts
+ * @param {Buffer} body
+ * @param {string} contentType - Content-Type header, which carries the boundary
+ * @returns {Array<{name: string, filename: (string|null), contentType: (string|null), data: Buffer}>}
+ */
+function parseMultipart(body, contentType) {
+  const boundaryParam = headerParam(contentType || '', 'boundary');
+  if (!/^multipart\/form-data/i.test(contentType || '') || !boundaryParam) {
+    throw invalidRequest('Request body must be multipart/form-data');
+  }
+  const boundary = Buffer.from(`--${boundaryParam}`);
+  const delimiter = Buffer.from(`\r\n--${boundaryParam}`);
+
+  const parts = [];
+  let position = body.indexOf(boundary);
+  if (position === -1) {
+    throw invalidRequest('Multipart body has no parts');
+  }
+  position += boundary.length;
+
+  // Each part starts after a boundary line; "--" after the boundary ends the body
+  while (body.subarray(position, position + 2).toString() !== '--') {
+    const headerStart = position + 2; // Past the CRLF ending the boundary line
+    const headerEnd = body.indexOf('\r\n\r\n', headerStart);
+    if (headerEnd === -1) {
+      throw invalidRequest('Multipart part has no end of headers');
+    }
+    const end = body.indexOf(delimiter, headerEnd + 4);
+    if (end === -1) {
+      throw invalidRequest('Multipart body is missing its closing boundary');
+    }
+
+    const headers = {};
+    for (const line of body.subarray(headerStart, headerEnd).toString('utf8').split('\r\n')) {
+      const colon = line.indexOf(':');
+      if (colon > 0) {
+        headers[line.substring(0, colon).trim().toLowerCase()] = line.substring(colon + 1).trim();
+      }
+    }
+    const disposition = headers['content-disposition'] || '';
+    parts.push({
+      name: headerParam(disposition, 'name'),
+      filename: headerParam(disposition, 'filename'),
+      contentType: headers['content-type'] || null,
+      data: body.subarray(headerEnd + 4, end),
+    });
+    position = end + delimiter.length;
+  }
+  return parts;
+}
+
+module.exports = {
+  parseMultipart
+};
@@ -0,0 +1,133 @@
+// output-limits.js
+// Enforces max_tokens and stop sequences on generated text as it streams in
+
+/**
+ * Normalize an OpenAI "stop" parameter (string, array or null) to an array
+ * @param {(string|string[]|null|undefined)} stop
+ * @returns {string[]}
+ */
+function normalizeStop(stop) {
+  if (stop == null) return [];
+  return (Array.isArray(stop) ? stop : [stop]).filter(s => typeof s === 'string' && s.length > 0);
+}
+
+/**
+ * Create a limiter that cuts generated text at the first stop sequence or
+ * once maxTokens tokens have been produced. Text that could be the start of a
+ * stop sequence is held back until it is known not to be one, so a stop
+ * sequence is never partially emitted.
+ * @param {Object} options
+ * @param {number} [options.maxTokens] - Token limit (no limit if not set)
+ * @param {string[]} [options.stop] - Stop sequences, which are not included in the output
+ * @param {function(string): number} options.countTokens - Token counter for the model
+ * @returns {{push: function(string): Object, end: function(): Object}} - Both return
+ *   { text, finish_reason, stop_sequence }, where finish_reason is 'stop' or 'length' once
+ *   generation should end, and stop_sequence is the stop sequence that ended it, if any
+ */
+function createOutputLimiter({ maxTokens, stop = [], countTokens }) {
+  let pending = '';
+  let emitted = '';
+  // Never less than the tokens in emitted: chunks are counted on their own,
+  // and joining text never takes more tokens than its parts
+  let emittedTokens = 0;
+  let finished = false;
+
+  // Trim text so the total output stays within maxTokens. While there is room
+  // to spare only the new text is counted; near the limit the whole output is
+  // counted, with the same counter as usage, so the cut falls where it would
+  // for the reply in one piece.
+  function cap(text) {
+    if (!maxTokens) {
+      return { text, limited: false };
+    }
+    const tokens = countTokens(text);
+    if (emittedTokens + tokens <= maxTokens) {
+      emittedTokens += tokens;
+      return { text, limited: false };
+    }
+    const total = countTokens(emitted + text);
+    if (total <= maxTokens) {
+      emittedTokens = total;
+      return { text, limited: false };
+    }
+
+    // Longest prefix that still fits
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (countTokens(emitted + text.substring(0, mid)) <= maxTokens) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { text: text.substring(0, low), limited: true };
+  }
+
+  function emit(text, finishReason, stopSequence = null) {
+    const capped = cap(text);
+    emitted += capped.text;
+    if (capped.limited) {
+      finishReason = 'length';
+      stopSequence = null;
+    }
+    if (finishReason) {
+      finished = true;
+    }
+    return { text: capped.text, finish_reason: finishReason, stop_sequence: stopSequence };
+  }
+
+  // Length of the longest suffix of text that could be the start of a stop sequence
+  function stopHoldback(text) {
+    let longest = 0;
+    for (const sequence of stop) {
+      for (let length = Math.min(text.length, sequence.length - 1); length > longest; length--) {
+        if (sequence.startsWith(text.substring(text.length - length))) {
+          longest = length;
+          break;
+        }
+      }
+    }
+    return longest;
+  }
+
+  return {
+    push(chunk) {
+      if (finished) return { text: '', finish_reason: null, stop_sequence: null };
+      pending += chunk;
+
+      let stopIndex = -1;
+      let stopSequence = null;
+      for (const sequence of stop) {
+        const index = pending.indexOf(sequence);
+        if (index !== -1 && (stopIndex === -1 || index < stopIndex)) {
+          stopIndex = index;
+          stopSequence = sequence;
+        }
+      }
+      if (stopIndex !== -1) {
+        const text = pending.substring(0, stopIndex);
+        pending = '';
+        return emit(text, 'stop', stopSequence);
+      }
+
+      const safeLength = pending.length - stopHoldback(pending);
+      const text = pending.substring(0, safeLength);
+      pending = pending.substring(safeLength);
+      return emit(text, null);
+    },
+
+    end() {
+      if (finished) return { text: '', finish_reason: null, stop_sequence: null };
+      const text = pending;
+      pending = '';
+      return emit(text, 'stop');
+    }
+  };
+}
+
+module.exports = {
+  normalizeStop,
+  createOutputLimiter
+};
@@ -0,0 +1,73 @@
+// redaction.js
+// Masks personal data and secrets in prompts and replies before they are
+// written to the audit log or debug output
+
+// Whether a run of digits passes the Luhn check card numbers use, so order
+// numbers and timestamps aren't taken for cards
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+// Built-in patterns by name. A match is replaced with [REDACTED:<name>].
+const REDACTION_PATTERNS = {
+  email: { pattern: /[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}/g },
+  phone: { pattern: /(?<![\w+])(\+\d{1,3}[ .-]?)?\(?\d{3}\)?[ .-]\d{3}[ .-]\d{4}(?!\w)/g },
+  credit_card: {
+    pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+    accept: (match) => passesLuhn(match.replace(/\D/g, '')),
+  },
+  ip_address: { pattern: /(?<![\d.])(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)(?![\d.])/g },
+  // API keys and tokens in well-known formats, Bearer tokens, private key
+  // blocks, and the value of anything written as password=... or api_key: ...
+  secret: {
+    pattern: new RegExp([
+      /\b(?:sk|pk|rk)-[A-Za-z0-9_-]{16,}/.source,
+      /\bAKIA[0-9A-Z]{16}\b/.source,
+      /\bgh[pousr]_[A-Za-z0-9]{36,}/.source,
+      /\bxox[abprs]-[A-Za-z0-9-]{10,}/.source,
+      /\bBearer\s+[A-Za-z0-9._~+/-]+=*/.source,
+      /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/.source,
+      /(?<=\b(?:password|passwd|pwd|secret|token|api[_-]?key)["']?\s*[:=]\s*["']?)[^\s"',;]+/.source,
+    ].join('|'), 'gi'),
+  },
+};
+
+/**
+ * Create a function that redacts text
+ * @param {string[]} names - Built-in patterns to apply (keys of REDACTION_PATTERNS)
+ * @param {string} [custom] - Extra regular expression, replaced with [REDACTED]
+ * @returns {function(string): string}
+ */
+function createRedactor(names, custom) {
+  const rules = names.map((name) => {
+    if (!REDACTION_PATTERNS[name]) {
+      throw new Error(`Unknown redaction pattern "${name}" (use ${Object.keys(REDACTION_PATTERNS).join(', ')})`);
+    }
+    return { ...REDACTION_PATTERNS[name], label: `[REDACTED:${name}]` };
+  });
+  if (custom) {
+    rules.push({ pattern: new RegExp(custom, 'g'), label: '[REDACTED]' });
+  }
+
+  return (text) => {
+    if (typeof text !== 'string') return text;
+    return rules.reduce(
+      (result, rule) => result.replace(rule.pattern, match => (!rule.accept || rule.accept(match) ? rule.label : match)),
+      text
+    );
+  };
+}
+
+module.exports = {
+  REDACTION_PATTERNS,
+  createRedactor
+};
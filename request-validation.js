@@ -0,0 +1,283 @@
+// request-validation.js
+// JSON schemas for the request bodies of each endpoint, checked before a
+// request is handled so bad input is a 400 naming the field at fault
+
+const { validateSchema } = require('./response-format');
+const { apiError } = require('./api-errors');
+const { BATCH_ENDPOINTS, COMPLETION_WINDOWS } = require('./batch-runner');
+
+const nullable = (type) => (Array.isArray(type) ? [...type, 'null'] : [type, 'null']);
+
+const STOP = {
+  type: nullable(['string', 'array']),
+  items: { type: 'string' },
+  maxItems: 4,
+};
+
+// Sampling fields OpenAI endpoints share; sampling.js turns them into flags
+const SAMPLING = {
+  temperature: { type: nullable('number'), minimum: 0, maximum: 2 },
+  top_p: { type: nullable('number'), minimum: 0, maximum: 1 },
+  top_k: { type: nullable('integer'), minimum: 1 },
+  min_p: { type: nullable('number'), minimum: 0, maximum: 1 },
+  seed: { type: nullable('integer') },
+  frequency_penalty: { type: nullable('number'), minimum: -2, maximum: 2 },
+  presence_penalty: { type: nullable('number'), minimum: -2, maximum: 2 },
+  repetition_penalty: { type: nullable('number'), exclusiveMinimum: 0 },
+  logit_bias: { type: nullable('object'), additionalProperties: { type: 'number', minimum: -100, maximum: 100 } },
+};
+
+const CONTENT_PART = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string' },
+    text: { type: 'string' },
+  },
+};
+
+const TOOL_CALL = {
+  type: 'object',
+  required: ['function'],
+  properties: {
+    id: { type: 'string' },
+    type: { const: 'function' },
+    function: {
+      type: 'object',
+      required: ['name'],
+      properties: {
+        name: { type: 'string' },
+        arguments: { type: 'string' },
+      },
+    },
+  },
+};
+
+const CHAT_MESSAGE = {
+  type: 'object',
+  required: ['role'],
+  properties: {
+    role: { enum: ['system', 'developer', 'user', 'assistant', 'tool'] },
+    content: { type: ['string', 'array', 'null'], items: CONTENT_PART },
+    name: { type: 'string' },
+    tool_calls: { type: nullable('array'), items: TOOL_CALL },
+    tool_call_id: { type: 'string' },
+  },
+};
+
+const CHAT_MESSAGES = { type: 'array', minItems: 1, items: CHAT_MESSAGE };
+
+const TOOLS = {
+  type: nullable('array'),
+  items: {
+    type: 'object',
+    required: ['type', 'function'],
+    properties: {
+      type: { const: 'function' },
+      function: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string' },
+          description: { type: 'string' },
+          parameters: { type: 'object' },
+        },
+      },
+    },
+  },
+};
+
+const STREAM_OPTIONS = {
+  type: nullable('object'),
+  properties: { include_usage: { type: 'boolean' } },
+};
+
+// Fields that aren't listed are let through, as OpenAI clients send ones the server doesn't use
+const SCHEMAS = {
+  chat_completion: {
+    type: 'object',
+    required: ['messages'],
+    properties: {
+      model: { type: 'string' },
+      messages: CHAT_MESSAGES,
+      max_tokens: { type: nullable('integer'), minimum: 1 },
+      n: { type: 'integer', minimum: 1, maximum: 128 },
+      stop: STOP,
+      stream: { type: nullable('boolean') },
+      stream_options: STREAM_OPTIONS,
+      tools: TOOLS,
+      tool_choice: { type: ['string', 'object', 'null'] },
+      response_format: {
+        type: nullable('object'),
+        required: ['type'],
+        properties: { type: { enum: ['text', 'json_object', 'json_schema'] } },
+      },
+      logprobs: { type: nullable('boolean') },
+      top_logprobs: { type: nullable('integer'), minimum: 0, maximum: 20 },
+      user: { type: 'string' },
+      ...SAMPLING,
+    },
+  },
+
+  completion: {
+    type: 'object',
+    required: ['prompt'],
+    properties: {
+      model: { type: 'string' },
+      prompt: { type: ['string', 'array'], minItems: 1, items: { type: 'string' } },
+      max_tokens: { type: nullable('integer'), minimum: 1 },
+      n: { type: 'integer', minimum: 1, maximum: 128 },
+      stop: STOP,
+      echo: { type: nullable('boolean') },
+      stream: { type: nullable('boolean') },
+      stream_options: STREAM_OPTIONS,
+      suffix: { type: nullable('string') },
+      logprobs: { type: nullable('integer'), minimum: 0, maximum: 5 },
+      user: { type: 'string' },
+      ...SAMPLING,
+    },
+  },
+
+  // Anthropic Messages; content blocks are checked when they are converted
+  message: {
+    type: 'object',
+    required: ['max_tokens', 'messages'],
+    properties: {
+      model: { type: 'string' },
+      max_tokens: { type: 'integer', minimum: 1 },
+      messages: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['role', 'content'],
+          properties: {
+            role: { enum: ['user', 'assistant'] },
+            content: { type: ['string', 'array'] },
+          },
+        },
+      },
+      system: { type: ['string', 'array'] },
+      stop_sequences: { type: 'array', items: { type: 'string' } },
+      stream: { type: 'boolean' },
+      temperature: { type: 'number', minimum: 0, maximum: 1 },
+      top_p: { type: 'number', minimum: 0, maximum: 1 },
+      top_k: { type: 'integer', minimum: 1 },
+    },
+  },
+
+  debug_prompt: {
+    type: 'object',
+    required: ['messages'],
+    properties: {
+      model: { type: 'string' },
+      messages: CHAT_MESSAGES,
+      tools: TOOLS,
+      tool_choice: { type: ['string', 'object', 'null'] },
+    },
+  },
+
+  tokenize: {
+    type: 'object',
+    properties: {
+      model: { type: 'string' },
+      input: { type: ['string', 'array'], items: { type: 'string' } },
+      messages: CHAT_MESSAGES,
+    },
+  },
+
+  batch: {
+    type: 'object',
+    required: ['input_file_id', 'endpoint', 'completion_window'],
+    properties: {
+      input_file_id: { type: 'string' },
+      endpoint: { enum: BATCH_ENDPOINTS },
+      completion_window: { enum: Object.keys(COMPLETION_WINDOWS) },
+      metadata: {
+        type: nullable('object'),
+        additionalProperties: { type: 'string', maxLength: 512 },
+      },
+    },
+  },
+
+  // Ollama names the model as "name:tag"; without one the default model is used
+  ollama_chat: {
+    type: 'object',
+    properties: {
+      model: { type: 'string' },
+      messages: {
+        type: nullable('array'),
+        items: {
+          type: 'object',
+          required: ['role'],
+          properties: {
+            role: { enum: ['system', 'user', 'assistant', 'tool'] },
+            content: { type: 'string' },
+            images: { type: nullable('array'), items: { type: 'string' } },
+          },
+        },
+      },
+      stream: { type: 'boolean' },
+      options: { type: nullable('object') },
+    },
+  },
+
+  ollama_show: {
+    type: 'object',
+    properties: {
+      model: { type: 'string' },
+      name: { type: 'string' },
+      verbose: { type: 'boolean' },
+    },
+  },
+
+  ollama_generate: {
+    type: 'object',
+    properties: {
+      model: { type: 'string' },
+      prompt: { type: 'string' },
+      system: { type: 'string' },
+      raw: { type: 'boolean' },
+      stream: { type: 'boolean' },
+      options: { type: nullable('object') },
+    },
+  },
+};
+
+// Roles that need content: every message but an assistant turn made of tool calls
+function checkMessageContent(messages) {
+  messages.forEach((message, i) => {
+    const hasToolCalls = Array.isArray(message.tool_calls) && message.tool_calls.length > 0;
+    if (message.content == null && !(message.role === 'assistant' && hasToolCalls)) {
+      throw apiError('invalid_request', `messages[${i}].content is required for ${message.role} messages`, `messages[${i}].content`);
+    }
+  });
+}
+
+/**
+ * Check a request body against its endpoint's schema
+ * @param {*} body - Parsed request body
+ * @param {string} name - Key of SCHEMAS
+ * @throws {Error} - invalid_request error for the first problem found, with
+ *   param set to the field at fault (such as "messages[1].role")
+ */
+function validateRequest(body, name) {
+  const [problem] = validateSchema(body, SCHEMAS[name]);
+  if (problem) {
+    // Schema errors start with the location, such as "$.messages[1].role"
+    const location = problem.match(/^\$\.?(\S*)/)[1];
+    const message = location ? problem.replace(/^\$\.?/, '') : problem.replace(/^\$/, 'Request body');
+    throw apiError('invalid_request', message, location || null);
+  }
+  if (name === 'tokenize' && body.input == null && body.messages == null) {
+    throw apiError('invalid_request', 'Either "input" (a string or array of strings) or "messages" is required', 'input');
+  }
+  if (name === 'chat_completion' || name === 'debug_prompt' || (name === 'tokenize' && body.messages)) {
+    checkMessageContent(body.messages);
+  }
+}
+
+module.exports = {
+  SCHEMAS,
+  validateRequest
+};
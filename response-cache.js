@@ -0,0 +1,152 @@
+// response-cache.js
+// Replies to deterministic requests, kept in memory (least recently used
+// entries go first) and optionally mirrored to a directory so they survive a restart
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Cache key for a run
+ * @param {Array} parts - Everything that decides the reply (model, prompt, sampling flags...)
+ * @returns {string} - SHA-256 hex digest
+ */
+function cacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts), 'utf8').digest('hex');
+}
+
+/**
+ * Create a response cache
+ * @param {Object} options
+ * @param {number} options.maxEntries - Entries kept before the least recently used is evicted
+ * @param {number} options.ttlMs - How long an entry stays valid
+ * @param {string} [options.dir] - Directory entries are also written to, one JSON file each
+ * @param {Object} [options.logger] - Logger for entries that can't be written (see logger.js)
+ * @returns {Object} - Cache
+ */
+function createResponseCache({ maxEntries, ttlMs, dir, logger }) {
+  // Map iteration order is insertion order, so the first key is the least recently used
+  const entries = new Map();
+
+  const fileFor = (key) => path.join(dir, `${key}.json`);
+
+  function removeFile(key) {
+    if (!dir) return;
+    try {
+      fs.unlinkSync(fileFor(key));
+    } catch (e) {
+      // Already gone
+    }
+  }
+
+  function remove(key) {
+    entries.delete(key);
+    removeFile(key);
+  }
+
+  function isExpired(entry, now = Date.now()) {
+    return now - entry.created_at >= ttlMs;
+  }
+
+  function evict() {
+    while (entries.size > maxEntries) {
+      remove(entries.keys().next().value);
+    }
+  }
+
+  // Load what an earlier run left on disk, oldest first so the newest are kept
+  if (dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const loaded = [];
+    for (const name of fs.readdirSync(dir).filter(n => n.endsWith('.json'))) {
+      const key = path.basename(name, '.json');
+      try {
+        const entry = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+        if (isExpired(entry)) {
+          removeFile(key);
+        } else {
+          loaded.push([key, entry]);
+        }
+      } catch (e) {
+        removeFile(key); // Written partly before a crash
+      }
+    }
+    loaded.sort((a, b) => a[1].created_at - b[1].created_at);
+    for (const [key, entry] of loaded) {
+      entries.set(key, entry);
+    }
+    evict();
+  }
+
+  return {
+    /**
+     * Look up an entry, making it the most recently used
+     * @param {string} key
+     * @returns {(Object|null)} - The entry, or null if there is none or it has expired
+     */
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (isExpired(entry)) {
+        remove(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+
+    /**
+     * Store an entry, replacing any under the same key
+     * @param {string} key
+     * @param {Object} entry - JSON-serializable; created_at is added
+     */
+    set(key, entry) {
+      const stored = { ...entry, created_at: Date.now() };
+      entries.delete(key);
+      entries.set(key, stored);
+      if (dir) {
+        try {
+          // Renamed into place so a crash can't leave half an entry
+          const temp = path.join(dir, `.${key}.${process.pid}.tmp`);
+          fs.writeFileSync(temp, JSON.stringify(stored));
+          fs.renameSync(temp, fileFor(key));
+        } catch (err) {
+          if (logger) {
+            logger.error('Could not write cache entry', { key, error: err.message });
+          }
+        }
+      }
+      evict();
+    },
+
+    /**
+     * Remove entries
+     * @param {Object} [filter]
+     * @param {string} [filter.model] - Only entries for this model id
+     * @returns {number} - Entries removed
+     */
+    purge(filter = {}) {
+      let count = 0;
+      for (const [key, entry] of Array.from(entries)) {
+        if (filter.model && entry.model !== filter.model) continue;
+        remove(key);
+        count++;
+      }
+      return count;
+    },
+
+    /**
+     * Number of entries held
+     * @returns {number}
+     */
+    size() {
+      return entries.size;
+    }
+  };
+}
+
+module.exports = {
+  cacheKey,
+  createResponseCache
+};
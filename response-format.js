@@ -0,0 +1,315 @@
+// response-format.js
+// JSON mode and JSON schema output: format instructions for the prompt,
+// extraction of the JSON from generated text, and schema validation
+
+const { appendSystemText } = require('./chat-templates');
+const { apiError } = require('./api-errors');
+
+// Compiled pattern keywords by the schema holding them, so a schema's
+// patterns are compiled once rather than for every value checked
+const compiledPatterns = new WeakMap();
+
+function patternOf(schema) {
+  let regex = compiledPatterns.get(schema);
+  if (!regex) {
+    regex = new RegExp(schema.pattern, 'u');
+    compiledPatterns.set(schema, regex);
+  }
+  return regex;
+}
+
+// Compile every pattern in a client's schema, so a bad one is turned away
+// with the request instead of failing while the reply is checked
+function compilePatterns(node, path) {
+  if (!node || typeof node !== 'object') return;
+  if (!Array.isArray(node) && node.pattern !== undefined && typeof node.pattern !== 'object') {
+    try {
+      patternOf(node);
+    } catch (e) {
+      throw apiError('invalid_request', `json_schema pattern at ${path} is not a valid regular expression: ${e.message}`, 'response_format');
+    }
+  }
+  for (const [key, child] of Object.entries(node)) {
+    compilePatterns(child, `${path}/${key}`);
+  }
+}
+
+// The $refs a schema follows while still checking the same value: its own,
+// or those of its allOf, anyOf and oneOf branches
+function sameValueRefs(schema) {
+  if (!schema || typeof schema !== 'object') return [];
+  if (typeof schema.$ref === 'string') return [schema.$ref];
+  return [schema.allOf, schema.anyOf, schema.oneOf]
+    .filter(Array.isArray)
+    .flat()
+    .flatMap(sameValueRefs);
+}
+
+function refersBack(ref, root) {
+  const seen = new Set();
+  const pending = [ref];
+  while (pending.length > 0) {
+    for (const next of sameValueRefs(resolveRef(pending.pop(), root))) {
+      if (next === ref) return true;
+      if (!seen.has(next)) {
+        seen.add(next);
+        pending.push(next);
+      }
+    }
+  }
+  return false;
+}
+
+// Turn away $refs that point nowhere, or that lead back to themselves
+// without a value being matched on the way
+function checkRefs(node, root, path) {
+  if (!node || typeof node !== 'object') return;
+  if (!Array.isArray(node) && typeof node.$ref === 'string') {
+    if (!resolveRef(node.$ref, root)) {
+      throw apiError('invalid_request', `json_schema $ref at ${path} cannot be resolved: ${node.$ref}`, 'response_format');
+    }
+    if (refersBack(node.$ref, root)) {
+      throw apiError('invalid_request', `json_schema $ref at ${path} refers back to itself: ${node.$ref}`, 'response_format');
+    }
+  }
+  for (const [key, child] of Object.entries(node)) {
+    checkRefs(child, root, `${path}/${key}`);
+  }
+}
+
+/**
+ * Check an OpenAI response_format parameter
+ * @param {Object} [responseFormat] - { type: "text" | "json_object" | "json_schema", json_schema }
+ * @returns {({name: string, schema: (Object|null)}|null)} - null for plain text
+ */
+function resolveResponseFormat(responseFormat) {
+  if (responseFormat == null || responseFormat.type === 'text') {
+    return null;
+  }
+  if (responseFormat.type === 'json_object') {
+    return { name: 'json_object', schema: null };
+  }
+  if (responseFormat.type === 'json_schema') {
+    const spec = responseFormat.json_schema;
+    if (!spec || typeof spec.name !== 'string' || !spec.schema || typeof spec.schema !== 'object') {
+      throw apiError('invalid_request', 'json_schema needs a "name" and a "schema" object', 'response_format');
+    }
+    compilePatterns(spec.schema, '#');
+    checkRefs(spec.schema, spec.schema, '#');
+    return { name: spec.name, schema: spec.schema };
+  }
+  throw apiError('invalid_request', 'response_format type must be "text", "json_object" or "json_schema"', 'response_format');
+}
+
+/**
+ * Add instructions for the requested format to the conversation
+ * @param {Array} messages - OpenAI chat messages
+ * @param {Object} format - Result of resolveResponseFormat
+ * @returns {Array}
+ */
+function addFormatInstructions(messages, format) {
+  const instructions = format.schema
+    ? `Reply with only a JSON value that matches this JSON schema, without any other text:\n${JSON.stringify(format.schema)}`
+    : 'Reply with only a valid JSON object, without any other text.';
+  return appendSystemText(messages, instructions);
+}
+
+// End of the JSON object or array starting at text[start], or -1 if it isn't closed
+function matchingBracket(text, start) {
+  const stack = [];
+  let inString = false;
+  for (let i = start; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === '\\') i++;
+      else if (ch === '"') inString = false;
+    } else if (ch === '"') {
+      inString = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch === '{' ? '}' : ']');
+    } else if (ch === '}' || ch === ']') {
+      if (stack.pop() !== ch) return -1;
+      if (stack.length === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the JSON in generated text: the whole reply, a fenced code block, or
+ * the first complete object or array in the text
+ * @param {string} text
+ * @returns {({json: string, value: *}|null)}
+ */
+function extractJSON(text) {
+  const candidates = [text.trim()];
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) {
+    candidates.push(fenced[1].trim());
+  }
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '{' || text[i] === '[') {
+      const end = matchingBracket(text, i);
+      if (end !== -1) {
+        candidates.push(text.substring(i, end + 1));
+        break;
+      }
+    }
+  }
+
+  for (const json of candidates) {
+    try {
+      return { json, value: JSON.parse(json) };
+    } catch (e) {
+      // Try the next candidate
+    }
+  }
+  return null;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref, root) {
+  if (ref === '#') return root;
+  if (!ref.startsWith('#/')) return null;
+  return ref.substring(2).split('/').reduce(
+    (node, key) => (node ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined),
+    root
+  ) || null;
+}
+
+/**
+ * Validate a value against a JSON schema. Supports the keywords structured
+ * output schemas use: type, enum, const, properties, required,
+ * additionalProperties, items, min/max lengths, items and values, pattern,
+ * anyOf, oneOf, allOf and local $refs.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path] - Location used in error messages
+ * @param {Object} [root] - Schema that $refs resolve against
+ * @param {Set<string>} [refs] - $refs already followed for this value
+ * @returns {string[]} - Validation errors, empty if the value is valid
+ */
+function validateSchema(value, schema, path = '$', root = schema, refs = new Set()) {
+  if (schema === true || schema == null) return [];
+  if (schema === false) return [`${path} is not allowed`];
+
+  if (schema.$ref) {
+    const target = resolveRef(schema.$ref, root);
+    if (!target) return [`${path}: cannot resolve ${schema.$ref}`];
+    if (refs.has(schema.$ref)) return [`${path}: ${schema.$ref} refers back to itself`];
+    return validateSchema(value, target, path, root, new Set(refs).add(schema.$ref));
+  }
+
+  const errors = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} should be ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path} should be one of ${JSON.stringify(schema.enum)}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path} should be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} should have at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} should have at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !patternOf(schema).test(value)) {
+      errors.push(`${path} should match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push(`${path} should be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) errors.push(`${path} should be < ${schema.exclusiveMaximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} should have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`, root)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        errors.push(...validateSchema(item, properties[key], `${path}.${key}`, root));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not allowed`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(item, schema.additionalProperties, `${path}.${key}`, root));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(sub => errors.push(...validateSchema(value, sub, path, root, refs)));
+  }
+  if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(value, sub, path, root, refs).length === 0)) {
+    errors.push(`${path} does not match any allowed schema`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(sub => validateSchema(value, sub, path, root, refs).length === 0).length !== 1) {
+    errors.push(`${path} should match exactly one allowed schema`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check generated text against a response format
+ * @param {string} text - Generated text
+ * @param {Object} format - Result of resolveResponseFormat
+ * @returns {{json: (string|null), errors: string[]}} - The JSON found, and why it is not acceptable
+ */
+function checkResponse(text, format) {
+  const extracted = extractJSON(text);
+  if (!extracted) {
+    return { json: null, errors: ['reply does not contain valid JSON'] };
+  }
+  if (!format.schema) {
+    const errors = typeOf(extracted.value) === 'object' ? [] : ['reply should be a JSON object'];
+    return { json: extracted.json, errors };
+  }
+  return { json: extracted.json, errors: validateSchema(extracted.value, format.schema) };
+}
+
+module.exports = {
+  resolveResponseFormat,
+  addFormatInstructions,
+  extractJSON,
+  validateSchema,
+  checkResponse
+};
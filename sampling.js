@@ -0,0 +1,84 @@
+// sampling.js
+// Maps OpenAI sampling parameters onto litert_lm_main command line flags
+
+// Request fields that change how tokens are sampled
+const SAMPLING_PARAMS = [
+  'temperature',
+  'top_p',
+  'top_k',
+  'min_p',
+  'seed',
+  'frequency_penalty',
+  'presence_penalty',
+  'repetition_penalty',
+  'logit_bias',
+  'logprobs',
+  'top_logprobs',
+];
+
+/**
+ * Parse a flag mapping such as "temperature=--temperature,seed=--seed"
+ * @param {string} [spec]
+ * @returns {Object} - Flag for each supported parameter
+ */
+function parseSamplingFlags(spec) {
+  const flags = {};
+  for (const pair of (spec || '').split(',')) {
+    const [param, flag] = pair.split('=').map(s => s.trim());
+    if (!param) continue;
+    if (!SAMPLING_PARAMS.includes(param) || !flag) {
+      throw new Error(`Invalid sampling flag mapping "${pair}"`);
+    }
+    flags[param] = flag;
+  }
+  return flags;
+}
+
+/**
+ * Work out the command line flags for a request's sampling parameters
+ * @param {Object} body - Request body
+ * @param {Object} flags - Result of parseSamplingFlags
+ * @returns {{args: string[], unsupported: string[]}} - Flags to pass, and
+ *   parameters the request set that the binary can't take
+ */
+function samplingArgs(body, flags) {
+  const args = [];
+  const unsupported = [];
+
+  for (const param of SAMPLING_PARAMS) {
+    const value = body[param];
+    if (value == null || value === false) continue;
+
+    if (!flags[param]) {
+      unsupported.push(param);
+    } else if (typeof value !== 'number' || !Number.isFinite(value)) {
+      const err = new Error(`${param} must be a number`);
+      err.code = 'invalid_request';
+      err.param = param;
+      throw err;
+    } else {
+      args.push(`${flags[param]}=${value}`);
+    }
+  }
+
+  return { args, unsupported };
+}
+
+/**
+ * Whether a request's reply is fully decided by its prompt: it asks for
+ * temperature 0 or a fixed seed, and the binary takes that parameter
+ * @param {Object} body - Request body
+ * @param {Object} flags - Result of parseSamplingFlags
+ * @returns {boolean}
+ */
+function isDeterministic(body, flags) {
+  return (body.temperature === 0 && Boolean(flags.temperature)) ||
+    (Number.isInteger(body.seed) && Boolean(flags.seed));
+}
+
+module.exports = {
+  SAMPLING_PARAMS,
+  parseSamplingFlags,
+  samplingArgs,
+  isDeterministic
+};
@@ -0,0 +1,153 @@
+// scheduler.js
+// Limits how many LiteRT-LM processes run at once and queues the rest
+
+const { AsyncResource } = require('async_hooks');
+
+// Number of recent wait times kept for the averages reported on /health
+const WAIT_SAMPLE_SIZE = 100;
+
+/**
+ * Create a scheduler that runs at most maxConcurrent tasks at a time.
+ * Waiting tasks are kept in a bounded queue ordered by priority (higher first),
+ * then by arrival. When the queue is full, run() rejects with an error whose
+ * code is 'queue_full' and whose retryAfter is a suggested delay in seconds.
+ * @param {Object} options
+ * @param {number} options.maxConcurrent - Maximum number of tasks running at once
+ * @param {number} options.maxQueue - Maximum number of tasks waiting to run
+ * @returns {{run: function(function(): Promise, Object=): Promise, resize: function(Object), stats: function(): Object}}
+ */
+function createScheduler({ maxConcurrent, maxQueue }) {
+  const queue = [];
+  const waitTimes = [];
+  const runTimes = [];
+  let active = 0;
+  let completed = 0;
+  let rejected = 0;
+  let maxWaitMs = 0;
+
+  function record(samples, value) {
+    samples.push(value);
+    if (samples.length > WAIT_SAMPLE_SIZE) {
+      samples.shift();
+    }
+  }
+
+  function average(samples) {
+    if (samples.length === 0) return 0;
+    return samples.reduce((sum, value) => sum + value, 0) / samples.length;
+  }
+
+  // Rough estimate of how long until a queue slot frees up
+  function retryAfterSeconds() {
+    const avgRunMs = average(runTimes) || 1000;
+    return Math.max(1, Math.ceil((avgRunMs * (queue.length + 1)) / maxConcurrent / 1000));
+  }
+
+  function start(job) {
+    active++;
+    const waitMs = Date.now() - job.enqueuedAt;
+    record(waitTimes, waitMs);
+    maxWaitMs = Math.max(maxWaitMs, waitMs);
+
+    const startedAt = Date.now();
+    Promise.resolve()
+      .then(() => job.task({ waitMs }))
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        active--;
+        completed++;
+        record(runTimes, Date.now() - startedAt);
+        next();
+      });
+  }
+
+  function next() {
+    while (active < maxConcurrent && queue.length > 0) {
+      start(queue.shift());
+    }
+  }
+
+  return {
+    /**
+     * Run a task once a slot is free
+     * @param {function(Object): Promise} task - Called with { waitMs } when it starts
+     * @param {Object} [options]
+     * @param {number} [options.priority=0] - Higher priorities leave the queue first
+     * @param {AbortSignal} [options.signal] - Removes the task from the queue when aborted
+     * @returns {Promise} - Settles with the task's result
+     */
+    run(task, { priority = 0, signal } = {}) {
+      return new Promise((resolve, reject) => {
+        // A queued task is started by whichever task finishes before it, so it
+        // is bound to the async context it was queued from (and that request's
+        // configuration, see server.js)
+        const job = { task: AsyncResource.bind(task), priority, resolve, reject, enqueuedAt: Date.now() };
+
+        // A task that is already running handles its own cancellation
+        if (signal) {
+          signal.addEventListener('abort', () => {
+            const index = queue.indexOf(job);
+            if (index !== -1) {
+              queue.splice(index, 1);
+              const err = new Error('Request was cancelled while queued');
+              err.code = 'cancelled';
+              reject(err);
+            }
+          }, { once: true });
+        }
+
+        if (active < maxConcurrent && queue.length === 0) {
+          return start(job);
+        }
+
+        if (queue.length >= maxQueue) {
+          rejected++;
+          const err = new Error(`Server is busy: ${queue.length} requests already queued`);
+          err.code = 'queue_full';
+          err.retryAfter = retryAfterSeconds();
+          return reject(err);
+        }
+
+        // Insert after every job of equal or higher priority to keep FIFO order
+        let index = queue.length;
+        while (index > 0 && queue[index - 1].priority < priority) {
+          index--;
+        }
+        queue.splice(index, 0, job);
+      });
+    },
+
+    /**
+     * Change the limits. Running tasks carry on; with a smaller queue, tasks
+     * already waiting keep their place and only new ones are turned away.
+     * @param {Object} limits
+     * @param {number} limits.maxConcurrent
+     * @param {number} limits.maxQueue
+     */
+    resize(limits) {
+      maxConcurrent = limits.maxConcurrent;
+      maxQueue = limits.maxQueue;
+      next();
+    },
+
+    stats() {
+      return {
+        active,
+        queued: queue.length,
+        max_concurrent: maxConcurrent,
+        max_queue: maxQueue,
+        completed,
+        rejected,
+        wait_ms: {
+          average: Math.round(average(waitTimes)),
+          max: maxWaitMs,
+          oldest_queued: queue.length > 0 ? Date.now() - Math.min(...queue.map(j => j.enqueuedAt)) : 0,
+        },
+      };
+    }
+  };
+}
+
+module.exports = {
+  createScheduler
+};
@@ -2,13 +2,41 @@
 // LiteRT-LM OpenAI-compatible API Server
 // 
 // Note: This version fixes the benchmark flag issue. LiteRT-LM doesn't support
-// max_tokens for regular inference - it generates until reaching a stop token.
+// max_tokens for regular inference - it generates until reaching a stop token,
+// so the server enforces max_tokens and stop sequences itself on the output.
+// Streaming requests forward the binary's stdout as it is produced.
 
 const express = require('express');
-const { spawn } = require('child_process');
-const path = require('path');
+const fs = require('fs');
 const crypto = require('crypto');
-const { parseLiteRTOutput, parseStructuredOutput } = require('./litert-parser');
+const { AsyncLocalStorage } = require('async_hooks');
+const { parseLiteRTOutput, parseMetrics, createStreamParser } = require('./litert-parser');
+const { createModelRegistry } = require('./model-registry');
+const { messagesToPrompt, normalizeRoles } = require('./chat-templates');
+const { resolveTools, addToolInstructions, parseToolCalls, createToolCallFilter } = require('./tool-calls');
+const { resolveResponseFormat, addFormatInstructions, checkResponse } = require('./response-format');
+const { samplingArgs, isDeterministic } = require('./sampling');
+const { createScheduler } = require('./scheduler');
+const { normalizeStop, createOutputLimiter } = require('./output-limits');
+const { getTokenCounter } = require('./tokenizer');
+const { createMetricsRegistry } = require('./metrics');
+const { fitConversation, contextExceededError } = require('./context-window');
+const { safeEqual, createKeyStore, isExpired, allowsModel, createRateLimiter } = require('./key-store');
+const { createUsageLedger } = require('./usage-ledger');
+const { cacheKey, createResponseCache } = require('./response-cache');
+const { contentText, resolveContent, promptImages } = require('./content-parts');
+const { runProcess, killAllProcesses, cancelledError } = require('./litert-process');
+const { apiError, errorResponse } = require('./api-errors');
+const { validateRequest } = require('./request-validation');
+const { createLogger } = require('./logger');
+const { createRedactor } = require('./redaction');
+const { createAuditLog } = require('./audit-log');
+const { UPLOAD_PURPOSES, createFileStore } = require('./file-store');
+const { createBatchRunner } = require('./batch-runner');
+const { parseMultipart } = require('./multipart');
+const { createWorkerPool } = require('./worker-pool');
+const { SETTINGS, SECRET_MASK, envSettings, readConfigFile, resolveConfig, diffSettings, maskSettings, watchFile } = require('./config');
+const packageInfo = require('./package.json');
 
 // Load environment variables from .env file if it exists
 try {
@@ -18,310 +46,2404 @@ try {
 }
 
 const app = express();
-app.use(express.json());
-
-// Configuration
-const CONFIG = {
-  port: process.env.PORT || 3000,
-  litert_binary: process.env.LITERT_BINARY || './litert_lm_main',
-  model_path: process.env.MODEL_PATH || 'gemma-3n-e4b-it-int4.litertlm',
-  backend: process.env.BACKEND || 'cpu',
-  api_key: process.env.API_KEY || 'sk-litert-demo-key', // Optional API key for security
-  debug: process.env.DEBUG === 'true', // Enable debug logging
+
+// Configuration: settings from the environment, overridden by CONFIG_FILE
+// (see config.js). The file can be changed while the server runs, and is
+// applied by applyConfig() further down.
+const configFile = process.env.CONFIG_FILE || './config.json';
+const startupSettings = { ...envSettings(process.env), ...readConfigFile(configFile) };
+const startupConfig = resolveConfig(startupSettings);
+if (!startupConfig.config) {
+  throw new Error(`Invalid configuration: ${startupConfig.errors.map(e => e.message).join('; ')}`);
+}
+
+// The active configuration and the model registry built from it. A reload
+// swaps in a new one whole; requests run with the one that was active when
+// they arrived (see configScope below), so they finish on the old settings.
+let active = {
+  settings: startupSettings,
+  config: startupConfig.config,
+  models: buildModels(startupConfig.config),
+  loaded_at: new Date().toISOString(),
+};
+const configScope = new AsyncLocalStorage();
+const activeFor = () => configScope.getStore() || active;
+const CONFIG = new Proxy({}, { get: (target, name) => activeFor().config[name] });
+const models = new Proxy({}, { get: (target, name) => activeFor().models[name] });
+
+// Model registry for a configuration
+function buildModels(config) {
+  const registry = createModelRegistry({
+    config_file: config.models_config,
+    models_dir: config.models_dir,
+    model_path: config.model_path,
+    backend: config.backend,
+    default_model: config.default_model,
+    output_profile: config.output_profile,
+    context_strategy: config.context_strategy,
+  });
+  if (config.context_summary_model && !registry.get(config.context_summary_model)) {
+    throw new Error(`Context summary model "${config.context_summary_model}" is not in the registry`);
+  }
+  return registry;
+}
+
+const logger = createLogger({ level: CONFIG.log_level });
+const redact = createRedactor(CONFIG.log_redact, CONFIG.log_redact_pattern);
+const auditLog = CONFIG.audit_log ? createAuditLog({
+  file: CONFIG.audit_log,
+  maxBytes: CONFIG.audit_log_max_bytes,
+  maxFiles: CONFIG.audit_log_max_files,
+  redact,
+}) : null;
+
+// Every request gets an id, returned as X-Request-Id, and one log line when it
+// ends. Routes that make their own response ids (chatcmpl-..., msg_...) use
+// those instead, and fill in requestLog as the request is served.
+app.use((req, res, next) => {
+  const startedAt = Date.now();
+  req.requestLog = { request_id: `req_${crypto.randomBytes(12).toString('hex')}` };
+  res.set('X-Request-Id', req.requestLog.request_id);
+  res.on('close', () => {
+    const status = res.writableFinished ? res.statusCode : 499; // 499: the client went away first
+    logger[status >= 500 ? 'error' : 'info']('request', {
+      ...req.requestLog,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status,
+      key: req.apiKey ? req.apiKey.name : undefined,
+      latency_ms: Date.now() - startedAt,
+    });
+  });
+  next();
+});
+
+// Use a route's response id as the request id
+function setRequestId(req, res, id) {
+  req.requestLog.request_id = id;
+  res.set('X-Request-Id', id);
+}
+
+app.use(express.json({ limit: CONFIG.body_limit }));
+
+// Pin each request to the configuration active when it arrived. This comes
+// after the body is read, as callbacks from the request stream lose the scope.
+app.use((req, res, next) => configScope.run(active, next));
+
+const scheduler = createScheduler({
+  maxConcurrent: CONFIG.max_concurrent,
+  maxQueue: CONFIG.max_queue,
+});
+
+const workerPool = CONFIG.worker_pool ? createWorkerPool({
+  binary: CONFIG.litert_binary,
+  workerArgs: CONFIG.worker_args,
+  size: CONFIG.workers_per_model,
+  maxRequests: CONFIG.worker_max_requests,
+  readyMarker: CONFIG.worker_ready_marker,
+  startupTimeoutMs: CONFIG.worker_startup_timeout,
+  logger: logger.child({ component: 'worker-pool' }),
+}) : null;
+
+// Stop the worker pool and every LiteRT process still running. Children run in
+// their own process groups, so they don't get the terminal's SIGINT.
+function shutdown() {
+  if (workerPool) {
+    workerPool.shutdown();
+  }
+  killAllProcesses();
+}
+
+// Prometheus metrics, exposed on /metrics
+const metricsRegistry = createMetricsRegistry();
+const SECONDS_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const metrics = {
+  runs: metricsRegistry.counter('litert_runs_total', 'LiteRT inference runs by outcome', ['model', 'backend', 'outcome']),
+  errors: metricsRegistry.counter('litert_errors_total', 'Failed LiteRT runs by error type', ['model', 'backend', 'type']),
+  exits: metricsRegistry.counter('litert_process_exits_total', 'LiteRT process exits by exit code', ['model', 'backend', 'code']),
+  latency: metricsRegistry.histogram('litert_request_duration_seconds', 'Time from queueing a run to its completion', ['model', 'backend'], SECONDS_BUCKETS),
+  firstToken: metricsRegistry.histogram('litert_time_to_first_token_seconds', 'Time from queueing a run to its first generated text', ['model', 'backend'], SECONDS_BUCKETS),
+  queueWait: metricsRegistry.histogram('litert_queue_wait_seconds', 'Time runs spend waiting for a free slot', ['model', 'backend'], [0, ...SECONDS_BUCKETS]),
+  prefill: metricsRegistry.histogram('litert_prefill_tokens_per_second', 'Prefill speed reported by LiteRT', ['model', 'backend'], [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000]),
+  decode: metricsRegistry.histogram('litert_decode_tokens_per_second', 'Decode speed reported by LiteRT', ['model', 'backend'], [1, 2, 5, 10, 15, 20, 30, 50, 100, 200, 500]),
+  parses: metricsRegistry.counter('litert_output_parses_total', 'Replies parsed from LiteRT output by confidence', ['model', 'backend', 'confidence']),
+  cache: metricsRegistry.counter('litert_cache_lookups_total', 'Response cache lookups by result', ['model', 'backend', 'result']),
+  peakMemory: metricsRegistry.histogram('litert_peak_memory_megabytes', 'Peak memory reported by LiteRT', ['model', 'backend'], [256, 512, 1024, 2048, 3072, 4096, 6144, 8192, 16384]),
+};
+metricsRegistry.gauge('litert_queue_depth', 'Runs waiting for a free slot', () => scheduler.stats().queued);
+metricsRegistry.gauge('litert_active_runs', 'Runs currently executing', () => scheduler.stats().active);
+
+const responseCache = CONFIG.response_cache ? createResponseCache({
+  maxEntries: CONFIG.response_cache_max_entries,
+  ttlMs: CONFIG.response_cache_ttl,
+  dir: CONFIG.response_cache_dir,
+  logger,
+}) : null;
+
+const keyStore = createKeyStore({ file: CONFIG.keys_file });
+const usageLedger = createUsageLedger({ file: CONFIG.usage_ledger });
+const rateLimiter = createRateLimiter();
+
+// API_KEY is treated as one more key, without limits
+const ENV_KEY = {
+  id: 'env',
+  name: 'API_KEY',
+  models: null,
+  requests_per_minute: null,
+  tokens_per_day: null,
+  expires_at: null,
+};
+
+// Requests are authenticated once there is any key to check them against
+function authRequired() {
+  return Boolean(CONFIG.api_key) || keyStore.hasActiveKeys();
+}
+
+const bearerToken = (req) => {
+  const authHeader = req.headers.authorization;
+  return authHeader && authHeader.startsWith('Bearer ') ? authHeader.substring(7) : null;
+};
+
+// Seconds until the tokens-per-day allowance resets at midnight UTC
+function secondsUntilTomorrow(now = Date.now()) {
+  const midnight = new Date(now);
+  midnight.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((midnight.getTime() - now) / 1000);
+}
+
+// Error for a key that has used up its tokens for the day, or null
+function quotaError(key) {
+  if (!key.tokens_per_day || usageLedger.tokensToday(key.id) < key.tokens_per_day) {
+    return null;
+  }
+  const error = apiError('insufficient_quota', `API key "${key.name}" has used its ${key.tokens_per_day} tokens for today`);
+  error.retryAfter = secondsUntilTomorrow();
+  return error;
+}
+
+// Work out which key a request presented and whether it may go ahead.
+// Returns { key } (null when authentication is off), or { error } to turn
+// the request away with; rate limit errors carry retryAfter in seconds.
+function checkAccess(providedKey) {
+  if (!authRequired()) {
+    return { key: null };
+  }
+  if (!providedKey) {
+    return { error: apiError('missing_api_key', 'Missing or invalid API key') };
+  }
+
+  let key = keyStore.authenticate(providedKey);
+  if (CONFIG.api_key && safeEqual(providedKey, CONFIG.api_key)) {
+    key = ENV_KEY;
+  }
+  if (!key) {
+    return { error: apiError('invalid_api_key', 'Invalid API key') };
+  }
+  if (isExpired(key)) {
+    return { error: apiError('expired_api_key', 'API key has expired') };
+  }
+
+  const quota = quotaError(key);
+  if (quota) {
+    return { error: quota };
+  }
+  if (key.requests_per_minute) {
+    const taken = rateLimiter.take(key.id, key.requests_per_minute);
+    if (!taken.ok) {
+      const error = apiError('rate_limit_exceeded', `API key "${key.name}" is limited to ${key.requests_per_minute} requests per minute`);
+      error.retryAfter = taken.retryAfter;
+      return { error };
+    }
+  }
+  return { key };
+}
+
+// Send an error in OpenAI's shape, with Retry-After for errors that say when to come back
+function sendError(res, error) {
+  const { status, body } = errorResponse(error);
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  return res.status(status).json(body);
+}
+
+// Middleware for API key authentication, model access, rate limits and quotas
+const authenticateAPIKey = (req, res, next) => {
+  const access = checkAccess(bearerToken(req));
+  if (access.error) {
+    return sendError(res, access.error);
+  }
+  req.apiKey = access.key;
+  next();
+};
+
+// Middleware for the /admin endpoints. Without ADMIN_KEY there is no admin
+// API; the key can be set or changed by reloading the configuration.
+const authenticateAdmin = (req, res, next) => {
+  if (!CONFIG.admin_key) {
+    return sendError(res, apiError('unknown_url', `Unknown request URL: ${req.method} ${req.baseUrl}${req.path}`));
+  }
+  if (!safeEqual(bearerToken(req) || '', CONFIG.admin_key)) {
+    return sendError(res, apiError('invalid_api_key', 'Invalid admin key'));
+  }
+  next();
 };
 
-// Middleware for optional API key authentication
-const authenticateAPIKey = (req, res, next) => {
-  if (CONFIG.api_key) {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return res.status(401).json({ error: 'Missing or invalid API key' });
-    }
+// Registry entry for a model the request's key may use, or null
+function modelFor(req, id) {
+  const model = models.get(id);
+  return model && allowsModel(req.apiKey, model.id) ? model : null;
+}
+
+// Add a run's tokens to its key's usage
+function recordUsage(key, model, prompt, result) {
+  try {
+    usageLedger.record({
+      key_id: key.id,
+      key_name: key.name,
+      model: model.id,
+      prompt_tokens: countTokens(model, prompt),
+      completion_tokens: countTokens(model, result.text),
+    });
+  } catch (err) {
+    logger.error('Could not record usage', { error: err });
+  }
+}
+
+// Limiter for the runs of a request with several choices (n > 1). At most
+// max_concurrent of them go to the scheduler at once and the rest wait inside
+// the request, so a large n doesn't fill the shared queue by itself.
+function choiceLimiter() {
+  return createScheduler({ maxConcurrent: CONFIG.max_concurrent, maxQueue: Infinity });
+}
+
+// Queue a LiteRT-LM run behind the concurrency limit and record its metrics.
+// options.priority orders waiting requests (higher runs first).
+// options.signal (an AbortSignal) cancels the run while queued or running.
+// options.key is the API key record the run's tokens are counted against.
+// options.onCache marks a deterministic run: the response cache is checked
+// first, and onCache is told 'hit' or 'miss'. A hit doesn't run the model, so
+// it is free: nothing is added to the key's usage.
+// options.requestLog is the request's log line, which gathers the model,
+// token counts, exit code and parse outcome of its runs.
+// options.choices (see choiceLimiter) limits how many of a request's runs are
+// handed to the scheduler at once.
+function runLiteRT(prompt, options = {}) {
+  const model = options.model || models.defaultModel();
+  const labels = { model: model.id, backend: model.backend };
+  const queuedAt = Date.now();
+
+  const key = responseCache && options.onCache ? runCacheKey(model, prompt, options) : null;
+  if (key) {
+    const cached = cachedResult(key, model, options);
+    metrics.cache.inc({ ...labels, result: cached ? 'hit' : 'miss' });
+    options.onCache(cached ? 'hit' : 'miss');
+    if (cached) {
+      // Logged, but deliberately not recorded as usage
+      logRun(options, model, prompt, cached);
+      return Promise.resolve(cached);
+    }
+  }
+
+  const schedule = () => scheduler.run(({ waitMs }) => {
+    metrics.queueWait.observe(labels, waitMs / 1000);
+    return executeLiteRT(prompt, options);
+  }, {
+    priority: options.priority,
+    signal: options.signal,
+  });
+  return (options.choices ? options.choices.run(schedule, { signal: options.signal }) : schedule()).then((result) => {
+    recordRunMetrics(labels, queuedAt, result);
+    logRun(options, model, prompt, result);
+    if (options.key) {
+      recordUsage(options.key, model, prompt, result);
+    }
+    if (key) {
+      storeResult(key, model, options, result);
+    }
+    return result;
+  }, (err) => {
+    metrics.runs.inc({ ...labels, outcome: err.code === 'cancelled' ? 'cancelled' : 'error' });
+    metrics.errors.inc({ ...labels, type: err.code || 'internal_error' });
+    if (err.exitCode !== undefined) {
+      metrics.exits.inc({ ...labels, code: err.exitCode });
+    }
+    metrics.latency.observe(labels, (Date.now() - queuedAt) / 1000);
+    logRun(options, model, prompt, null, err);
+    throw err;
+  });
+}
+
+// Add a run to its request's log line, and to the audit log. A request with
+// several runs (n > 1, retries, summaries) adds up their tokens and keeps the
+// last exit code and parse outcome.
+function logRun(options, model, prompt, result, err) {
+  const log = options.requestLog;
+  if (log) {
+    log.model = log.model || model.id;
+    log.runs = (log.runs || 0) + 1;
+    log.prompt_tokens = (log.prompt_tokens || 0) + countTokens(model, prompt);
+    if (result) {
+      log.completion_tokens = (log.completion_tokens || 0) + countTokens(model, result.text);
+      log.exit_code = result.exit_code;
+      log.parse = result.parse_confidence;
+      log.cached = result.cached || undefined;
+    } else {
+      log.exit_code = err.exitCode;
+      log.parse = err.code === 'parse_error' ? `failed: ${err.reason}` : undefined;
+    }
+  }
+
+  if (auditLog && (!err || err.code !== 'cancelled')) {
+    try {
+      auditLog.write({
+        request_id: log ? log.request_id : undefined,
+        key: options.key ? options.key.name : undefined,
+        model: model.id,
+        prompt,
+        response: result ? result.text : undefined,
+        finish_reason: result ? result.finish_reason : undefined,
+        cached: result && result.cached ? true : undefined,
+        error: err ? err.code || 'internal_error' : undefined,
+      });
+    } catch (auditErr) {
+      logger.error('Could not write to the audit log', { error: auditErr });
+    }
+  }
+}
+
+function recordRunMetrics(labels, queuedAt, result) {
+  metrics.runs.inc({ ...labels, outcome: 'success' });
+  metrics.latency.observe(labels, (Date.now() - queuedAt) / 1000);
+  if (result.first_text_at) {
+    metrics.firstToken.observe(labels, (result.first_text_at - queuedAt) / 1000);
+  }
+  if (result.exit_code !== undefined) {
+    metrics.exits.inc({ ...labels, code: result.exit_code });
+  }
+  if (result.parse_confidence) {
+    metrics.parses.inc({ ...labels, confidence: result.parse_confidence });
+  }
+
+  const perf = result.metrics;
+  if (perf.prefillTokensPerSec !== undefined) metrics.prefill.observe(labels, perf.prefillTokensPerSec);
+  if (perf.decodeTokensPerSec !== undefined) metrics.decode.observe(labels, perf.decodeTokensPerSec);
+  if (perf.peakMemoryMB !== undefined) metrics.peakMemory.observe(labels, perf.peakMemoryMB);
+}
+
+// Cache key for a run: everything that decides the model's reply. max_tokens
+// and stop sequences are left out, as they only decide where it is cut.
+function runCacheKey(model, prompt, options) {
+  return cacheKey([
+    model.id,
+    model.path,
+    prompt,
+    Boolean(options.raw),
+    options.sampling_args || [],
+    (options.images || []).map(image => image.sha256),
+  ]);
+}
+
+// A run's result from the response cache, or null if it has to run. An entry
+// made with the same max_tokens and stop sequences is used as it is. Otherwise
+// its text is cut with this run's limits, which only works if they end the
+// reply within that text, or if the cached reply was complete.
+// Cached text is passed to options.onText word by word, like a live run.
+function cachedResult(key, model, options) {
+  const entry = responseCache.get(key);
+  if (!entry) return null;
+
+  const requestStop = normalizeStop(options.stop);
+  let limited;
+  if (entry.max_tokens === (options.max_tokens || null) &&
+      JSON.stringify(entry.stop) === JSON.stringify(requestStop)) {
+    limited = entry;
+  } else {
+    const limiter = runLimiter(model, options);
+    limited = limiter.push(entry.text);
+    if (!limited.finish_reason) {
+      if (!entry.complete) return null;
+      const rest = limiter.end();
+      limited = { ...rest, text: limited.text + rest.text };
+    }
+  }
+
+  if (options.onText) {
+    for (const piece of limited.text.match(/\S*\s*/g).filter(Boolean)) {
+      options.onText(piece);
+    }
+  }
+  return {
+    text: limited.text,
+    finish_reason: limited.finish_reason,
+    stop_sequence: requestStop.includes(limited.stop_sequence) ? limited.stop_sequence : null,
+    metrics: {},
+    first_text_at: null,
+    exit_code: undefined,
+    parse_confidence: entry.parse_confidence,
+    cached: true,
+  };
+}
+
+// Cache a run's result. A reply cut short by its request's limits doesn't
+// replace a longer one already cached.
+function storeResult(key, model, options, result) {
+  const complete = result.finish_reason === 'stop' && !result.stop_sequence;
+  const existing = responseCache.get(key);
+  if (!complete && existing && existing.text.length >= result.text.length) {
+    return;
+  }
+  responseCache.set(key, {
+    model: model.id,
+    text: result.text,
+    finish_reason: result.finish_reason,
+    stop_sequence: result.stop_sequence,
+    complete,
+    max_tokens: options.max_tokens || null,
+    stop: normalizeStop(options.stop),
+    parse_confidence: result.parse_confidence,
+  });
+}
+
+// Response cache settings for a request's runs. Deterministic requests are
+// looked up in the cache, and X-LiteRT-Cache says how they were answered:
+// "hit" when every run came from the cache, "miss" when any had to run, and
+// "bypass" when the cache doesn't apply.
+function cacheOptions(body, res) {
+  if (!responseCache) {
+    return {};
+  }
+  if (!isDeterministic(body, CONFIG.sampling_flags)) {
+    res.set('X-LiteRT-Cache', 'bypass');
+    return {};
+  }
+  return {
+    onCache: (status) => {
+      if (!res.headersSent && res.get('X-LiteRT-Cache') !== 'miss') {
+        res.set('X-LiteRT-Cache', status);
+      }
+    },
+  };
+}
+
+// Output limiter for a run's max_tokens and stop sequences, plus the chat
+// template's stop strings unless the prompt is raw
+function runLimiter(model, options) {
+  return createOutputLimiter({
+    maxTokens: options.max_tokens,
+    stop: [...normalizeStop(options.stop), ...(options.raw ? [] : model.template.stop)],
+    countTokens: (text) => countTokens(model, text),
+  });
+}
+
+// Spawn a fresh LiteRT-LM process for a single prompt
+function spawnLiteRT(model, prompt, runOptions, extraArgs = []) {
+  const args = [
+    '--backend', model.backend,
+    '--model_path', model.path,
+    '--input_prompt', prompt,
+    ...extraArgs
+  ];
+
+  // Note: LiteRT-LM doesn't have a direct max_tokens parameter for regular inference
+  // The model will generate until it hits a stop token or reaches its internal limit
+
+  if (logger.enabled('debug')) {
+    logger.debug('Executing LiteRT', { binary: CONFIG.litert_binary, args: args.map(redact) });
+  }
+
+  return runProcess(CONFIG.litert_binary, args, runOptions);
+}
+
+// Count tokens with the model's tokenizer, or estimate them if it has none
+function countTokens(model, text) {
+  return getTokenCounter(model.tokenizer, logger).count(text);
+}
+
+// Tokens a prompt may use: the context length less the reply's share
+function promptBudget(model, maxTokens) {
+  return model.limits.context_length - (maxTokens || CONFIG.context_reserve);
+}
+
+// Fit a conversation into the model's context window with the model's
+// context strategy, reporting what was trimmed in response headers
+async function fitContext(res, messages, generation) {
+  const model = generation.model;
+  if (!model.limits.context_length) {
+    return messages;
+  }
+
+  const fitted = await fitConversation(messages, {
+    measure: (candidate) => countTokens(model, messagesToPrompt(candidate, model.template)),
+    limit: promptBudget(model, generation.max_tokens),
+    contextLength: model.limits.context_length,
+    strategy: model.context_strategy,
+    summarize: (earlier) => summarizeMessages(earlier, generation),
+    summaryTokens: CONFIG.context_summary_tokens,
+  });
+
+  res.set('X-LiteRT-Context-Tokens', `${fitted.prompt_tokens}/${model.limits.context_length}`);
+  if (fitted.dropped > 0) {
+    res.set('X-LiteRT-Context-Dropped', String(fitted.dropped));
+  }
+  if (fitted.summarized > 0) {
+    res.set('X-LiteRT-Context-Summarized', String(fitted.summarized));
+  }
+  return fitted.messages;
+}
+
+// Prompts passed to the model as is can't be trimmed, so they either fit or are rejected
+function checkPromptLength(model, prompt, maxTokens, param) {
+  if (!model.limits.context_length) {
+    return;
+  }
+  const limit = promptBudget(model, maxTokens);
+  const tokens = countTokens(model, prompt);
+  if (tokens > limit) {
+    throw contextExceededError(tokens + (model.limits.context_length - limit), model.limits.context_length, param);
+  }
+}
+
+// Summarize the turns the "summarize" context strategy takes out of a
+// conversation, with CONFIG.context_summary_model or the request's own model
+async function summarizeMessages(messages, generation) {
+  const model = models.get(CONFIG.context_summary_model) || generation.model;
+  const turns = messages.map((m) => {
+    const calls = (m.tool_calls || []).map(call => `${call.function.name}(${call.function.arguments})`);
+    return `${m.role}: ${contentText(m.content)}${calls.length > 0 ? ` [called ${calls.join(', ')}]` : ''}`;
+  });
+  const render = (from) => messagesToPrompt([
+    {
+      role: 'system',
+      content: 'Summarize this conversation in a short paragraph. Keep names, facts, decisions and open questions. Reply with only the summary.',
+    },
+    { role: 'user', content: turns.slice(from).join('\n\n') },
+  ], model.template);
+
+  // A transcript too long for the summary model loses its oldest turns
+  let from = 0;
+  if (model.limits.context_length) {
+    const limit = promptBudget(model, CONFIG.context_summary_tokens);
+    while (from < turns.length - 1 && countTokens(model, render(from)) > limit) {
+      from++;
+    }
+  }
+
+  const result = await runLiteRT(render(from), {
+    model,
+    max_tokens: CONFIG.context_summary_tokens,
+    priority: generation.priority,
+    signal: generation.signal,
+    key: generation.key,
+    requestLog: generation.requestLog,
+  });
+  return result.text.trim();
+}
+
+// Run the prompt on a warm worker when the pool is enabled, otherwise spawn a process.
+// Workers are started with fixed flags, so runs with sampling flags or images
+// always get their own process.
+async function runTransport(model, prompt, runOptions, extraArgs = []) {
+  if (workerPool && extraArgs.length === 0) {
+    try {
+      return await workerPool.run(model, prompt, runOptions);
+    } catch (err) {
+      if (err.code !== 'worker_unsupported') {
+        throw err;
+      }
+    }
+  }
+  return spawnLiteRT(model, prompt, runOptions, extraArgs);
+}
+
+// Execute LiteRT-LM and get the response as { text, finish_reason, stop_sequence,
+// metrics, first_text_at, exit_code, parse_confidence }. stop_sequence is the
+// request stop sequence that ended generation, if any, metrics holds the
+// performance numbers found in the output, and parse_confidence says how
+// surely the reply was told apart from the rest of the output.
+// A run whose output holds no reply the model's output profile recognises
+// fails with code 'parse_error' rather than returning made-up text.
+// options.model is the registry entry to run (defaults to the default model).
+// options.timeout overrides the model's or server's generation timeout (ms).
+// options.max_tokens and options.stop end generation early; the process is
+// killed as soon as either is hit, and finish_reason says which.
+// options.sampling_args are extra command line flags from samplingArgs().
+// options.images are image files ({ path }) for the prompt's image placeholders.
+// options.raw marks a prompt that was not rendered with the chat template, so
+// the template's stop strings are not applied.
+// If options.onText is given, generated text is passed to it as stdout arrives.
+async function executeLiteRT(prompt, options = {}) {
+  const model = options.model || models.defaultModel();
+  const streamParser = createStreamParser(model.output_profile);
+  const requestStop = normalizeStop(options.stop);
+  const limiter = runLimiter(model, options);
+
+  // Aborted either by the client (options.signal) or by us once a limit is hit
+  const controller = new AbortController();
+  const onClientAbort = () => controller.abort();
+  if (options.signal) {
+    if (options.signal.aborted) controller.abort();
+    options.signal.addEventListener('abort', onClientAbort, { once: true });
+  }
+
+  let text = '';
+  let finishReason = null;
+  let stopSequence = null;
+  let parse = null;
+  let firstTextAt = null;
+
+  // Only the request's own stop sequences are reported; template stops are the end of the turn
+  const finish = (limited) => {
+    finishReason = limited.finish_reason;
+    if (requestStop.includes(limited.stop_sequence)) {
+      stopSequence = limited.stop_sequence;
+    }
+  };
+
+  // Pass parsed text through the limiter and on to the caller
+  const deliver = (parsed) => {
+    if (finishReason) return;
+    const limited = limiter.push(parsed);
+    if (limited.text) {
+      text += limited.text;
+      firstTextAt = firstTextAt || Date.now();
+      if (options.onText) options.onText(limited.text);
+    }
+    if (limited.finish_reason) {
+      finish(limited);
+      controller.abort();
+    }
+  };
+
+  const runOptions = {
+    timeout: options.timeout || model.limits.timeout_ms || CONFIG.request_timeout,
+    signal: controller.signal,
+    onOutput: (data) => {
+      const parsed = streamParser.push(data);
+      if (parsed) {
+        deliver(parsed);
+      }
+    },
+  };
+
+  let result = null;
+  try {
+    const imageArgs = (options.images || []).flatMap(image => [CONFIG.image_flag, image.path]);
+    result = await runTransport(model, prompt, runOptions, [...(options.sampling_args || []), ...imageArgs]);
+  } catch (err) {
+    // Killing the process because a limit was hit is not a failure
+    if (!(err.code === 'cancelled' && finishReason)) {
+      throw err;
+    }
+  } finally {
+    if (options.signal) {
+      options.signal.removeEventListener('abort', onClientAbort);
+    }
+  }
+
+  if (result) {
+    const remaining = streamParser.end();
+    if (remaining) {
+      deliver(remaining);
+    }
+
+    parse = streamParser.result();
+    if (!parse.ok) {
+      // Some builds print the reply on stderr
+      const fromStderr = parseLiteRTOutput(result.error, model.output_profile);
+      if (fromStderr.ok) {
+        parse = fromStderr;
+        deliver(fromStderr.text);
+      }
+    }
+    if (!parse.ok && !finishReason) {
+      if (logger.enabled('debug')) {
+        logger.debug('Unparsable LiteRT output', { stdout: redact(result.output), stderr: redact(result.error) });
+      }
+      throw parseError(parse);
+    }
+
+    if (!finishReason) {
+      const limited = limiter.end();
+      if (limited.text) {
+        text += limited.text;
+        firstTextAt = firstTextAt || Date.now();
+        if (options.onText) options.onText(limited.text);
+      }
+      finish(limited);
+    }
+  }
+
+  // Performance lines may be printed on either stream
+  const perf = result ? { ...parseMetrics(result.error), ...parseMetrics(result.output) } : {};
+  if (!parse && text) {
+    // Killed once a limit was hit: the parser saw the start of the reply but not its end
+    parse = streamParser.result();
+  }
+
+  return {
+    text,
+    finish_reason: finishReason,
+    stop_sequence: stopSequence,
+    metrics: perf,
+    first_text_at: firstTextAt,
+    exit_code: result ? result.exitCode : undefined,
+    parse_confidence: parse ? parse.confidence : null,
+  };
+}
+
+// Error for a run whose output doesn't contain a reply
+function parseError(parse) {
+  const reasons = {
+    no_output: 'LiteRT printed nothing but log lines',
+    no_response_marker: 'LiteRT output has no response marker',
+    empty_response: 'LiteRT output has an empty response',
+  };
+  const err = new Error(`Could not parse a reply from LiteRT output (${reasons[parse.reason]}; output profile "${parse.profile}")`);
+  err.code = 'parse_error';
+  err.reason = parse.reason;
+  return err;
+}
+
+// Abort signal that fires when the client goes away before the response is complete
+function clientDisconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+// Stream response text as the LiteRT process produces it.
+// Yields { text } for each piece, then { result } with the final runLiteRT result.
+async function* streamResponse(prompt, options) {
+  const pending = [];
+  let wake = null;
+  let finished = false;
+  let failure = null;
+  let result = null;
+
+  const notify = () => {
+    if (wake) {
+      wake();
+      wake = null;
+    }
+  };
+
+  runLiteRT(prompt, {
+    ...options,
+    onText: (text) => {
+      pending.push(text);
+      notify();
+    }
+  }).then((value) => {
+    result = value;
+    finished = true;
+    notify();
+  }, (err) => {
+    failure = err;
+    finished = true;
+    notify();
+  });
+
+  while (true) {
+    if (pending.length > 0) {
+      yield { text: pending.shift() };
+    } else if (finished) {
+      break;
+    } else {
+      await new Promise(resolve => { wake = resolve; });
+    }
+  }
+
+  if (failure) {
+    throw failure;
+  }
+  yield { result };
+}
+
+// Interleave several streamResponse generators, yielding { index, chunk } in
+// the order the pieces arrive
+async function* mergeStreams(streams) {
+  const next = (index) => streams[index].next().then(step => ({ index, step }));
+  const pending = new Map(streams.map((stream, index) => [index, next(index)]));
+
+  try {
+    while (pending.size > 0) {
+      const { index, step } = await Promise.race(pending.values());
+      if (step.done) {
+        pending.delete(index);
+        continue;
+      }
+      pending.set(index, next(index));
+      yield { index, chunk: step.value };
+    }
+  } finally {
+    // Streams left behind after a failure end with errors nobody is waiting for
+    for (const promise of pending.values()) {
+      promise.catch(() => {});
+    }
+  }
+}
+
+// Reject sampling parameters the binary can't take in strict mode, otherwise
+// flag them in a response header
+function checkSamplingSupport(res, unsupported) {
+  if (unsupported.length === 0) {
+    return;
+  }
+  if (CONFIG.strict_params) {
+    throw apiError('unsupported_parameter', `Unsupported parameter${unsupported.length > 1 ? 's' : ''}: ${unsupported.join(', ')}`, unsupported[0]);
+  }
+  res.set('X-LiteRT-Warning', `Unsupported parameters ignored: ${unsupported.join(', ')}`);
+}
+
+// OpenAI usage object for a prompt and its completion (or completions, one per choice)
+function usageFor(model, prompt, completion) {
+  const promptTokens = countTokens(model, prompt);
+  const completions = Array.isArray(completion) ? completion : [completion];
+  const completionTokens = completions.reduce((sum, text) => sum + countTokens(model, text), 0);
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+  };
+}
+
+function modelNotFound(model) {
+  return apiError('model_not_found', `The model \`${model}\` does not exist or you do not have access to it`, 'model');
+}
+
+// Note a failed request's error code for its log line. Server errors also get
+// a line of their own with the details.
+function logFailure(req, error, status) {
+  req.requestLog.error = error.code || 'internal_error';
+  if (status >= 500) {
+    logger.error('Request failed', { request_id: req.requestLog.request_id, error });
+  }
+}
+
+// Answer a request that failed, with the status matching the error (see api-errors.js)
+function sendGenerationError(res, error) {
+  // Nobody is left to answer, the LiteRT process has already been killed
+  if (error.code === 'cancelled') {
+    return;
+  }
+
+  const { status, body } = errorResponse(error);
+  logFailure(res.req, error, status);
+  if (error.code === 'invalid_output') {
+    Object.assign(body.error, { param: 'response_format', attempts: error.attempts, errors: error.errors, output: error.output });
+  }
+
+  // Headers are already out once streaming has started, so report the error in-band
+  if (res.headersSent) {
+    res.write(`data: ${JSON.stringify(body)}\n\n`);
+    res.write('data: [DONE]\n\n');
+    return res.end();
+  }
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(status).json(body);
+}
+
+// Run a chat conversation whose reply must match a response format. A reply
+// that doesn't is shown back to the model along with what is wrong with it,
+// for up to CONFIG.json_max_attempts runs. Resolves { result } where
+// result.text is the JSON found in the reply (or the reply itself, if it is
+// a tool call).
+async function runFormatted(conversation, format, generation, toolOffer) {
+  const template = generation.model.template;
+  let attemptConversation = conversation;
+  let check = null;
+  let result = null;
+
+  for (let attempt = 1; attempt <= CONFIG.json_max_attempts; attempt++) {
+    result = await runLiteRT(messagesToPrompt(attemptConversation, template), generation);
+    if (toolOffer && parseToolCalls(result.text, toolOffer, template).tool_calls.length > 0) {
+      return { result };
+    }
+
+    check = checkResponse(result.text, format);
+    if (check.errors.length === 0) {
+      return { result: { ...result, text: check.json } };
+    }
+    logger.debug('Reply does not match response_format', { attempt, errors: check.errors });
+
+    attemptConversation = [
+      ...conversation,
+      { role: 'assistant', content: result.text },
+      { role: 'user', content: `That reply is not valid: ${check.errors.slice(0, 5).join('; ')}. Reply again with only the corrected JSON.` },
+    ];
+  }
+
+  const attempts = CONFIG.json_max_attempts;
+  const err = new Error(`The model did not produce output matching response_format in ${attempts} attempt${attempts === 1 ? '' : 's'}`);
+  err.code = 'invalid_output';
+  err.attempts = attempts;
+  err.errors = check.errors;
+  err.output = result.text;
+  throw err;
+}
+
+// Server-Sent Events headers. They go out with the first chunk, so a request
+// rejected by the queue can still get a proper 429.
+function startEventStream(res) {
+  if (!res.headersSent) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+    });
+  }
+}
+
+// Work out how to run a chat completion request: check the body, render the
+// prompt and set up its runs. Used by the chat completions route and by batches.
+// context.res takes response headers (X-LiteRT-Warning, X-LiteRT-Cache, ...);
+// it is the Express response, or headerCollector() for batch requests.
+// Resolves with what the streaming and non-streaming paths need; cleanup()
+// removes any image files once the request is over.
+async function prepareChatCompletion(body, { apiKey, requestLog, priority, signal, res }) {
+  validateRequest(body, 'chat_completion');
+  const messages = normalizeRoles(body.messages);
+  const {
+    model = models.defaultModel().id,
+    max_tokens,
+    stop,
+    n = 1,
+    tools,
+    tool_choice,
+    response_format,
+  } = body;
+
+  const modelEntry = modelFor({ apiKey }, model);
+  if (!modelEntry) {
+    throw modelNotFound(model);
+  }
+
+  const sampling = samplingArgs(body, CONFIG.sampling_flags);
+  checkSamplingSupport(res, sampling.unsupported);
+
+  // Images are written to files that last as long as the request
+  const content = resolveContent(messages, modelEntry, { imageDir: CONFIG.image_dir });
+  try {
+    // Offered tools and the response format are described in the prompt,
+    // and checked against the reply
+    const toolOffer = resolveTools(tools, tool_choice);
+    const responseFormat = resolveResponseFormat(response_format);
+    let conversation = toolOffer ? addToolInstructions(content.messages, toolOffer, modelEntry.template) : content.messages;
+    if (responseFormat) {
+      conversation = addFormatInstructions(conversation, responseFormat);
+    }
+    // If one choice fails the others are cancelled, as the request fails anyway
+    const failed = new AbortController();
+    const generation = {
+      model: modelEntry,
+      max_tokens: max_tokens || modelEntry.limits.max_tokens,
+      stop,
+      priority,
+      signal: AbortSignal.any([signal, failed.signal]),
+      sampling_args: sampling.args,
+      choices: choiceLimiter(),
+      key: apiKey,
+      requestLog,
+      ...cacheOptions(body, res),
+    };
+    conversation = await fitContext(res, conversation, generation);
+    generation.images = promptImages(conversation);
+    const prompt = messagesToPrompt(conversation, modelEntry.template);
+
+    return {
+      model,
+      modelEntry,
+      prompt,
+      generation,
+      toolOffer,
+      responseFormat,
+      indexes: Array.from({ length: n }, (_, i) => i),
+      failed,
+      cleanup: content.cleanup,
+      // Message (or delta) fields for a finished reply, with any tool calls parsed out
+      replyFields: (text) => {
+        const parsed = toolOffer
+          ? parseToolCalls(text, toolOffer, modelEntry.template)
+          : { content: text, tool_calls: [] };
+        if (parsed.tool_calls.length === 0) {
+          return { content: text };
+        }
+        return { content: parsed.content || null, tool_calls: parsed.tool_calls };
+      },
+      runChoice: () => (responseFormat
+        ? runFormatted(conversation, responseFormat, generation, toolOffer).then(formatted => formatted.result)
+        : runLiteRT(prompt, generation)),
+    };
+  } catch (err) {
+    content.cleanup();
+    throw err;
+  }
+}
+
+// Run a prepared chat completion's choices and build the chat.completion object
+async function chatCompletionResponse(chat, id) {
+  const results = await Promise.all(chat.indexes.map(chat.runChoice));
+  return {
+    id,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: chat.model,
+    choices: results.map((result, index) => {
+      const fields = chat.replyFields(result.text);
+      return {
+        index,
+        message: { role: 'assistant', ...fields },
+        finish_reason: fields.tool_calls ? 'tool_calls' : result.finish_reason,
+      };
+    }),
+    usage: usageFor(chat.modelEntry, chat.prompt, results.map(result => result.text))
+  };
+}
+
+// OpenAI-compatible chat completions endpoint
+app.post('/v1/chat/completions', authenticateAPIKey, async (req, res) => {
+  let chat = null;
+  try {
+    const requestId = `chatcmpl-${crypto.randomBytes(16).toString('hex')}`;
+    setRequestId(req, res, requestId);
+    chat = await prepareChatCompletion(req.body, {
+      apiKey: req.apiKey,
+      requestLog: req.requestLog,
+      priority: parseInt(req.headers['x-priority'], 10) || 0,
+      signal: clientDisconnectSignal(res),
+      res,
+    });
+    res.on('close', chat.cleanup);
+    const { model, modelEntry, prompt, generation, toolOffer, responseFormat, indexes, replyFields, runChoice } = chat;
+    const { stream = false, stream_options } = req.body;
+
+    if (stream) {
+      const includeUsage = Boolean(stream_options && stream_options.include_usage);
+      const completions = indexes.map(() => '');
+
+      const writeChunk = (choices, usage) => {
+        startEventStream(res);
+        const streamData = {
+          id: requestId,
+          object: 'chat.completion.chunk',
+          created: Math.floor(Date.now() / 1000),
+          model: model,
+          choices,
+        };
+        if (includeUsage) {
+          streamData.usage = usage || null;
+        }
+
+        res.write(`data: ${JSON.stringify(streamData)}\n\n`);
+      };
+      const writeDelta = (index, delta, finish) => {
+        writeChunk([{ index, delta, finish_reason: finish }]);
+      };
+      const finishChoice = (index, fields, finishReason) => {
+        if (fields.content) {
+          writeDelta(index, { content: fields.content }, null);
+        }
+        if (fields.tool_calls) {
+          writeDelta(index, { tool_calls: fields.tool_calls.map((call, i) => ({ index: i, ...call })) }, null);
+          finishReason = 'tool_calls';
+        }
+        writeDelta(index, {}, finishReason);
+      };
+
+      if (responseFormat) {
+        // Replies have to be checked before any of them is sent, so each goes out in one piece
+        const results = await Promise.all(indexes.map(runChoice));
+        results.forEach((result, index) => {
+          completions[index] = result.text;
+          finishChoice(index, replyFields(result.text), result.finish_reason);
+        });
+      } else {
+        // Tool calls are held back until each reply has been parsed
+        const toolFilters = indexes.map(() => (toolOffer ? createToolCallFilter(toolOffer, modelEntry.template) : null));
+
+        for await (const { index, chunk } of mergeStreams(indexes.map(() => streamResponse(prompt, generation)))) {
+          const toolFilter = toolFilters[index];
+          if (chunk.result) {
+            const fields = { content: '' };
+            if (toolFilter) {
+              const parsed = toolFilter.end();
+              fields.content = parsed.content;
+              if (parsed.tool_calls.length > 0) {
+                fields.tool_calls = parsed.tool_calls;
+              }
+            }
+            finishChoice(index, fields, chunk.result.finish_reason);
+            continue;
+          }
+
+          completions[index] += chunk.text;
+          const content = toolFilter ? toolFilter.push(chunk.text) : chunk.text;
+          if (content) {
+            writeDelta(index, { content }, null);
+          }
+        }
+      }
+
+      // Usage goes in an extra chunk with no choices, as OpenAI does
+      if (includeUsage) {
+        writeChunk([], usageFor(modelEntry, prompt, completions));
+      }
+      res.write('data: [DONE]\n\n');
+      res.end();
+    } else {
+      res.json(await chatCompletionResponse(chat, requestId));
+    }
+  } catch (error) {
+    if (chat) {
+      chat.failed.abort();
+    }
+    sendGenerationError(res, error);
+  }
+});
+
+// OpenAI legacy text completions endpoint. The prompt is passed to the model
+// as is, without a chat template. suffix and logprobs are accepted for
+// compatibility but not supported: suffix is ignored and logprobs is always null.
+app.post('/v1/completions', authenticateAPIKey, async (req, res) => {
+  try {
+    validateRequest(req.body, 'completion');
+    const {
+      prompt,
+      model = models.defaultModel().id,
+      max_tokens,
+      stop,
+      echo = false,
+      stream = false,
+      stream_options,
+      n = 1,
+    } = req.body;
+
+    const prompts = typeof prompt === 'string' ? [prompt] : prompt;
+    const modelEntry = modelFor(req, model);
+    if (!modelEntry) {
+      throw modelNotFound(model);
+    }
+
+    const sampling = samplingArgs(req.body, CONFIG.sampling_flags);
+    checkSamplingSupport(res, sampling.unsupported);
+
+    const requestId = `cmpl-${crypto.randomBytes(16).toString('hex')}`;
+    setRequestId(req, res, requestId);
+    const priority = parseInt(req.headers['x-priority'], 10) || 0;
+    const signal = clientDisconnectSignal(res);
+    // If one choice fails the others are cancelled, as the request fails anyway
+    const failed = new AbortController();
+    const generation = {
+      model: modelEntry,
+      max_tokens: max_tokens || modelEntry.limits.max_tokens,
+      stop,
+      priority,
+      signal: AbortSignal.any([signal, failed.signal]),
+      sampling_args: sampling.args,
+      choices: choiceLimiter(),
+      raw: true,
+      key: req.apiKey,
+      requestLog: req.requestLog,
+      ...cacheOptions(req.body, res),
+    };
+
+    prompts.forEach(text => checkPromptLength(modelEntry, text, generation.max_tokens, 'prompt'));
+
+    // n choices per prompt, numbered prompt by prompt as OpenAI does
+    const runs = [];
+    prompts.forEach((text) => {
+      for (let i = 0; i < n; i++) {
+        runs.push({ index: runs.length, prompt: text });
+      }
+    });
+
+    const completionChunk = (choices, usage) => {
+      const data = {
+        id: requestId,
+        object: 'text_completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        choices,
+      };
+      if (usage !== undefined) {
+        data.usage = usage;
+      }
+      return `data: ${JSON.stringify(data)}\n\n`;
+    };
+
+    const usage = (completions) => {
+      const promptTokens = prompts.reduce((sum, text) => sum + countTokens(modelEntry, text), 0);
+      const completionTokens = completions.reduce((sum, text) => sum + countTokens(modelEntry, text), 0);
+      return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+      };
+    };
+
+    try {
+      if (stream) {
+        // Choices are generated in parallel, each streamed under its own index
+        const includeUsage = Boolean(stream_options && stream_options.include_usage);
+        const chunkUsage = includeUsage ? null : undefined;
+        const completions = runs.map(() => '');
+        const started = runs.map(() => false);
+        const writeText = (index, text, finishReason) => {
+          startEventStream(res);
+          res.write(completionChunk([{ text, index, logprobs: null, finish_reason: finishReason }], chunkUsage));
+        };
+
+        for await (const { index, chunk } of mergeStreams(runs.map(run => streamResponse(run.prompt, generation)))) {
+          // The echoed prompt waits for the first output, so a queue rejection can still get a 429
+          if (!started[index]) {
+            started[index] = true;
+            if (echo) {
+              writeText(index, runs[index].prompt, null);
+            }
+          }
+
+          if (chunk.result) {
+            writeText(index, '', chunk.result.finish_reason);
+          } else {
+            completions[index] += chunk.text;
+            writeText(index, chunk.text, null);
+          }
+        }
+
+        if (includeUsage) {
+          res.write(completionChunk([], usage(completions)));
+        }
+        res.write('data: [DONE]\n\n');
+        res.end();
+        return;
+      }
+
+      const results = await Promise.all(runs.map(run => runLiteRT(run.prompt, generation)));
+
+      res.json({
+        id: requestId,
+        object: 'text_completion',
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        choices: runs.map((run, i) => ({
+          text: echo ? run.prompt + results[i].text : results[i].text,
+          index: run.index,
+          logprobs: null,
+          finish_reason: results[i].finish_reason,
+        })),
+        usage: usage(results.map(result => result.text)),
+      });
+    } catch (error) {
+      failed.abort();
+      throw error;
+    }
+  } catch (error) {
+    sendGenerationError(res, error);
+  }
+});
+
+// Anthropic Messages API, for clients built on the Anthropic SDK
+
+// Anthropic error types by HTTP status
+const ANTHROPIC_ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  504: 'timeout_error',
+};
+
+function sendAnthropicError(res, status, message) {
+  return res.status(status).json({
+    type: 'error',
+    error: { type: ANTHROPIC_ERROR_TYPES[status] || 'api_error', message },
+  });
+}
+
+// Anthropic clients send their key as x-api-key; Bearer tokens work too
+const authenticateAnthropic = (req, res, next) => {
+  const access = checkAccess(req.headers['x-api-key'] || bearerToken(req));
+  if (access.error) {
+    if (access.error.retryAfter) {
+      res.set('Retry-After', String(access.error.retryAfter));
+    }
+    return sendAnthropicError(res, errorResponse(access.error).status, access.error.message);
+  }
+  req.apiKey = access.key;
+  next();
+};
+
+// Anthropic content (a string or content blocks) as chat message content.
+// Base64 image blocks become image_url parts.
+function anthropicContent(content, param) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (!Array.isArray(content)) {
+    throw apiError('invalid_request', `${param} must be a string or an array of content blocks`);
+  }
+  const parts = content.map((block) => {
+    if (block && block.type === 'text' && typeof block.text === 'string') {
+      return { type: 'text', text: block.text };
+    }
+    if (block && block.type === 'image' && block.source && block.source.type === 'base64') {
+      return { type: 'image_url', image_url: { url: `data:${block.source.media_type};base64,${block.source.data}` } };
+    }
+    throw apiError('invalid_request', `${param}: only text and base64 image content blocks are supported`);
+  });
+  // Text alone becomes a string, joined by newlines like OpenAI text parts (see content-parts.js)
+  return parts.every(part => part.type === 'text') ? contentText(parts) : parts;
+}
+
+// Anthropic's stop_reason for a run result
+function anthropicStopReason(result) {
+  if (result.finish_reason === 'length') return 'max_tokens';
+  if (result.stop_sequence) return 'stop_sequence';
+  return 'end_turn';
+}
+
+app.post('/v1/messages', authenticateAnthropic, async (req, res) => {
+  try {
+    validateRequest(req.body, 'message');
+    const {
+      model = models.defaultModel().id,
+      messages,
+      system,
+      max_tokens,
+      stop_sequences,
+      stream = false,
+    } = req.body;
+
+    const modelEntry = modelFor(req, model);
+    if (!modelEntry) {
+      return sendAnthropicError(res, 404, `model: ${model}`);
+    }
+
+    let chatMessages;
+    try {
+      chatMessages = messages.map((message, i) => (
+        { role: message.role, content: anthropicContent(message.content, `messages.${i}.content`) }
+      ));
+      if (system != null) {
+        chatMessages.unshift({ role: 'system', content: anthropicContent(system, 'system') });
+      }
+      const content = resolveContent(chatMessages, modelEntry, { imageDir: CONFIG.image_dir });
+      res.on('close', content.cleanup);
+      chatMessages = content.messages;
+    } catch (err) {
+      return sendAnthropicError(res, 400, err.message);
+    }
+
+    const messageId = `msg_${crypto.randomBytes(16).toString('hex')}`;
+    setRequestId(req, res, messageId);
+    const generation = {
+      model: modelEntry,
+      max_tokens,
+      stop: stop_sequences,
+      priority: parseInt(req.headers['x-priority'], 10) || 0,
+      signal: clientDisconnectSignal(res),
+      key: req.apiKey,
+      requestLog: req.requestLog,
+    };
+    const fitted = await fitContext(res, chatMessages, generation);
+    generation.images = promptImages(fitted);
+    const prompt = messagesToPrompt(fitted, modelEntry.template);
+
+    if (stream) {
+      const sendEvent = (type, data) => {
+        res.write(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+      };
+
+      // The opening events go out once the run has left the queue, so a
+      // rejected request can still get a proper 429
+      let started = false;
+      const start = () => {
+        if (started) return;
+        started = true;
+        startEventStream(res);
+        sendEvent('message_start', {
+          message: {
+            id: messageId,
+            type: 'message',
+            role: 'assistant',
+            model,
+            content: [],
+            stop_reason: null,
+            stop_sequence: null,
+            usage: { input_tokens: countTokens(modelEntry, prompt), output_tokens: 0 },
+          },
+        });
+        sendEvent('content_block_start', { index: 0, content_block: { type: 'text', text: '' } });
+      };
+
+      let completion = '';
+      let result = null;
+      try {
+        for await (const chunk of streamResponse(prompt, generation)) {
+          start();
+          if (chunk.result) {
+            result = chunk.result;
+            break;
+          }
+          completion += chunk.text;
+          sendEvent('content_block_delta', { index: 0, delta: { type: 'text_delta', text: chunk.text } });
+        }
+      } catch (error) {
+        if (!started) throw error;
+        if (error.code !== 'cancelled') {
+          const { status } = errorResponse(error);
+          logFailure(req, error, status);
+          const type = ANTHROPIC_ERROR_TYPES[status] || 'api_error';
+          sendEvent('error', { error: { type, message: error.message } });
+          res.end();
+        }
+        return;
+      }
+
+      sendEvent('content_block_stop', { index: 0 });
+      sendEvent('message_delta', {
+        delta: { stop_reason: anthropicStopReason(result), stop_sequence: result.stop_sequence },
+        usage: { output_tokens: countTokens(modelEntry, completion) },
+      });
+      sendEvent('message_stop', {});
+      res.end();
+    } else {
+      const result = await runLiteRT(prompt, generation);
+      res.json({
+        id: messageId,
+        type: 'message',
+        role: 'assistant',
+        model,
+        content: [{ type: 'text', text: result.text }],
+        stop_reason: anthropicStopReason(result),
+        stop_sequence: result.stop_sequence,
+        usage: {
+          input_tokens: countTokens(modelEntry, prompt),
+          output_tokens: countTokens(modelEntry, result.text),
+        },
+      });
+    }
+  } catch (error) {
+    if (error.code === 'cancelled') {
+      return;
+    }
+    const { status } = errorResponse(error);
+    logFailure(req, error, status);
+    if (error.retryAfter) {
+      res.set('Retry-After', String(error.retryAfter));
+    }
+    const message = error.code === 'context_length_exceeded'
+      ? `prompt is too long: ${error.tokens} tokens > ${error.contextLength} maximum`
+      : error.message;
+    sendAnthropicError(res, status, message);
+  }
+});
+
+// Debug endpoint: show the prompt a chat completion request would be rendered to
+app.post('/debug/prompt', authenticateAPIKey, (req, res) => {
+  try {
+    validateRequest(req.body, 'debug_prompt');
+    const { model = models.defaultModel().id, tools, tool_choice } = req.body;
+    const messages = normalizeRoles(req.body.messages);
+
+    const modelEntry = modelFor(req, model);
+    if (!modelEntry) {
+      throw modelNotFound(model);
+    }
+
+    const toolOffer = resolveTools(tools, tool_choice);
+    res.json({
+      model: modelEntry.id,
+      chat_template: modelEntry.chat_template,
+      prompt: messagesToPrompt(
+        toolOffer ? addToolInstructions(messages, toolOffer, modelEntry.template) : messages,
+        modelEntry.template
+      ),
+    });
+  } catch (error) {
+    sendGenerationError(res, error);
+  }
+});
+
+// Token counting endpoint. Accepts a raw "input" (string or array of strings)
+// or chat "messages", which are rendered with the model's template first.
+app.post('/v1/tokenize', authenticateAPIKey, (req, res) => {
+  try {
+    validateRequest(req.body, 'tokenize');
+    const { input, messages, model = models.defaultModel().id } = req.body;
+
+    const modelEntry = modelFor(req, model);
+    if (!modelEntry) {
+      throw modelNotFound(model);
+    }
+
+    let texts;
+    if (messages) {
+      texts = [messagesToPrompt(normalizeRoles(messages), modelEntry.template)];
+    } else {
+      texts = typeof input === 'string' ? [input] : input;
+    }
+
+    const counts = texts.map(text => countTokens(modelEntry, text));
+    res.json({
+      object: 'tokenize',
+      model: modelEntry.id,
+      exact: getTokenCounter(modelEntry.tokenizer, logger).exact,
+      counts,
+      total_tokens: counts.reduce((sum, c) => sum + c, 0),
+    });
+  } catch (error) {
+    sendGenerationError(res, error);
+  }
+});
+
+// Prometheus metrics endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(metricsRegistry.render());
+});
+
+// Health check. It is open to anyone, so it leaves out file paths; running
+// the binary with ?test=true needs an API key.
+const authenticateHealthTest = (req, res, next) => (
+  req.query.test === 'true' ? authenticateAPIKey(req, res, next) : next()
+);
+
+app.get('/health', authenticateHealthTest, async (req, res) => {
+  try {
+    // Basic info
+    const defaultModel = models.defaultModel();
+    const health = {
+      status: 'ok',
+      default_model: defaultModel.id,
+      backend: defaultModel.backend,
+      models: models.list().map(m => m.id),
+      queue: scheduler.stats()
+    };
+
+    if (workerPool) {
+      health.workers = workerPool.stats();
+    }
+
+    // Optionally test the binary (if ?test=true is passed)
+    if (req.query.test === 'true') {
+      try {
+        const testResponse = await runLiteRT('Test', { timeout: 5000 });
+        health.binary_test = 'passed';
+        health.test_response_length = testResponse.text.length;
+      } catch (error) {
+        health.binary_test = 'failed';
+        health.test_error = error.message;
+      }
+    }
+
+    res.json(health);
+  } catch (error) {
+    res.status(500).json({
+      status: 'error',
+      error: error.message
+    });
+  }
+});
+
+// List models endpoint (OpenAI compatible)
+app.get('/v1/models', authenticateAPIKey, (req, res) => {
+  res.json({
+    object: 'list',
+    data: models.list().filter(m => allowsModel(req.apiKey, m.id)).map(m => ({
+      id: m.id,
+      object: 'model',
+      created: m.created,
+      owned_by: 'litert-lm',
+      permission: [],
+      root: m.id,
+      parent: null,
+    }))
+  });
+});
+
+// Files and batches belong to the API key that made them (null when
+// authentication is off), and other keys can't see them
+const fileStore = createFileStore({ dir: CONFIG.files_dir });
+const ownerOf = (req) => (req.apiKey ? req.apiKey.id : null);
+
+const fileNotFound = (id) => apiError('not_found', `No file with id ${id}`, 'file_id');
+
+// Upload a file, as multipart/form-data with "file" and "purpose" parts
+app.post('/v1/files', authenticateAPIKey, express.raw({ type: 'multipart/form-data', limit: CONFIG.file_size_limit }), (req, res) => {
+  try {
+    const parts = parseMultipart(Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0), req.headers['content-type']);
+    const file = parts.find(part => part.name === 'file' && part.filename !== null);
+    const purposePart = parts.find(part => part.name === 'purpose');
+    if (!file) {
+      throw apiError('invalid_request', 'A "file" part is required', 'file');
+    }
+    const purpose = purposePart ? purposePart.data.toString('utf8').trim() : null;
+    if (!UPLOAD_PURPOSES.includes(purpose)) {
+      throw apiError('invalid_request', `purpose must be one of ${UPLOAD_PURPOSES.join(', ')}`, 'purpose');
+    }
+    res.json(fileStore.create({ filename: file.filename, purpose, data: file.data, owner: ownerOf(req) }));
+  } catch (error) {
+    sendGenerationError(res, error);
+  }
+});
+
+app.get('/v1/files', authenticateAPIKey, (req, res) => {
+  res.json({ object: 'list', data: fileStore.list({ purpose: req.query.purpose, owner: ownerOf(req) }) });
+});
+
+app.get('/v1/files/:id', authenticateAPIKey, (req, res) => {
+  const file = fileStore.get(req.params.id, ownerOf(req));
+  return file ? res.json(file) : sendError(res, fileNotFound(req.params.id));
+});
+
+app.get('/v1/files/:id/content', authenticateAPIKey, (req, res) => {
+  const content = fileStore.content(req.params.id, ownerOf(req));
+  if (!content) {
+    return sendError(res, fileNotFound(req.params.id));
+  }
+  res.type('application/octet-stream').send(content);
+});
+
+app.delete('/v1/files/:id', authenticateAPIKey, (req, res) => {
+  if (!fileStore.remove(req.params.id, ownerOf(req))) {
+    return sendError(res, fileNotFound(req.params.id));
+  }
+  res.json({ id: req.params.id, object: 'file', deleted: true });
+});
+
+// Stands in for the Express response when a batch line goes through the
+// chat completions pipeline, which sets headers such as X-LiteRT-Warning
+function headerCollector() {
+  const headers = {};
+  return {
+    headersSent: false,
+    set(name, value) {
+      headers[name.toLowerCase()] = value;
+      return this;
+    },
+    get(name) {
+      return headers[name.toLowerCase()];
+    },
+  };
+}
 
-    const providedKey = authHeader.substring(7);
-    if (providedKey !== CONFIG.api_key) {
-      return res.status(401).json({ error: 'Invalid API key' });
-    }
+// The key a batch runs as, checked again for every line: a key revoked or
+// out of tokens since the batch was made stops its remaining lines
+function batchKey(owner) {
+  if (owner === null) {
+    return null;
   }
-  next();
-};
+  const key = owner === ENV_KEY.id ? ENV_KEY : keyStore.get(owner);
+  if (!key || key.revoked_at) {
+    throw apiError('invalid_api_key', 'The API key that made this batch has been revoked');
+  }
+  if (isExpired(key)) {
+    throw apiError('expired_api_key', 'The API key that made this batch has expired');
+  }
+  const quota = quotaError(key);
+  if (quota) {
+    throw quota;
+  }
+  return key;
+}
 
-// Convert OpenAI messages to a single prompt
-function messagesToPrompt(messages) {
-  let prompt = '';
+// Run one batch line through the chat completions pipeline, at
+// CONFIG.batch_priority so interactive requests go first. A full queue isn't
+// the line's fault, so queue_full errors are passed up for the batch runner
+// to try again. Like a request, each line runs with the configuration active
+// when it started.
+function runBatchRequest(body, context) {
+  return configScope.run(active, () => runBatchLine(body, context));
+}
 
-  for (const message of messages) {
-    switch (message.role) {
-      case 'system':
-        prompt += `System: ${message.content}\n\n`;
-        break;
-      case 'user':
-        prompt += `User: ${message.content}\n\n`;
-        break;
-      case 'assistant':
-        prompt += `Assistant: ${message.content}\n\n`;
-        break;
+async function runBatchLine(body, { batch, owner, signal }) {
+  const requestId = `chatcmpl-${crypto.randomBytes(16).toString('hex')}`;
+  const requestLog = { request_id: requestId, batch_id: batch.id };
+  const startedAt = Date.now();
+  let status = 499; // Cancelled along with the batch
+  try {
+    if (signal.aborted) {
+      throw cancelledError();
     }
+    let chat = null;
+    try {
+      chat = await prepareChatCompletion({ ...body, stream: false }, {
+        apiKey: batchKey(owner),
+        requestLog,
+        priority: CONFIG.batch_priority,
+        signal,
+        res: headerCollector(),
+      });
+      const completion = await chatCompletionResponse(chat, requestId);
+      status = 200;
+      return { status_code: status, request_id: requestId, body: completion };
+    } catch (error) {
+      if (chat) {
+        chat.failed.abort();
+      }
+      if (error.code === 'queue_full') {
+        status = 429;
+        requestLog.error = error.code;
+        error.requestId = requestId;
+        throw error;
+      }
+      if (error.code === 'cancelled') {
+        throw error;
+      }
+      const response = errorResponse(error);
+      status = response.status;
+      requestLog.error = error.code || 'internal_error';
+      return { status_code: status, request_id: requestId, body: response.body };
+    } finally {
+      if (chat) {
+        chat.cleanup();
+      }
+    }
+  } finally {
+    logger[status >= 500 ? 'error' : 'info']('batch request', {
+      ...requestLog,
+      status,
+      latency_ms: Date.now() - startedAt,
+    });
+  }
+}
+
+const batchRunner = createBatchRunner({
+  dir: CONFIG.batches_dir,
+  files: fileStore,
+  concurrency: CONFIG.batch_concurrency,
+  maxRequests: CONFIG.batch_max_requests,
+  runRequest: runBatchRequest,
+  logger: logger.child({ component: 'batches' }),
+});
+
+const batchNotFound = (id) => apiError('not_found', `No batch with id ${id}`, 'batch_id');
+
+app.post('/v1/batches', authenticateAPIKey, (req, res) => {
+  try {
+    validateRequest(req.body, 'batch');
+    res.json(batchRunner.create(req.body, ownerOf(req)));
+  } catch (error) {
+    sendGenerationError(res, error);
+  }
+});
+
+// Newest first, a page at a time: ?after=<batch id>&limit=<1-100>
+app.get('/v1/batches', authenticateAPIKey, (req, res) => {
+  const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+    return sendError(res, apiError('invalid_request', 'limit must be an integer from 1 to 100', 'limit'));
   }
+  const all = batchRunner.list(ownerOf(req));
+  const start = req.query.after ? all.findIndex(batch => batch.id === req.query.after) + 1 : 0;
+  if (req.query.after && start === 0) {
+    return sendError(res, batchNotFound(req.query.after));
+  }
+  const data = all.slice(start, start + limit);
+  res.json({
+    object: 'list',
+    data,
+    first_id: data.length > 0 ? data[0].id : null,
+    last_id: data.length > 0 ? data[data.length - 1].id : null,
+    has_more: start + limit < all.length,
+  });
+});
+
+app.get('/v1/batches/:id', authenticateAPIKey, (req, res) => {
+  const batch = batchRunner.get(req.params.id, ownerOf(req));
+  return batch ? res.json(batch) : sendError(res, batchNotFound(req.params.id));
+});
 
-  // Add final prompt for the assistant to respond
-  if (messages[messages.length - 1].role !== 'assistant') {
-    prompt += 'Assistant:';
+app.post('/v1/batches/:id/cancel', authenticateAPIKey, (req, res) => {
+  try {
+    const batch = batchRunner.cancel(req.params.id, ownerOf(req));
+    return batch ? res.json(batch) : sendError(res, batchNotFound(req.params.id));
+  } catch (error) {
+    sendError(res, error);
   }
+});
 
-  return prompt.trim();
+// Ollama-compatible API, mounted at /api. Responses stream as newline-delimited
+// JSON, and errors use Ollama's { error: "message" } shape.
+const ollamaRouter = express.Router();
+
+// Ollama clients usually add a ":latest" tag to model names
+function resolveOllamaModel(req, name) {
+  const id = name || models.defaultModel().id;
+  return modelFor(req, id) || modelFor(req, id.replace(/:latest$/, ''));
 }
 
-// Execute LiteRT-LM binary and get response
-function runLiteRT(prompt, options = {}) {
-  return new Promise((resolve, reject) => {
-    const args = [
-      '--backend', CONFIG.backend,
-      '--model_path', CONFIG.model_path,
-      '--input_prompt', prompt
-    ];
+const toNanoseconds = (ms) => Math.round(ms * 1e6);
 
-    // Note: LiteRT-LM doesn't have a direct max_tokens parameter for regular inference
-    // The model will generate until it hits a stop token or reaches its internal limit
+// Ollama's done statistics. Durations come from the prefill and decode speeds
+// LiteRT reports, or from wall-clock time when it doesn't print them.
+function ollamaStats(model, prompt, completion, result, startedAt) {
+  const now = Date.now();
+  const firstTextAt = result.first_text_at || now;
+  const promptEvalCount = countTokens(model, prompt);
+  const evalCount = countTokens(model, completion);
+  const { prefillTokensPerSec, decodeTokensPerSec } = result.metrics;
 
-    if (CONFIG.debug) {
-      console.log('Executing:', CONFIG.litert_binary, args);
-    }
+  return {
+    total_duration: toNanoseconds(now - startedAt),
+    prompt_eval_count: promptEvalCount,
+    prompt_eval_duration: prefillTokensPerSec
+      ? toNanoseconds(promptEvalCount / prefillTokensPerSec * 1000)
+      : toNanoseconds(firstTextAt - startedAt),
+    eval_count: evalCount,
+    eval_duration: decodeTokensPerSec
+      ? toNanoseconds(evalCount / decodeTokensPerSec * 1000)
+      : toNanoseconds(now - firstTextAt),
+  };
+}
 
-    const process = spawn(CONFIG.litert_binary, args);
-    let output = '';
-    let error = '';
+// Map Ollama "options" onto generation options
+function ollamaGeneration(req, res, model, options = {}) {
+  const numPredict = options.num_predict;
+  return {
+    model,
+    max_tokens: numPredict > 0 ? numPredict : model.limits.max_tokens,
+    stop: options.stop,
+    signal: clientDisconnectSignal(res),
+    key: req.apiKey,
+    requestLog: req.requestLog,
+  };
+}
 
-    process.stdout.on('data', (data) => {
-      output += data.toString();
-    });
+// Ollama reports errors as { error: message }, with the status api-errors.js gives them
+function sendOllamaError(res, error) {
+  if (error.code === 'cancelled') {
+    return;
+  }
 
-    process.stderr.on('data', (data) => {
-      error += data.toString();
-    });
+  const { status } = errorResponse(error);
+  logFailure(res.req, error, status);
 
-    process.on('error', (err) => {
-      reject(new Error(`Failed to start LiteRT process: ${err.message}`));
-    });
+  if (res.headersSent) {
+    res.write(JSON.stringify({ error: error.message }) + '\n');
+    return res.end();
+  }
 
-    process.on('close', (code) => {
-      if (code !== 0) {
-        // Check if it's a fatal error
-        if (error.includes('Check failure') || error.includes('F0000')) {
-          const errorLines = error.split('\n');
-          const fatalError = errorLines.find(line => line.includes('F0000')) || 'Unknown fatal error';
-          reject(new Error(`LiteRT fatal error: ${fatalError}`));
-        } else {
-          reject(new Error(`LiteRT process exited with code ${code}: ${error}`));
-        }
-      } else {
-        // Use the parser module to extract the response
-        const response = parseLiteRTOutput(output);
-        if (!response || response === 'No response generated') {
-          // If no response found, it might be in stderr
-          const stderrResponse = parseLiteRTOutput(error);
-          if (stderrResponse && stderrResponse !== 'No response generated') {
-            resolve(stderrResponse);
-          } else {
-            if (CONFIG.debug) {
-              console.log('Raw output:', output);
-              console.log('Raw error:', error);
-            }
-            resolve('Hello! How can I help you today?'); // Fallback response
-          }
-        } else {
-          resolve(response);
-        }
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  res.status(status).json({ error: error.message });
+}
+
+// Run a prompt and answer with Ollama's streaming or single-object response.
+// toFields turns a piece of generated text into the response's content fields.
+async function sendOllamaGeneration(res, { model, prompt, generation, stream, toFields }) {
+  const startedAt = Date.now();
+  const base = () => ({ model: model.id, created_at: new Date().toISOString() });
+
+  if (stream) {
+    // Headers go out with the first line, so queue rejections still get a 429
+    const startStream = () => {
+      if (!res.headersSent) {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      }
+    };
+
+    let completion = '';
+    for await (const chunk of streamResponse(prompt, generation)) {
+      startStream();
+      if (chunk.result) {
+        res.write(JSON.stringify({
+          ...base(),
+          ...toFields(''),
+          done: true,
+          done_reason: chunk.result.finish_reason,
+          ...ollamaStats(model, prompt, completion, chunk.result, startedAt),
+        }) + '\n');
+        break;
       }
+
+      completion += chunk.text;
+      res.write(JSON.stringify({ ...base(), ...toFields(chunk.text), done: false }) + '\n');
+    }
+    res.end();
+  } else {
+    const result = await runLiteRT(prompt, generation);
+    res.json({
+      ...base(),
+      ...toFields(result.text),
+      done: true,
+      done_reason: result.finish_reason,
+      ...ollamaStats(model, prompt, result.text, result, startedAt),
     });
+  }
+}
+
+function ollamaModelNotFound(res, name) {
+  return res.status(404).json({ error: `model '${name}' not found` });
+}
+
+function ollamaDetails(model) {
+  return {
+    parent_model: '',
+    format: 'litertlm',
+    family: model.chat_template,
+    families: [model.chat_template],
+    parameter_size: '',
+    quantization_level: '',
+  };
+}
+
+// Ollama messages carry images as a list of base64 strings; they become
+// image_url parts ahead of the message's text
+function ollamaMessages(messages) {
+  return messages.map((message) => {
+    if (!message || !Array.isArray(message.images) || message.images.length === 0) {
+      return message;
+    }
+    const { images, ...rest } = message;
+    return {
+      ...rest,
+      content: [
+        ...images.map(data => ({ type: 'image_url', image_url: { url: `data:;base64,${data}` } })),
+        { type: 'text', text: message.content || '' },
+      ],
+    };
   });
 }
 
-// Stream response in chunks (simulated streaming)
-async function* streamResponse(prompt, options) {
-  const fullResponse = await runLiteRT(prompt, options);
+ollamaRouter.post('/chat', async (req, res) => {
+  try {
+    validateRequest(req.body, 'ollama_chat');
+    const { model: name, messages, stream = true, options } = req.body;
 
-  // Simulate streaming by chunking the response
-  const words = fullResponse.split(' ');
-  const chunkSize = 5; // Send 5 words at a time
+    const model = resolveOllamaModel(req, name);
+    if (!model) {
+      return ollamaModelNotFound(res, name);
+    }
+
+    // No messages just loads the model in Ollama; there is nothing to load here
+    if (!Array.isArray(messages) || messages.length === 0) {
+      return res.json({
+        model: model.id,
+        created_at: new Date().toISOString(),
+        message: { role: 'assistant', content: '' },
+        done: true,
+        done_reason: 'load',
+      });
+    }
 
-  for (let i = 0; i < words.length; i += chunkSize) {
-    const chunk = words.slice(i, i + chunkSize).join(' ');
-    yield chunk + (i + chunkSize < words.length ? ' ' : '');
+    const content = resolveContent(ollamaMessages(messages), model, { imageDir: CONFIG.image_dir });
+    res.on('close', content.cleanup);
 
-    // Small delay to simulate streaming
-    await new Promise(resolve => setTimeout(resolve, 50));
+    const generation = ollamaGeneration(req, res, model, options);
+    const fitted = await fitContext(res, content.messages, generation);
+    generation.images = promptImages(fitted);
+    await sendOllamaGeneration(res, {
+      model,
+      prompt: messagesToPrompt(fitted, model.template),
+      generation,
+      stream,
+      toFields: (text) => ({ message: { role: 'assistant', content: text } }),
+    });
+  } catch (error) {
+    sendOllamaError(res, error);
   }
-}
+});
 
-// OpenAI-compatible chat completions endpoint
-app.post('/v1/chat/completions', authenticateAPIKey, async (req, res) => {
+ollamaRouter.post('/generate', async (req, res) => {
   try {
-    const {
-      messages,
-      model = 'litert-lm',
-      temperature = 1.0,
-      max_tokens = 256,
-      stream = false,
-      n = 1,
-    } = req.body;
+    validateRequest(req.body, 'ollama_generate');
+    const { model: name, prompt, system, raw = false, stream = true, options } = req.body;
 
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-      return res.status(400).json({
-        error: {
-          message: 'Messages array is required',
-          type: 'invalid_request_error',
-        }
+    const model = resolveOllamaModel(req, name);
+    if (!model) {
+      return ollamaModelNotFound(res, name);
+    }
+
+    if (!prompt) {
+      return res.json({
+        model: model.id,
+        created_at: new Date().toISOString(),
+        response: '',
+        done: true,
+        done_reason: 'load',
       });
     }
 
-    const prompt = messagesToPrompt(messages);
-    const requestId = `chatcmpl-${crypto.randomBytes(16).toString('hex')}`;
+    // raw prompts are passed through without the chat template
+    const generation = { ...ollamaGeneration(req, res, model, options), raw };
+    let rendered = prompt;
+    if (raw) {
+      checkPromptLength(model, prompt, generation.max_tokens, 'prompt');
+    } else {
+      const messages = system ? [{ role: 'system', content: system }] : [];
+      messages.push({ role: 'user', content: prompt });
+      rendered = messagesToPrompt(await fitContext(res, messages, generation), model.template);
+    }
 
-    if (stream) {
-      // Server-Sent Events for streaming
-      res.writeHead(200, {
-        'Content-Type': 'text/event-stream',
-        'Cache-Control': 'no-cache',
-        'Connection': 'keep-alive',
-      });
+    await sendOllamaGeneration(res, {
+      model,
+      prompt: rendered,
+      generation,
+      stream,
+      toFields: (text) => ({ response: text }),
+    });
+  } catch (error) {
+    sendOllamaError(res, error);
+  }
+});
 
-      let totalTokens = '';
+ollamaRouter.get('/tags', (req, res) => {
+  res.json({
+    models: models.list().filter(m => allowsModel(req.apiKey, m.id)).map((m) => {
+      let size = 0;
+      try {
+        size = fs.statSync(m.path).size;
+      } catch (e) {
+        // Model file is missing, report it with size 0
+      }
+      return {
+        name: m.id,
+        model: m.id,
+        modified_at: new Date(m.created * 1000).toISOString(),
+        size,
+        digest: crypto.createHash('sha256').update(`${m.id}:${m.path}:${m.created}`).digest('hex'),
+        details: ollamaDetails(m),
+      };
+    })
+  });
+});
 
-      for await (const chunk of streamResponse(prompt, { max_tokens })) {
-        totalTokens += chunk;
+ollamaRouter.post('/show', (req, res) => {
+  try {
+    validateRequest(req.body, 'ollama_show');
+  } catch (error) {
+    return sendOllamaError(res, error);
+  }
+  const name = req.body.model || req.body.name;
+  if (!name) {
+    return res.status(400).json({ error: 'model is required' });
+  }
+  const model = resolveOllamaModel(req, name);
+  if (!model) {
+    return ollamaModelNotFound(res, name);
+  }
 
-        const streamData = {
-          id: requestId,
-          object: 'chat.completion.chunk',
-          created: Math.floor(Date.now() / 1000),
-          model: model,
-          choices: [{
-            index: 0,
-            delta: {
-              content: chunk,
-            },
-            finish_reason: null,
-          }]
-        };
+  res.json({
+    modelfile: `FROM ${model.path}\n`,
+    parameters: model.template.stop.map(s => `stop ${JSON.stringify(s)}`).join('\n'),
+    // The chat template, with Ollama's placeholders standing in for the content
+    template: messagesToPrompt([
+      { role: 'system', content: '{{ .System }}' },
+      { role: 'user', content: '{{ .Prompt }}' },
+    ], model.template),
+    details: ollamaDetails(model),
+    model_info: {
+      'general.architecture': model.chat_template,
+      ...(model.limits.context_length ? { 'general.context_length': model.limits.context_length } : {}),
+    },
+    capabilities: model.modalities.includes('image') ? ['completion', 'vision'] : ['completion'],
+    modified_at: new Date(model.created * 1000).toISOString(),
+  });
+});
 
-        res.write(`data: ${JSON.stringify(streamData)}\n\n`);
-      }
+ollamaRouter.get('/version', (req, res) => {
+  res.json({ version: packageInfo.version });
+});
 
-      // Send final chunk
-      const finalData = {
-        id: requestId,
-        object: 'chat.completion.chunk',
-        created: Math.floor(Date.now() / 1000),
-        model: model,
-        choices: [{
-          index: 0,
-          delta: {},
-          finish_reason: 'stop',
-        }]
-      };
+// Same checks as authenticateAPIKey, with errors in Ollama's shape
+const authenticateOllama = (req, res, next) => {
+  const access = checkAccess(bearerToken(req));
+  if (access.error) {
+    return sendOllamaError(res, access.error);
+  }
+  req.apiKey = access.key;
+  next();
+};
 
-      res.write(`data: ${JSON.stringify(finalData)}\n\n`);
-      res.write('data: [DONE]\n\n');
-      res.end();
-    } else {
-      // Non-streaming response
-      const response = await runLiteRT(prompt, { max_tokens });
+app.use('/api', authenticateOllama, ollamaRouter);
 
-      const completionResponse = {
-        id: requestId,
-        object: 'chat.completion',
-        created: Math.floor(Date.now() / 1000),
-        model: model,
-        choices: [{
-          index: 0,
-          message: {
-            role: 'assistant',
-            content: response,
-          },
-          finish_reason: 'stop',
-        }],
-        usage: {
-          prompt_tokens: Math.ceil(prompt.length / 4), // Rough estimate
-          completion_tokens: Math.ceil(response.length / 4), // Rough estimate
-          total_tokens: Math.ceil((prompt.length + response.length) / 4),
-        }
-      };
+// Reloading the configuration. New settings are checked, and the model
+// registry built from them, before anything changes; if any of it fails the
+// active configuration stays as it is.
+
+// Error for settings that can't be applied, listing each problem with the
+// setting's active and proposed values
+function invalidConfigError(problems, settings) {
+  const error = apiError('invalid_config', `Invalid configuration: ${problems.map(p => p.message).join('; ')}`);
+  const activeSettings = maskSettings(active.settings);
+  const proposed = maskSettings(settings);
+  error.errors = problems.map(problem => ({
+    setting: problem.setting,
+    message: problem.message,
+    active: problem.setting ? activeSettings[problem.setting] : undefined,
+    proposed: problem.setting ? proposed[problem.setting] : undefined,
+  }));
+  return error;
+}
+
+// Settings from the environment and the config file, as a restart would read them
+function readSettings() {
+  try {
+    return { ...envSettings(process.env), ...readConfigFile(configFile) };
+  } catch (e) {
+    const error = apiError('invalid_config', e.message);
+    error.errors = e.errors;
+    throw error;
+  }
+}
 
-      res.json(completionResponse);
+// Check settings and build what they need, without applying anything
+function prepareConfig(settings) {
+  const resolved = resolveConfig(settings);
+  if (!resolved.config) {
+    throw invalidConfigError(resolved.errors, settings);
+  }
+  // Settings only read at startup keep their startup values until a restart
+  const config = { ...resolved.config };
+  for (const [name, setting] of Object.entries(SETTINGS)) {
+    if (setting.restart) {
+      config[name] = startupConfig.config[name];
     }
+  }
+  try {
+    return { settings, config, models: buildModels(config), loaded_at: new Date().toISOString() };
+  } catch (e) {
+    throw invalidConfigError([{ setting: null, message: e.message }], settings);
+  }
+}
+
+// Make a prepared configuration the active one. Returns the settings that changed.
+function applyConfig(next, source) {
+  const changed = diffSettings(active.settings, next.settings);
+  if (next.config.max_concurrent !== active.config.max_concurrent || next.config.max_queue !== active.config.max_queue) {
+    scheduler.resize({ maxConcurrent: next.config.max_concurrent, maxQueue: next.config.max_queue });
+  }
+  active = next;
+  // Warm workers were started with the old model paths and backends
+  if (workerPool) {
+    workerPool.prune(next.models.list());
+  }
+  logger.info('Configuration reloaded', {
+    source,
+    changed: changed.map(change => change.setting),
+    restart_required: restartRequired(),
+  });
+  return changed;
+}
+
+// Settings changed since startup that only apply after a restart
+function restartRequired() {
+  return Object.keys(SETTINGS).filter(name => (
+    SETTINGS[name].restart && JSON.stringify(active.settings[name]) !== JSON.stringify(startupSettings[name])
+  ));
+}
+
+// The configuration as GET /admin/config shows it
+function configView() {
+  return {
+    file: configFile,
+    loaded_at: active.loaded_at,
+    settings: maskSettings(active.settings),
+    restart_required: restartRequired(),
+  };
+}
+
+function sendConfigError(res, error) {
+  const { status, body } = errorResponse(error);
+  if (error.errors) {
+    body.error.errors = error.errors;
+  }
+  res.status(status).json(body);
+}
+
+// Admin API for API keys and their usage, enabled by setting ADMIN_KEY
+const adminRouter = express.Router();
+
+adminRouter.get('/keys', (req, res) => {
+  res.json({ object: 'list', data: keyStore.list() });
+});
+
+adminRouter.post('/keys', (req, res) => {
+  try {
+    const { key, record } = keyStore.create(req.body || {});
+    // The key itself is only ever shown here
+    res.status(201).json({ ...record, key });
   } catch (error) {
-    console.error('Error:', error);
-    res.status(500).json({
-      error: {
-        message: error.message,
-        type: 'internal_error',
+    sendGenerationError(res, error);
+  }
+});
+
+adminRouter.delete('/keys/:id', (req, res) => {
+  const record = keyStore.revoke(req.params.id);
+  if (!record) {
+    return sendError(res, apiError('not_found', `No API key with id ${req.params.id}`, 'id'));
+  }
+  res.json(record);
+});
+
+// Usage totals by key, day and model. ?key_id= picks one key, and ?since= and
+// ?until= (ISO 8601 dates) bound the period.
+adminRouter.get('/usage', (req, res) => {
+  const filter = { key_id: req.query.key_id };
+  for (const param of ['since', 'until']) {
+    if (req.query[param] != null) {
+      filter[param] = Date.parse(req.query[param]);
+      if (Number.isNaN(filter[param])) {
+        return sendError(res, apiError('invalid_request', `${param} must be an ISO 8601 date`, param));
       }
-    });
+    }
   }
+  res.json({ object: 'list', data: usageLedger.query(filter) });
 });
 
-// Health check endpoint
-app.get('/health', async (req, res) => {
-  try {
-    // Basic info
-    const health = {
-      status: 'ok',
-      model: CONFIG.model_path,
-      backend: CONFIG.backend,
-      binary: CONFIG.litert_binary
-    };
+// Empty the response cache, or with ?model= drop one model's entries
+adminRouter.delete('/cache', (req, res) => {
+  const purged = responseCache ? responseCache.purge({ model: req.query.model }) : 0;
+  res.json({ purged });
+});
 
-    // Optionally test the binary (if ?test=true is passed)
-    if (req.query.test === 'true') {
-      try {
-        const testResponse = await runLiteRT('Test', { timeout: 5000 });
-        health.binary_test = 'passed';
-        health.test_response_length = testResponse.length;
-      } catch (error) {
-        health.binary_test = 'failed';
-        health.test_error = error.message;
+// The active settings, with secrets masked
+adminRouter.get('/config', (req, res) => {
+  res.json(configView());
+});
+
+// Replace the config file with the body, a JSON object of settings, and apply
+// it. The file is only written once the settings have been checked. A secret
+// sent back masked keeps the value the file had for it.
+adminRouter.put('/config', (req, res) => {
+  try {
+    const values = { ...req.body };
+    let current = {};
+    try {
+      current = readConfigFile(configFile);
+    } catch (e) {
+      // The file is being replaced, so it doesn't matter if it can't be read
+    }
+    for (const [name, setting] of Object.entries(SETTINGS)) {
+      if (setting.secret && values[name] === SECRET_MASK) {
+        if (current[name] !== undefined) {
+          values[name] = current[name];
+        } else {
+          delete values[name];
+        }
       }
     }
+    const next = prepareConfig({ ...envSettings(process.env), ...values });
+    const temp = `${configFile}.${process.pid}.tmp`;
+    fs.writeFileSync(temp, JSON.stringify(values, null, 2) + '\n', { mode: 0o600 });
+    fs.renameSync(temp, configFile);
+    const changed = applyConfig(next, 'admin');
+    res.json({ ...configView(), changed });
+  } catch (error) {
+    sendConfigError(res, error);
+  }
+});
 
-    res.json(health);
+// Read the config file (and the model registry) again
+adminRouter.post('/reload', (req, res) => {
+  try {
+    const changed = applyConfig(prepareConfig(readSettings()), 'admin');
+    res.json({ ...configView(), changed });
   } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      error: error.message
-    });
+    sendConfigError(res, error);
   }
 });
 
-// List models endpoint (OpenAI compatible)
-app.get('/v1/models', authenticateAPIKey, (req, res) => {
-  res.json({
-    object: 'list',
-    data: [{
-      id: 'litert-lm',
-      object: 'model',
-      created: Math.floor(Date.now() / 1000),
-      owned_by: 'litert-lm',
-      permission: [],
-      root: 'litert-lm',
-      parent: null,
-    }]
-  });
+app.use('/admin', authenticateAdmin, adminRouter);
+
+// Errors for requests no route took, in the shape of the API the path belongs to
+function sendErrorFor(req, res, error) {
+  if (req.path.startsWith('/api/')) {
+    return sendOllamaError(res, error);
+  }
+  if (req.path === '/v1/messages') {
+    return sendAnthropicError(res, errorResponse(error).status, error.message);
+  }
+  return sendError(res, error);
+}
+
+app.use((req, res) => {
+  sendErrorFor(req, res, apiError('unknown_url', `Unknown request URL: ${req.method} ${req.path}`));
 });
 
-// Start server
-app.listen(CONFIG.port, () => {
-  console.log(`LiteRT-LM API Server running on port ${CONFIG.port}`);
-  console.log(`Using binary: ${CONFIG.litert_binary}`);
-  console.log(`Using model: ${CONFIG.model_path}`);
-  console.log(`Backend: ${CONFIG.backend}`);
-  if (CONFIG.api_key) {
-    console.log('API key authentication enabled');
+// Bodies express.json() turned away: malformed JSON, or over MAX_BODY_SIZE
+// (MAX_FILE_SIZE for uploads)
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendErrorFor(req, res, apiError('invalid_request', `Request body is not valid JSON: ${err.message}`));
+  }
+  if (err.type === 'entity.too.large') {
+    const limit = req.path === '/v1/files' ? CONFIG.file_size_limit : CONFIG.body_limit;
+    return sendErrorFor(req, res, apiError('request_too_large', `Request body is larger than ${limit}`));
   }
+  next(err);
 });
 
-// Handle graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\nShutting down server...');
-  process.exit(0);
-});
\ No newline at end of file
+// Start server when run directly; tests require the app without listening
+if (require.main === module) {
+  app.listen(CONFIG.port, () => {
+    logger.info('LiteRT-LM API Server started', { port: Number(CONFIG.port), binary: CONFIG.litert_binary });
+    for (const m of models.list()) {
+      logger.info('Model available', {
+        model: m.id,
+        path: m.path,
+        backend: m.backend,
+        tokens: getTokenCounter(m.tokenizer, logger).exact ? 'tokenizer' : 'estimated',
+        default: m.id === models.defaultModel().id,
+      });
+    }
+    if (authRequired()) {
+      const count = keyStore.list().filter(k => !k.revoked_at).length + (CONFIG.api_key ? 1 : 0);
+      logger.info('API key authentication enabled', { keys: count });
+    } else {
+      logger.warn('No API keys configured: requests are not authenticated');
+    }
+    if (responseCache) {
+      logger.info('Response cache enabled', { entries: responseCache.size(), dir: CONFIG.response_cache_dir });
+    }
+    if (auditLog) {
+      logger.info('Audit log enabled', { file: CONFIG.audit_log, redact: CONFIG.log_redact });
+    }
+    if (fs.existsSync(configFile)) {
+      logger.info('Config file loaded', { file: configFile });
+    }
+    if (CONFIG.admin_key) {
+      logger.info('Admin API enabled at /admin');
+    }
+    // Batches that were running when the server stopped carry on
+    batchRunner.resume();
+  });
+
+  // Apply edits to the config file as they are saved. An invalid file is
+  // logged and ignored, and the active configuration stays in place.
+  try {
+    watchFile(configFile, () => {
+      try {
+        const next = prepareConfig(readSettings());
+        if (diffSettings(active.settings, next.settings).length > 0) {
+          applyConfig(next, 'file');
+        }
+      } catch (error) {
+        logger.error('Config file not applied', { file: configFile, error, errors: error.errors });
+      }
+    });
+  } catch (error) {
+    logger.warn('Config file is not watched; use POST /admin/reload after editing it', { file: configFile, error });
+  }
+
+  // Handle graceful shutdown
+  process.on('SIGINT', () => {
+    logger.info('Shutting down server');
+    shutdown();
+    process.exit(0);
+  });
+}
+
+module.exports = { app, shutdown };
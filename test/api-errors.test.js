@@ -0,0 +1,47 @@
+// test/api-errors.test.js
+// Error response mapping and LiteRT failure classification tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { apiError, errorResponse } = require('../api-errors');
+const { classifyFailure, exitError } = require('../litert-process');
+
+test('errorResponse maps codes to a status and OpenAI error body', () => {
+  assert.deepStrictEqual(errorResponse(apiError('invalid_request', 'temperature is wrong', 'temperature')), {
+    status: 400,
+    body: { error: { message: 'temperature is wrong', type: 'invalid_request_error', param: 'temperature', code: null } },
+  });
+  assert.strictEqual(errorResponse(apiError('out_of_memory', 'x')).status, 503);
+  assert.strictEqual(errorResponse(apiError('timeout', 'x')).body.error.code, 'generation_timeout');
+  assert.strictEqual(errorResponse(apiError('spawn_error', 'x')).body.error.code, 'litert_spawn_error');
+});
+
+test('errors without a known code are internal errors', () => {
+  assert.deepStrictEqual(errorResponse(new Error('boom')), {
+    status: 500,
+    body: { error: { message: 'boom', type: 'server_error', param: null, code: 'internal_error' } },
+  });
+});
+
+test('classifyFailure recognises LiteRT stderr', () => {
+  const cases = [
+    ['E0101 00:00:00.0 1 engine.cc:40] NOT_FOUND: Failed to open model file /m/gemma.litertlm: No such file or directory', 'model_file_not_found'],
+    ["terminate called after throwing an instance of 'std::bad_alloc'", 'out_of_memory'],
+    ['E0101 00:00:00.0 1 engine.cc:52] INVALID_ARGUMENT: Unsupported backend: npu', 'backend_unsupported'],
+    ['F0000 00:00:00.0 1 session.cc:10] Check failed: tokens.size() > 0', 'check_failed'],
+  ];
+  for (const [stderr, code] of cases) {
+    assert.strictEqual(classifyFailure(`I0101 loading\n${stderr}\n`).code, code, stderr);
+  }
+  assert.strictEqual(classifyFailure('I0101 loading\nSegmentation fault\n'), null);
+});
+
+test('exitError names the failure it recognised', () => {
+  const failed = exitError(1, 'E0101 INVALID_ARGUMENT: Unsupported backend: npu\n');
+  assert.strictEqual(failed.code, 'backend_unsupported');
+  assert.strictEqual(failed.message, 'LiteRT does not support the backend: E0101 INVALID_ARGUMENT: Unsupported backend: npu');
+
+  const crashed = exitError(139, 'Segmentation fault\n');
+  assert.strictEqual(crashed.code, 'process_error');
+  assert.match(crashed.message, /exited with code 139/);
+});
@@ -0,0 +1,53 @@
+// test/audit-log.test.js
+// Redaction and audit log rotation tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { REDACTION_PATTERNS, createRedactor } = require('../redaction');
+const { createAuditLog } = require('../audit-log');
+
+test('built-in patterns mask personal data and secrets', () => {
+  const redact = createRedactor(Object.keys(REDACTION_PATTERNS));
+  assert.strictEqual(
+    redact('Mail jane.doe@example.co.uk or call +1 555-123-4567 from 10.0.0.12'),
+    'Mail [REDACTED:email] or call [REDACTED:phone] from [REDACTED:ip_address]'
+  );
+  assert.strictEqual(
+    redact('Card 4111 1111 1111 1111, order 1234567890123'),
+    'Card [REDACTED:credit_card], order 1234567890123'
+  );
+  assert.strictEqual(
+    redact('key sk-litert-abcdefghijklmnop1234, password=hunter2 and Authorization: Bearer abc.def'),
+    'key [REDACTED:secret], password=[REDACTED:secret] and Authorization: [REDACTED:secret]'
+  );
+});
+
+test('only the chosen patterns apply, plus a custom one', () => {
+  const redact = createRedactor(['email'], 'ACCT-\\d+');
+  assert.strictEqual(redact('a@b.io, 555-123-4567, ACCT-991'), '[REDACTED:email], 555-123-4567, [REDACTED]');
+  assert.throws(() => createRedactor(['passport']), /Unknown redaction pattern "passport"/);
+});
+
+test('the audit log redacts entries and rotates by size', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'litert-audit-'));
+  const file = path.join(dir, 'audit.jsonl');
+  const log = createAuditLog({ file, maxBytes: 400, maxFiles: 2, redact: createRedactor(['email']) });
+
+  log.write({ request_id: 'chatcmpl-1', model: 'mock', prompt: 'I am a@b.io', response: 'Hello' });
+  const first = JSON.parse(fs.readFileSync(file, 'utf8'));
+  assert.strictEqual(first.prompt, 'I am [REDACTED:email]');
+  assert.strictEqual(first.response, 'Hello');
+  assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+
+  for (let i = 2; i <= 12; i++) {
+    log.write({ request_id: `chatcmpl-${i}`, model: 'mock', prompt: 'x'.repeat(100), response: 'y' });
+  }
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['audit.jsonl', 'audit.jsonl.1', 'audit.jsonl.2']);
+  assert.ok(fs.readdirSync(dir).every(name => fs.statSync(path.join(dir, name)).size <= 400));
+  const newest = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(newest[newest.length - 1].request_id, 'chatcmpl-12');
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,213 @@
+// test/batch-runner.test.js
+// Batch input parsing, and running, cancelling and resuming batches with a fake runRequest
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseBatchInput, createBatchRunner } = require('../batch-runner');
+const { createFileStore } = require('../file-store');
+const { createLogger } = require('../logger');
+
+const URL = '/v1/chat/completions';
+const line = (customId, extra = {}) => JSON.stringify({ custom_id: customId, method: 'POST', url: URL, body: { messages: [] }, ...extra });
+const silent = createLogger({ level: 'silent' });
+
+// A file store and a runner over temporary directories. open() makes another
+// runner over the same directories, as a restarted server would.
+function setup(runRequest) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'litert-batches-'));
+  const files = createFileStore({ dir: path.join(dir, 'files') });
+  const open = (run = runRequest) => createBatchRunner({
+    dir: path.join(dir, 'batches'),
+    files,
+    concurrency: 2,
+    maxRequests: 100,
+    runRequest: run,
+    logger: silent,
+  });
+  return { files, open, runner: open() };
+}
+
+const inputFile = (files, count, owner) => files.create({
+  filename: 'in.jsonl',
+  purpose: 'batch',
+  data: Buffer.from(Array.from({ length: count }, (_, i) => line(`r${i + 1}`, { body: { n: i + 1 } })).join('\n')),
+  owner,
+});
+
+const ok = (body) => ({ status_code: 200, request_id: `chatcmpl-${body.n}`, body: { n: body.n } });
+const linesOf = (files, id) => files.content(id).toString('utf8').trim().split('\n').map(l => JSON.parse(l));
+
+test('parseBatchInput reads request lines and reports bad ones by line number', () => {
+  const good = parseBatchInput([line('a'), '', line('b')].join('\n'), URL, 10);
+  assert.deepStrictEqual(good.errors, []);
+  assert.deepStrictEqual(good.requests.map(r => r.custom_id), ['a', 'b']);
+
+  const bad = parseBatchInput([
+    '{not json',
+    line('a'),
+    line('a'),
+    line('c', { method: 'GET' }),
+    line('d', { url: '/v1/completions' }),
+    line('e', { body: 'hi' }),
+    JSON.stringify({ method: 'POST' }),
+  ].join('\n'), URL, 10);
+  assert.deepStrictEqual(bad.errors.map(e => [e.code, e.line]), [
+    ['invalid_json_line', 1],
+    ['duplicate_custom_id', 3],
+    ['invalid_method', 4],
+    ['mismatched_endpoint', 5],
+    ['invalid_body', 6],
+    ['missing_required_parameter', 7],
+  ]);
+
+  assert.strictEqual(parseBatchInput('\n', URL, 10).errors[0].code, 'empty_file');
+  assert.strictEqual(parseBatchInput([line('a'), line('b')].join('\n'), URL, 1).errors[0].code, 'too_many_requests');
+});
+
+test('a batch runs every line and writes output and error files', async () => {
+  const { files, runner } = setup(async (body) => (
+    body.n === 2 ? { status_code: 400, request_id: 'chatcmpl-2', body: { error: { message: 'bad' } } } : ok(body)
+  ));
+  const input = inputFile(files, 3);
+
+  const created = runner.create({ input_file_id: input.id, endpoint: URL, completion_window: '24h' });
+  assert.strictEqual(created.status, 'validating');
+  assert.strictEqual(created.owner, undefined);
+  await runner.idle();
+
+  const batch = runner.get(created.id);
+  assert.strictEqual(batch.status, 'completed');
+  assert.ok(batch.completed_at >= batch.in_progress_at);
+  assert.deepStrictEqual(batch.request_counts, { total: 3, completed: 2, failed: 1 });
+  assert.deepStrictEqual(linesOf(files, batch.output_file_id).map(l => [l.custom_id, l.response.status_code]), [['r1', 200], ['r3', 200]]);
+  assert.deepStrictEqual(linesOf(files, batch.error_file_id).map(l => l.custom_id), ['r2']);
+  assert.strictEqual(files.get(batch.output_file_id).purpose, 'batch_output');
+  assert.throws(() => runner.cancel(batch.id), /status completed can't be cancelled/);
+});
+
+test('batches check their input file and belong to their owner', async () => {
+  const { files, runner } = setup(async body => ok(body));
+  const notBatch = files.create({ filename: 'x', purpose: 'assistants', data: Buffer.from(line('a')), owner: 'k1' });
+  assert.throws(() => runner.create({ input_file_id: 'file-missing', endpoint: URL, completion_window: '24h' }), /No file with id/);
+  assert.throws(() => runner.create({ input_file_id: notBatch.id, endpoint: URL, completion_window: '24h' }, 'k1'), /purpose "batch"/);
+  // Another key's file is as good as missing
+  assert.throws(() => runner.create({ input_file_id: notBatch.id, endpoint: URL, completion_window: '24h' }, 'k2'), /No file with id/);
+
+  const invalid = files.create({ filename: 'in.jsonl', purpose: 'batch', data: Buffer.from(`{oops\n${line('a', { method: 'GET' })}`), owner: 'k1' });
+  assert.throws(() => runner.create({ input_file_id: invalid.id, endpoint: URL, completion_window: '24h' }, 'k1'), (err) => {
+    assert.strictEqual(err.param, 'input_file_id');
+    assert.match(err.message, /Line 1 is not valid JSON \(and 1 more\)/);
+    assert.deepStrictEqual(err.errors.map(e => e.code), ['invalid_json_line', 'invalid_method']);
+    return true;
+  });
+  assert.deepStrictEqual(runner.list('k1'), []);
+
+  const batch = runner.create({ input_file_id: inputFile(files, 1, 'k1').id, endpoint: URL, completion_window: '24h' }, 'k1');
+  await runner.idle();
+  assert.strictEqual(runner.get(batch.id, 'k1').status, 'completed');
+  assert.strictEqual(runner.get(batch.id, 'k2'), null);
+  assert.deepStrictEqual(runner.list('k2'), []);
+});
+
+test('a request that throws fails the batch once the others in flight finish', async () => {
+  const started = [];
+  let slowFinished = false;
+  const { files, runner } = setup(async (body) => {
+    started.push(body.n);
+    if (body.n === 1) throw new Error('boom');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    slowFinished = true;
+    return ok(body);
+  });
+  const created = runner.create({ input_file_id: inputFile(files, 4).id, endpoint: URL, completion_window: '24h' });
+  await runner.idle();
+
+  assert.strictEqual(slowFinished, true);
+  assert.deepStrictEqual(started, [1, 2]);
+  const batch = runner.get(created.id);
+  assert.strictEqual(batch.status, 'failed');
+  assert.strictEqual(batch.errors.data[0].message, 'boom');
+  assert.deepStrictEqual(batch.request_counts, { total: 4, completed: 1, failed: 0 });
+});
+
+test('lines turned away by a full queue are tried again, then fail', async () => {
+  const queueFull = () => Object.assign(new Error('Server is busy'), { code: 'queue_full', retryAfter: 0.001, requestId: 'chatcmpl-busy' });
+  let attempts = 0;
+  const { files, runner } = setup(async (body) => {
+    if (body.n === 1 && ++attempts < 3) throw queueFull();
+    if (body.n === 2) throw queueFull();
+    return ok(body);
+  });
+  const created = runner.create({ input_file_id: inputFile(files, 2).id, endpoint: URL, completion_window: '24h' });
+  await runner.idle();
+
+  const batch = runner.get(created.id);
+  assert.strictEqual(batch.status, 'completed');
+  assert.strictEqual(attempts, 3);
+  assert.deepStrictEqual(batch.request_counts, { total: 2, completed: 1, failed: 1 });
+  const [failed] = linesOf(files, batch.error_file_id);
+  assert.deepStrictEqual([failed.custom_id, failed.response.status_code, failed.response.request_id], ['r2', 429, 'chatcmpl-busy']);
+  assert.strictEqual(failed.response.body.error.code, 'queue_full');
+});
+
+test('a line that would wait past the completion window expires the batch', async () => {
+  const seen = [];
+  const { files, runner } = setup(async (body) => {
+    seen.push(body.n);
+    throw Object.assign(new Error('Server is busy'), { code: 'queue_full', retryAfter: 2 * 24 * 60 * 60 });
+  });
+  const created = runner.create({ input_file_id: inputFile(files, 3).id, endpoint: URL, completion_window: '24h' });
+  await runner.idle();
+
+  const batch = runner.get(created.id);
+  assert.strictEqual(batch.status, 'expired');
+  assert.deepStrictEqual(batch.request_counts, { total: 3, completed: 0, failed: 3 });
+  assert.ok(seen.length <= 2);
+  assert.deepStrictEqual(linesOf(files, batch.error_file_id).map(l => l.error.code), ['batch_expired', 'batch_expired', 'batch_expired']);
+});
+
+test('cancelling stops a running batch and keeps what finished', async () => {
+  let release;
+  const { files, runner } = setup((body, { signal }) => {
+    if (body.n === 1) return Promise.resolve(ok(body));
+    return new Promise((resolve, reject) => {
+      release = () => resolve(ok(body));
+      signal.addEventListener('abort', () => reject(Object.assign(new Error('Cancelled'), { code: 'cancelled' })));
+    });
+  });
+  const input = inputFile(files, 3);
+  const created = runner.create({ input_file_id: input.id, endpoint: URL, completion_window: '24h' });
+  while (!release) await new Promise(resolve => setImmediate(resolve));
+
+  assert.strictEqual(runner.cancel(created.id).status, 'cancelling');
+  await runner.idle();
+  const batch = runner.get(created.id);
+  assert.strictEqual(batch.status, 'cancelled');
+  assert.deepStrictEqual(batch.request_counts, { total: 3, completed: 1, failed: 0 });
+  assert.deepStrictEqual(linesOf(files, batch.output_file_id).map(l => l.custom_id), ['r1']);
+  assert.strictEqual(runner.cancel(batch.id).status, 'cancelled');
+});
+
+test('a restarted runner carries on from the lines already finished', async () => {
+  // The first runner finishes r1 and is stopped with r2 and r3 still running
+  const { files, open, runner } = setup(body => (body.n === 1 ? Promise.resolve(ok(body)) : new Promise(() => {})));
+  const created = runner.create({ input_file_id: inputFile(files, 3).id, endpoint: URL, completion_window: '24h' });
+  while (runner.get(created.id).request_counts.completed === 0) await new Promise(resolve => setImmediate(resolve));
+
+  const seen = [];
+  const restarted = open(async (body) => {
+    seen.push(body.n);
+    return ok(body);
+  });
+  assert.strictEqual(restarted.get(created.id).status, 'in_progress');
+  restarted.resume();
+  await restarted.idle();
+
+  const batch = restarted.get(created.id);
+  assert.strictEqual(batch.status, 'completed');
+  assert.deepStrictEqual(seen.sort(), [2, 3]);
+  assert.deepStrictEqual(linesOf(files, batch.output_file_id).map(l => l.custom_id).sort(), ['r1', 'r2', 'r3']);
+});
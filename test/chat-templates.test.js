@@ -0,0 +1,84 @@
+// test/chat-templates.test.js
+// Prompt rendering tests for the built-in and custom chat templates
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { BUILTIN_TEMPLATES, detectTemplate, resolveTemplate, appendSystemText, normalizeRoles, messagesToPrompt } = require('../chat-templates');
+
+const CONVERSATION = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'user', content: 'Hi' },
+];
+
+test('generic template keeps the System/User/Assistant format', () => {
+  assert.strictEqual(messagesToPrompt(CONVERSATION), 'System: Be brief.\n\nUser: Hi\n\nAssistant:');
+});
+
+test('gemma template merges system messages into the first user turn', () => {
+  const prompt = messagesToPrompt(CONVERSATION, resolveTemplate('gemma'));
+  assert.strictEqual(prompt, '<start_of_turn>user\nBe brief.\n\nHi<end_of_turn>\n<start_of_turn>model\n');
+});
+
+test('templates with a system role render it as its own turn', () => {
+  const prompt = messagesToPrompt(CONVERSATION, resolveTemplate('qwen'));
+  assert.ok(prompt.startsWith('<|im_start|>system\nBe brief.<|im_end|>\n<|im_start|>user\nHi<|im_end|>\n'));
+  assert.ok(prompt.endsWith(BUILTIN_TEMPLATES.qwen.generation_prompt));
+});
+
+test('no generation prompt is added after a trailing assistant message', () => {
+  const prompt = messagesToPrompt([...CONVERSATION, { role: 'assistant', content: 'Hello' }], resolveTemplate('phi'));
+  assert.ok(prompt.endsWith('<|assistant|>\nHello<|end|>\n'));
+});
+
+test('content is inserted literally', () => {
+  const prompt = messagesToPrompt([{ role: 'user', content: "$& and $'" }], resolveTemplate('gemma'));
+  assert.match(prompt, /\$& and \$'/);
+});
+
+test('content parts are joined, with images as the template placeholder', () => {
+  const messages = [
+    { role: 'system', content: [{ type: 'text', text: 'Be brief.' }] },
+    { role: 'user', content: [{ type: 'image_url', image_url: { url: 'data:,' } }, { type: 'text', text: 'What is this?' }] },
+  ];
+  assert.strictEqual(messagesToPrompt(messages, resolveTemplate('gemma')),
+    '<start_of_turn>user\nBe brief.\n\n<start_of_image>\nWhat is this?<end_of_turn>\n<start_of_turn>model\n');
+  assert.strictEqual(messagesToPrompt(messages, resolveTemplate('qwen')).includes('<image>\nWhat is this?'), true);
+
+  const extended = appendSystemText(messages, 'Answer in French.');
+  assert.deepStrictEqual(extended[0].content[1], { type: 'text', text: '\nAnswer in French.' });
+  assert.match(messagesToPrompt(extended), /^System: Be brief.\n\nAnswer in French./);
+});
+
+test('developer messages are rendered as system messages', () => {
+  const messages = normalizeRoles([{ role: 'developer', content: 'Be brief.' }, { role: 'user', content: 'Hi' }]);
+  assert.deepStrictEqual(messages[0], { role: 'system', content: 'Be brief.' });
+  assert.match(messagesToPrompt(messages), /^System: Be brief./);
+});
+
+test('custom templates are looked up before built-ins and validated', () => {
+  const custom = { mine: { user: '[U]{content}', assistant: '[A]{content}', generation_prompt: '[A]' } };
+  assert.strictEqual(messagesToPrompt(CONVERSATION, resolveTemplate('mine', custom)), '[U]Be brief.\n\nHi[A]');
+  assert.throws(() => resolveTemplate({ user: 'no placeholder', assistant: '{content}' }), /"user" format/);
+  assert.throws(() => resolveTemplate('missing'), /Unknown chat template/);
+});
+
+test('detectTemplate picks the family from the model name', () => {
+  assert.strictEqual(detectTemplate('gemma-3n-e4b-it-int4.litertlm'), 'gemma');
+  assert.strictEqual(detectTemplate('Qwen2.5-1.5B-Instruct'), 'qwen');
+  assert.strictEqual(detectTemplate('my-model'), 'generic');
+});
+
+test('tool calls and tool results are rendered in the template format', () => {
+  const messages = [
+    { role: 'user', content: 'Weather?' },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'c1', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } }] },
+    { role: 'tool', tool_call_id: 'c1', content: 'sunny' },
+  ];
+  const prompt = messagesToPrompt(messages, resolveTemplate('qwen'));
+  assert.ok(prompt.includes('<|im_start|>assistant\n<tool_call>\n{"name":"get_weather","arguments":{"city":"Paris"}}\n</tool_call><|im_end|>\n'));
+  assert.ok(prompt.includes('<|im_start|>user\n<tool_response>\nsunny\n</tool_response><|im_end|>\n<|im_start|>assistant\n'));
+
+  // Templates without a tool format put results in a user turn
+  const custom = resolveTemplate({ user: '[U]{content}', assistant: '[A]{content}' });
+  assert.strictEqual(custom.tool, '[U]<tool_response>\n{content}\n</tool_response>');
+});
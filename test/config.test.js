@@ -0,0 +1,85 @@
+// test/config.test.js
+// Reading, checking and comparing settings, and watching the config file
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { envSettings, readConfigFile, resolveConfig, diffSettings, maskSettings, watchFile } = require('../config');
+
+test('settings are read from the environment with their types', () => {
+  const settings = envSettings({
+    MAX_CONCURRENT: '3',
+    STRICT_PARAMS: 'true',
+    WORKER_ARGS: '--interactive  --verbose',
+    LOG_REDACT: 'email, secret',
+    DEBUG: 'true',
+  });
+  assert.strictEqual(settings.max_concurrent, 3);
+  assert.strictEqual(settings.strict_params, true);
+  assert.deepStrictEqual(settings.worker_args, ['--interactive', '--verbose']);
+  assert.deepStrictEqual(settings.log_redact, ['email', 'secret']);
+  assert.strictEqual(settings.log_level, 'debug');
+  assert.strictEqual(settings.max_queue, 16);
+  assert.strictEqual(settings.api_key, null);
+});
+
+test('resolveConfig lists every problem, and derives what the server uses', () => {
+  const { config, errors } = resolveConfig({
+    ...envSettings({ MAX_QUEUE: 'lots' }),
+    context_strategy: 'shorten',
+    sampling_flags: 'top_z=--top_z',
+    log_redact_pattern: '(',
+    colour: 'blue',
+  });
+  assert.strictEqual(config, null);
+  assert.deepStrictEqual(errors.map(e => e.setting), ['max_queue', 'context_strategy', 'colour', 'sampling_flags', 'log_redact_pattern']);
+  assert.match(errors[0].message, /max_queue should be integer, got string/);
+
+  const valid = resolveConfig({ ...envSettings({ BACKEND: 'mock', SAMPLING_FLAGS: 'seed=--seed' }) });
+  assert.deepStrictEqual(valid.errors, []);
+  assert.deepStrictEqual(valid.config.sampling_flags, { seed: '--seed' });
+  assert.strictEqual(valid.config.litert_binary, path.join(__dirname, '..', 'mock-litert.js'));
+});
+
+test('config files must hold a JSON object, and a missing one is empty', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'litert-config-'));
+  const file = path.join(dir, 'config.json');
+  assert.deepStrictEqual(readConfigFile(file), {});
+  fs.writeFileSync(file, '{"max_queue": 8}');
+  assert.deepStrictEqual(readConfigFile(file), { max_queue: 8 });
+  fs.writeFileSync(file, '[1]');
+  assert.throws(() => readConfigFile(file), /must contain a JSON object/);
+  fs.writeFileSync(file, '{"max_queue":');
+  assert.throws(() => readConfigFile(file), err => /not valid JSON/.test(err.errors[0].message));
+});
+
+test('diffs and views mask secrets', () => {
+  const from = { api_key: 'sk-old', max_queue: 4, admin_key: null };
+  const to = { api_key: 'sk-new', max_queue: 4, admin_key: 'admin' };
+  assert.deepStrictEqual(diffSettings(from, to), [
+    { setting: 'api_key', from: '********', to: '********' },
+    { setting: 'admin_key', from: null, to: '********' },
+  ]);
+  assert.deepStrictEqual(maskSettings(from), { api_key: '********', max_queue: 4, admin_key: null });
+});
+
+test('watchFile reports a file replaced by rename once', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'litert-config-'));
+  const file = path.join(dir, 'config.json');
+  let changes = 0;
+  const watcher = watchFile(file, () => changes++);
+  try {
+    fs.writeFileSync(path.join(dir, 'other.json'), '{}');
+    fs.writeFileSync(`${file}.tmp`, '{"max_queue": 8}');
+    fs.renameSync(`${file}.tmp`, file);
+    for (let i = 0; i < 50 && changes === 0; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+    assert.strictEqual(changes, 1);
+  } finally {
+    watcher.close();
+  }
+});
@@ -0,0 +1,55 @@
+// test/content-parts.test.js
+// Content part checks and image file handling tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { contentText, resolveContent, promptImages } = require('../content-parts');
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+const vision = { id: 'gemma', modalities: ['text', 'image'] };
+const textOnly = { id: 'phi', modalities: ['text'] };
+const image = (url) => ({ type: 'image_url', image_url: { url } });
+const ask = (...parts) => [{ role: 'user', content: parts }];
+
+test('contentText flattens parts', () => {
+  assert.strictEqual(contentText('Hi'), 'Hi');
+  assert.strictEqual(contentText(null), '');
+  assert.strictEqual(contentText([{ type: 'text', text: 'a' }, image('x'), { type: 'text', text: 'b' }]), 'a\n[image]\nb');
+});
+
+test('data URL images are written to files that cleanup removes', () => {
+  const { messages, cleanup } = resolveContent(ask({ type: 'text', text: 'What?' }, image(`data:image/png;base64,${PNG}`)), vision);
+  const [file] = promptImages(messages);
+  assert.match(file.path, /[0-9a-f]{64}\.png$/);
+  assert.deepStrictEqual(fs.readFileSync(file.path), Buffer.from(PNG, 'base64'));
+  cleanup();
+  assert.ok(!fs.existsSync(file.path));
+});
+
+test('parts a model cannot take are rejected with their position', () => {
+  const imageParam = { code: 'invalid_request', param: 'messages[0].content[1]' };
+  assert.throws(() => resolveContent(ask({ type: 'text', text: 'a' }, image(`data:image/png;base64,${PNG}`)), textOnly),
+    { ...imageParam, message: 'Model phi does not accept image input' });
+  assert.throws(() => resolveContent(ask({ type: 'text', text: 'a' }, { type: 'input_audio' }), vision),
+    { ...imageParam, message: 'Content part type "input_audio" is not supported' });
+  assert.throws(() => resolveContent(ask({ type: 'text', text: 'a' }, image('https://example.com/cat.png')), vision), imageParam);
+  assert.throws(() => resolveContent(ask({ type: 'text', text: 'a' }, image('data:image/png;base64,aGVsbG8=')), vision),
+    { ...imageParam, message: 'Images must be PNG, JPEG, GIF or WebP' });
+  assert.throws(() => resolveContent([{ role: 'assistant', content: [image(`data:image/png;base64,${PNG}`)] }], vision),
+    { param: 'messages[0].content[0]' });
+  assert.throws(() => resolveContent([{ role: 'user', content: { text: 'a' } }], vision), { param: 'messages[0].content' });
+});
+
+test('local image files must be inside the image directory', () => {
+  const imageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'litert-image-dir-'));
+  const file = path.join(imageDir, 'cat.png');
+  fs.writeFileSync(file, Buffer.from(PNG, 'base64'));
+
+  assert.throws(() => resolveContent(ask(image(file)), vision), { message: 'Local image files are not enabled on this server' });
+  const { messages } = resolveContent(ask(image(`file://${file}`), image('cat.png')), vision, { imageDir });
+  assert.deepStrictEqual(promptImages(messages).map(i => i.path), [fs.realpathSync(file), fs.realpathSync(file)]);
+  assert.throws(() => resolveContent(ask(image('../escape.png')), vision, { imageDir }), { param: 'messages[0].content[0]' });
+});
@@ -0,0 +1,80 @@
+// test/context-window.test.js
+// Context window fitting tests, measuring prompts as their total content length
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { fitConversation } = require('../context-window');
+
+const measure = (messages) => messages.reduce((total, m) => total + (m.content || '').length, 0);
+
+const conversation = [
+  { role: 'system', content: 'sys' },
+  { role: 'user', content: 'aaaaaaaaaa' },
+  { role: 'assistant', content: 'bbbbbbbbbb' },
+  { role: 'user', content: 'cccccccccc' },
+  { role: 'assistant', content: 'dddddddddd' },
+  { role: 'user', content: 'eeeee' },
+];
+
+const fit = (messages, strategy, limit, extra = {}) => fitConversation(messages, {
+  measure, limit, contextLength: limit + 10, strategy, summaryTokens: 10, ...extra,
+});
+
+test('conversations that fit are left alone', async () => {
+  const fitted = await fit(conversation, 'reject', 100);
+  assert.strictEqual(fitted.messages, conversation);
+  assert.deepStrictEqual([fitted.prompt_tokens, fitted.dropped, fitted.summarized], [48, 0, 0]);
+});
+
+test('reject fails with context_length_exceeded', async () => {
+  await assert.rejects(fit(conversation, 'reject', 40), (err) => {
+    assert.strictEqual(err.code, 'context_length_exceeded');
+    assert.strictEqual(err.param, 'messages');
+    assert.strictEqual(err.tokens, 58);
+    assert.match(err.message, /maximum context length is 50 tokens/);
+    return true;
+  });
+});
+
+test('truncate drops the oldest turns but keeps system messages and the latest turn', async () => {
+  const fitted = await fit(conversation, 'truncate', 20);
+  assert.deepStrictEqual(fitted.messages.map(m => m.content), ['sys', 'dddddddddd', 'eeeee']);
+  assert.strictEqual(fitted.dropped, 3);
+  assert.strictEqual(fitted.prompt_tokens, 18);
+});
+
+test('truncate drops tool results along with their call', async () => {
+  const messages = [
+    { role: 'user', content: 'aaaaaaaaaa' },
+    { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'f', arguments: '{}' } }] },
+    { role: 'tool', tool_call_id: 'call_1', content: 'rrrrrrrrrr' },
+    { role: 'assistant', content: 'bbbbb' },
+    { role: 'user', content: 'ccccc' },
+  ];
+  const fitted = await fit(messages, 'truncate', 15);
+  assert.deepStrictEqual(fitted.messages.map(m => m.role), ['assistant', 'user']);
+  assert.strictEqual(fitted.dropped, 3);
+});
+
+test('truncate fails when the messages that must stay are too long', async () => {
+  const messages = [{ role: 'system', content: 'x'.repeat(30) }, { role: 'user', content: 'hi' }];
+  await assert.rejects(fit(messages, 'truncate', 20), { code: 'context_length_exceeded' });
+});
+
+test('summarize replaces the oldest turns with a summary', async () => {
+  let summarized = null;
+  const fitted = await fit(conversation, 'summarize', 40, {
+    // A summary counts as 5 tokens
+    measure: (messages) => measure(messages.filter(m => !m.content.startsWith('Summary'))) +
+      5 * messages.filter(m => m.content.startsWith('Summary')).length,
+    summarize: async (earlier) => {
+      summarized = earlier.map(m => m.content);
+      return 'short';
+    },
+  });
+  // Room is kept for the summary (summaryTokens) while choosing what to replace
+  assert.deepStrictEqual(summarized, ['aaaaaaaaaa', 'bbbbbbbbbb', 'cccccccccc']);
+  assert.deepStrictEqual(fitted.messages.map(m => m.role), ['system', 'system', 'assistant', 'user']);
+  assert.strictEqual(fitted.messages[1].content, 'Summary of the earlier conversation:\nshort');
+  assert.deepStrictEqual([fitted.prompt_tokens, fitted.dropped, fitted.summarized], [23, 0, 3]);
+});
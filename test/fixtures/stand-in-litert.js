@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// test/fixtures/stand-in-litert.js
+// Stand-in for litert_lm_main used by the tests
+//
+// One-shot mode: --input_prompt "<prompt>" prints the reply and exits.
+// Worker mode: --interactive prints the ready marker, then answers each
+// "<request id> <escaped prompt>" line read from stdin, ending the reply with
+// the marker and the request id. Prompts containing CRASH make the
+// process exit mid-response, prompts containing HANG never finish, and
+// prompts containing STRAY print more output after the reply has ended.
+
+const readline = require('readline');
+
+const args = process.argv.slice(2);
+const flag = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+};
+
+const READY_MARKER = '>>> ';
+
+function decodePrompt(line) {
+  return line.replace(/\\(\\|n)/g, (match, c) => (c === 'n' ? '\n' : '\\'));
+}
+
+function reply(prompt) {
+  if (prompt.includes('CRASH')) {
+    process.stdout.write('Response: partial');
+    process.stderr.write('F0000 00:00:00.000000 stand-in.cc:1] Check failed: crash requested\n');
+    process.exit(134);
+  }
+  if (prompt.includes('HANG')) {
+    return new Promise(() => {});
+  }
+  return `Response: [pid ${process.pid}] ${prompt}\n\nPrefill: 12 tokens, 120.5 tokens/sec\nDecode: 8 tokens, 15.2 tokens/sec\n`;
+}
+
+process.stderr.write(`I0000 00:00:00.000000 stand-in.cc:1] Loading model ${flag('--model_path')} on ${flag('--backend')}\n`);
+
+if (flag('--input_prompt') !== undefined) {
+  Promise.resolve(reply(flag('--input_prompt'))).then((text) => process.stdout.write(text));
+} else if (args.includes('--interactive')) {
+  process.stdout.write(READY_MARKER);
+  const rl = readline.createInterface({ input: process.stdin });
+  let busy = Promise.resolve();
+  rl.on('line', (line) => {
+    const space = line.indexOf(' ');
+    const requestId = line.substring(0, space);
+    busy = busy
+      .then(() => reply(decodePrompt(line.substring(space + 1))))
+      .then((text) => process.stdout.write(text + READY_MARKER + requestId + (text.includes('STRAY') ? 'stray output\n' : '')));
+  });
+} else {
+  process.stderr.write('E0000 00:00:00.000000 stand-in.cc:1] --input_prompt is required\n');
+  process.exit(1);
+}
@@ -0,0 +1,87 @@
+// test/key-store.test.js
+// API key store, rate limiter and usage ledger tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { safeEqual, createKeyStore, isExpired, allowsModel, createRateLimiter } = require('../key-store');
+const { createUsageLedger } = require('../usage-ledger');
+
+const tempFile = (name) => path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'litert-keys-')), name);
+
+test('keys are stored hashed and survive a reload', () => {
+  const file = tempFile('keys.json');
+  const store = createKeyStore({ file });
+  assert.strictEqual(store.hasActiveKeys(), false);
+
+  const { key, record } = store.create({ name: 'team-a', models: ['gemma'], requests_per_minute: 10 });
+  assert.match(key, /^sk-litert-/);
+  assert.strictEqual(record.hash, undefined);
+  assert.strictEqual(record.prefix, key.substring(0, 14));
+  assert.ok(!fs.readFileSync(file, 'utf8').includes(key));
+
+  const reloaded = createKeyStore({ file });
+  assert.strictEqual(reloaded.authenticate(key).name, 'team-a');
+  assert.strictEqual(reloaded.authenticate(`${key}x`), null);
+  assert.deepStrictEqual(reloaded.list(), [record]);
+});
+
+test('revoked keys no longer authenticate', () => {
+  const store = createKeyStore({ file: tempFile('keys.json') });
+  const { key, record } = store.create({ name: 'temp' });
+  assert.ok(store.revoke(record.id).revoked_at);
+  assert.strictEqual(store.authenticate(key), null);
+  assert.strictEqual(store.hasActiveKeys(), false);
+  assert.strictEqual(store.revoke('key_missing'), null);
+});
+
+test('new keys are validated', () => {
+  const store = createKeyStore({ file: tempFile('keys.json') });
+  assert.throws(() => store.create({}), { code: 'invalid_request', param: 'name' });
+  assert.throws(() => store.create({ name: 'a', models: 'gemma' }), { param: 'models' });
+  assert.throws(() => store.create({ name: 'a', tokens_per_day: 0 }), { param: 'tokens_per_day' });
+  assert.throws(() => store.create({ name: 'a', expires_at: 'soon' }), { param: 'expires_at' });
+});
+
+test('expiry, model access and constant-time comparison', () => {
+  assert.strictEqual(isExpired({ expires_at: null }), false);
+  assert.strictEqual(isExpired({ expires_at: '2020-01-01T00:00:00Z' }), true);
+  assert.strictEqual(allowsModel(null, 'gemma'), true);
+  assert.strictEqual(allowsModel({ models: null }, 'gemma'), true);
+  assert.strictEqual(allowsModel({ models: ['phi'] }, 'gemma'), false);
+  assert.strictEqual(safeEqual('abc', 'abc'), true);
+  assert.strictEqual(safeEqual('abc', 'abcd'), false);
+});
+
+test('rate limiter allows N requests in any minute', () => {
+  const limiter = createRateLimiter();
+  assert.ok(limiter.take('k', 2, 0).ok);
+  assert.ok(limiter.take('k', 2, 1000).ok);
+  assert.deepStrictEqual(limiter.take('k', 2, 30000), { ok: false, retryAfter: 30 });
+  assert.ok(limiter.take('other', 2, 30000).ok);
+  assert.ok(limiter.take('k', 2, 60001).ok);
+});
+
+test('usage ledger totals tokens by key, day and model', () => {
+  const file = tempFile('usage.jsonl');
+  const ledger = createUsageLedger({ file });
+  ledger.record({ key_id: 'a', key_name: 'A', model: 'gemma', prompt_tokens: 10, completion_tokens: 5 });
+  ledger.record({ key_id: 'a', key_name: 'A', model: 'gemma', prompt_tokens: 1, completion_tokens: 2 });
+  ledger.record({ key_id: 'b', key_name: 'B', model: 'phi', prompt_tokens: 7, completion_tokens: 0 });
+  fs.appendFileSync(file, '{"time": "cut sh');
+
+  // A reopened ledger picks up today's totals
+  const reopened = createUsageLedger({ file });
+  assert.strictEqual(reopened.tokensToday('a'), 18);
+  assert.strictEqual(reopened.tokensToday('c'), 0);
+
+  const [row] = reopened.query({ key_id: 'a' });
+  assert.deepStrictEqual({ ...row, date: undefined }, {
+    key_id: 'a', key_name: 'A', date: undefined, model: 'gemma',
+    runs: 2, prompt_tokens: 11, completion_tokens: 7, total_tokens: 18,
+  });
+  assert.strictEqual(reopened.query().length, 2);
+  assert.deepStrictEqual(reopened.query({ until: Date.parse('2000-01-01') }), []);
+});
@@ -0,0 +1,121 @@
+// test/litert-parser.test.js
+// Output parser tests against sample LiteRT-LM output and the mock backend.
+// The samples under fixtures/outputs are hand-written in the layout of
+// litert_lm_main's output, not captured from real runs.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { resolveProfile, parseLiteRTOutput, parseMetrics, parseStructuredOutput, createStreamParser } = require('../litert-parser');
+
+const OUTPUTS = path.join(__dirname, 'fixtures', 'outputs');
+const MOCK = path.join(__dirname, '..', 'mock-litert.js');
+
+const expected = JSON.parse(fs.readFileSync(path.join(OUTPUTS, 'expected.json'), 'utf8'));
+
+// Log lines first, then the reply, as the server sees a run's output
+function mockOutput(reply) {
+  const run = spawnSync(process.execPath, [MOCK, '--backend', 'cpu', '--model_path', 'mock.litertlm', '--input_prompt', `[[mock:reply=${reply}]]`], {
+    env: { ...process.env, MOCK_LOAD_MS: '0', MOCK_LATENCY_MS: '0', MOCK_FAULT: '' },
+    encoding: 'utf8',
+  });
+  return run.stderr + run.stdout;
+}
+
+function streamParse(output, profile, size) {
+  const parser = createStreamParser(profile);
+  let text = '';
+  for (let i = 0; i < output.length; i += size) {
+    text += parser.push(output.substring(i, i + size));
+  }
+  text += parser.end();
+  return { text, result: parser.result() };
+}
+
+for (const [file, want] of Object.entries(expected)) {
+  test(`sample output ${file}`, () => {
+    const output = fs.readFileSync(path.join(OUTPUTS, file), 'utf8');
+    const profile = resolveProfile(want.profile);
+    const result = parseLiteRTOutput(output, profile);
+
+    assert.strictEqual(result.ok, want.ok);
+    assert.strictEqual(result.confidence, want.confidence);
+    assert.strictEqual(result.reason, want.reason || null);
+    assert.strictEqual(result.text, want.text || '');
+
+    // Streaming gives the same answer however the output is chunked
+    for (const size of [1, 5]) {
+      const streamed = streamParse(output, profile, size);
+      assert.strictEqual(streamed.text, result.text, `chunks of ${size}`);
+      assert.deepStrictEqual(streamed.result, result, `chunks of ${size}`);
+    }
+  });
+}
+
+test('mock backend output parses with the default profile', () => {
+  const result = parseLiteRTOutput(mockOutput('Paris is the capital of France.'));
+  assert.deepStrictEqual(result, {
+    ok: true,
+    text: 'Paris is the capital of France.',
+    confidence: 'high',
+    reason: null,
+    profile: 'litert-lm',
+  });
+});
+
+test('performance metrics are read from the output', () => {
+  assert.deepStrictEqual(parseMetrics(mockOutput('Hello there')), {
+    prefillTokensPerSec: 245.3,
+    decodeTokensPerSec: 18.7,
+    peakMemoryMB: 1536.42,
+  });
+  assert.deepStrictEqual(parseMetrics('Response: Hi\n'), {});
+});
+
+test('parseStructuredOutput still gives the reply and metrics together', () => {
+  assert.deepStrictEqual(parseStructuredOutput(mockOutput('Hello there')), {
+    response: 'Hello there',
+    metrics: { prefillTokensPerSec: 245.3, decodeTokensPerSec: 18.7, peakMemoryMB: 1536.42 },
+  });
+});
+
+test('output before a late marker is dropped, and kept when no marker comes', () => {
+  const output = 'I0000 loading\nthinking...\n\nstill thinking\n';
+  assert.strictEqual(parseLiteRTOutput(output + 'Response: 42\nPrefill: 1 tokens\n').text, '42');
+  assert.deepStrictEqual(parseLiteRTOutput(output), {
+    ok: true, text: 'thinking...\n\nstill thinking', confidence: 'low', reason: null, profile: 'litert-lm',
+  });
+});
+
+test('stream parser holds back what could be an end marker', () => {
+  const parser = createStreamParser();
+  assert.strictEqual(parser.push('Response: Hi\n\nPre'), 'Hi');
+  assert.strictEqual(parser.push('fill: 3 tokens\n'), '');
+  assert.strictEqual(parser.end(), '');
+  assert.strictEqual(parser.result().confidence, 'high');
+});
+
+test('stream parser only treats markers at the start of a line as the end', () => {
+  const parser = createStreamParser();
+  assert.strictEqual(parser.push('Response: Decode: base64'), 'Decode: base64');
+  assert.strictEqual(parser.push(' and Prefill: later\n'), ' and Prefill: later');
+  assert.strictEqual(parser.end(), '');
+});
+
+test('custom and inline profiles', () => {
+  const custom = { wrapped: { response_markers: ['<<<'], end_markers: ['>>>'] } };
+  const profile = resolveProfile('wrapped', custom);
+  assert.strictEqual(profile.require_marker, true);
+  assert.strictEqual(parseLiteRTOutput('noise\n<<< Hi\n>>>\n', profile).text, 'Hi');
+  assert.strictEqual(parseLiteRTOutput('noise\n>>>\n', profile).reason, 'no_response_marker');
+
+  const inline = resolveProfile({ response_markers: ['A:'], require_marker: false, log_pattern: '^#' });
+  assert.strictEqual(inline.name, 'inline');
+  assert.strictEqual(parseLiteRTOutput('# log\nB\n', inline).confidence, 'low');
+
+  assert.throws(() => resolveProfile('missing'), /Unknown output profile "missing"/);
+  assert.throws(() => resolveProfile({ end_markers: 'Prefill:' }), /"end_markers" that is not an array/);
+  assert.throws(() => resolveProfile({ log_pattern: '(' }), /invalid "log_pattern"/);
+});
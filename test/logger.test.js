@@ -0,0 +1,43 @@
+// test/logger.test.js
+// JSON-lines logger tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createLogger } = require('../logger');
+
+// Stream that keeps the parsed lines written to it
+function capture() {
+  const lines = [];
+  return { lines, write: (line) => lines.push(JSON.parse(line)) };
+}
+
+test('lines below the level are dropped, and warnings go to the error stream', () => {
+  const out = capture();
+  const err = capture();
+  const logger = createLogger({ level: 'info', stream: out, errorStream: err });
+  logger.debug('hidden');
+  logger.info('request', { request_id: 'chatcmpl-1', status: 200, key: undefined });
+  logger.warn('careful');
+
+  assert.strictEqual(out.lines.length, 1);
+  assert.deepStrictEqual(Object.keys(out.lines[0]), ['time', 'level', 'msg', 'request_id', 'status']);
+  assert.strictEqual(out.lines[0].level, 'info');
+  assert.deepStrictEqual(err.lines.map(l => l.msg), ['careful']);
+  assert.strictEqual(logger.enabled('debug'), false);
+});
+
+test('errors are serialized and child loggers add their fields', () => {
+  const err = capture();
+  const logger = createLogger({ level: 'debug', stream: capture(), errorStream: err }).child({ component: 'worker-pool' });
+  const failure = new Error('LiteRT ran out of memory');
+  failure.code = 'out_of_memory';
+  failure.exitCode = 134;
+  logger.error('Request failed', { error: failure });
+
+  assert.deepStrictEqual(err.lines[0].error, { message: 'LiteRT ran out of memory', code: 'out_of_memory', exit_code: 134 });
+  assert.strictEqual(err.lines[0].component, 'worker-pool');
+});
+
+test('unknown levels are rejected', () => {
+  assert.throws(() => createLogger({ level: 'verbose' }), /Unknown log level "verbose"/);
+});
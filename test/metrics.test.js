@@ -0,0 +1,46 @@
+// test/metrics.test.js
+// Prometheus registry and text exposition tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createMetricsRegistry } = require('../metrics');
+
+test('counters render one series per label set', () => {
+  const registry = createMetricsRegistry();
+  const runs = registry.counter('runs_total', 'Runs', ['model']);
+  runs.inc({ model: 'a' });
+  runs.inc({ model: 'a' }, 2);
+  runs.inc({ model: 'b' });
+
+  const lines = registry.render().split('\n');
+  assert.ok(lines.includes('# TYPE runs_total counter'));
+  assert.ok(lines.includes('runs_total{model="a"} 3'));
+  assert.ok(lines.includes('runs_total{model="b"} 1'));
+});
+
+test('histograms render cumulative buckets, sum and count', () => {
+  const registry = createMetricsRegistry();
+  const latency = registry.histogram('latency_seconds', 'Latency', ['model'], [0.5, 1]);
+  latency.observe({ model: 'a' }, 0.2);
+  latency.observe({ model: 'a' }, 0.7);
+  latency.observe({ model: 'a' }, 3);
+
+  const lines = registry.render().split('\n');
+  assert.ok(lines.includes('latency_seconds_bucket{model="a",le="0.5"} 1'));
+  assert.ok(lines.includes('latency_seconds_bucket{model="a",le="1"} 2'));
+  assert.ok(lines.includes('latency_seconds_bucket{model="a",le="+Inf"} 3'));
+  assert.ok(lines.includes('latency_seconds_sum{model="a"} 3.9'));
+  assert.ok(lines.includes('latency_seconds_count{model="a"} 3'));
+});
+
+test('gauges are collected at render time and label values are escaped', () => {
+  const registry = createMetricsRegistry();
+  let depth = 1;
+  registry.gauge('queue_depth', 'Queue depth', () => depth);
+  registry.counter('errors_total', 'Errors', ['type']).inc({ type: 'say "hi"\n' });
+  depth = 4;
+
+  const text = registry.render();
+  assert.match(text, /^queue_depth 4$/m);
+  assert.match(text, /^errors_total\{type="say \\"hi\\"\\n"\} 1$/m);
+});
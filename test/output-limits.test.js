@@ -0,0 +1,70 @@
+// test/output-limits.test.js
+// max_tokens and stop sequence enforcement tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeStop, createOutputLimiter } = require('../output-limits');
+
+const countChars = (text) => text.length;
+
+function feed(limiter, chunks) {
+  let text = '';
+  let finishReason = null;
+  for (const chunk of chunks) {
+    const result = limiter.push(chunk);
+    text += result.text;
+    finishReason = finishReason || result.finish_reason;
+  }
+  const result = limiter.end();
+  return { text: text + result.text, finish_reason: finishReason || result.finish_reason };
+}
+
+test('normalizeStop accepts a string, an array or nothing', () => {
+  assert.deepStrictEqual(normalizeStop('END'), ['END']);
+  assert.deepStrictEqual(normalizeStop(['a', '', 'b']), ['a', 'b']);
+  assert.deepStrictEqual(normalizeStop(null), []);
+});
+
+test('passes text through and finishes with stop', () => {
+  const limiter = createOutputLimiter({ countTokens: countChars });
+  assert.deepStrictEqual(feed(limiter, ['Hello ', 'world']), { text: 'Hello world', finish_reason: 'stop' });
+});
+
+test('cuts at a stop sequence split across chunks', () => {
+  const limiter = createOutputLimiter({ stop: ['<END>'], countTokens: countChars });
+  const first = limiter.push('Hello <E');
+  assert.strictEqual(first.text, 'Hello ');
+  assert.deepStrictEqual(limiter.push('ND> more'), { text: '', finish_reason: 'stop', stop_sequence: '<END>' });
+  assert.deepStrictEqual(limiter.push('ignored'), { text: '', finish_reason: null, stop_sequence: null });
+});
+
+test('releases held-back text that turns out not to be a stop sequence', () => {
+  const limiter = createOutputLimiter({ stop: ['<END>'], countTokens: countChars });
+  assert.deepStrictEqual(feed(limiter, ['a <E', 'nd b']), { text: 'a <End b', finish_reason: 'stop' });
+});
+
+test('truncates at max_tokens and reports length', () => {
+  const limiter = createOutputLimiter({ maxTokens: 7, countTokens: countChars });
+  assert.deepStrictEqual(feed(limiter, ['Hello', ' world']), { text: 'Hello w', finish_reason: 'length' });
+});
+
+test('reports which stop sequence ended generation', () => {
+  const limiter = createOutputLimiter({ stop: ['END', '###'], countTokens: countChars });
+  assert.deepStrictEqual(limiter.push('one ### two END'), { text: 'one ', finish_reason: 'stop', stop_sequence: '###' });
+});
+
+test('a token split across chunks is counted once, as in the whole reply', () => {
+  const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+  const streamed = feed(createOutputLimiter({ maxTokens: 2, countTokens: countWords }), ['hel', 'lo wor', 'ld more']);
+  const whole = feed(createOutputLimiter({ maxTokens: 2, countTokens: countWords }), ['hello world more']);
+  assert.deepStrictEqual(streamed, { text: 'hello world ', finish_reason: 'length' });
+  assert.deepStrictEqual(whole, streamed);
+  assert.strictEqual(countWords(streamed.text), 2);
+});
+
+test('only the new text is counted while there is room to spare', () => {
+  const counted = [];
+  const limiter = createOutputLimiter({ maxTokens: 100, countTokens: (text) => counted.push(text) && text.length });
+  feed(limiter, ['Hello', ' big', ' world']);
+  assert.deepStrictEqual(counted, ['Hello', ' big', ' world', '']);
+});
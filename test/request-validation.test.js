@@ -0,0 +1,54 @@
+// test/request-validation.test.js
+// Request body schema tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateRequest } = require('../request-validation');
+
+const chat = (extra = {}) => ({ messages: [{ role: 'user', content: 'Hi' }], ...extra });
+
+test('valid bodies pass, with unknown and null fields allowed', () => {
+  validateRequest(chat({ temperature: null, stop: ['a', 'b'], user: 'someone', metadata: { x: 1 } }), 'chat_completion');
+  validateRequest({ prompt: ['a', 'b'], n: 2, echo: true }, 'completion');
+  validateRequest({ input: 'text' }, 'tokenize');
+  validateRequest({ max_tokens: 10, messages: [{ role: 'user', content: [{ type: 'text', text: 'Hi' }] }] }, 'message');
+  validateRequest({ model: 'mock:latest' }, 'ollama_chat');
+  validateRequest({ name: 'mock:latest', verbose: true }, 'ollama_show');
+  validateRequest({ messages: [{ role: 'developer', content: 'Be brief' }, { role: 'user', content: 'Hi' }] }, 'chat_completion');
+});
+
+test('errors name the field at fault', () => {
+  const cases = [
+    [{}, 'chat_completion', 'messages', 'messages is required'],
+    [{ messages: [] }, 'chat_completion', 'messages', 'messages should have at least 1 items'],
+    [chat({ top_p: 1.5 }), 'chat_completion', 'top_p', 'top_p should be <= 1'],
+    [chat({ n: 1.5 }), 'chat_completion', 'n', 'n should be integer, got number'],
+    [chat({ response_format: { type: 'yaml' } }), 'chat_completion', 'response_format.type', 'response_format.type should be one of ["text","json_object","json_schema"]'],
+    [{ messages: [{ role: 'user', content: [{ text: 'Hi' }] }] }, 'chat_completion', 'messages[0].content[0].type', 'messages[0].content[0].type is required'],
+    [{ prompt: 7 }, 'completion', 'prompt', 'prompt should be string or array, got integer'],
+    [{ max_tokens: 10, messages: [{ role: 'system', content: 'Hi' }] }, 'message', 'messages[0].role', 'messages[0].role should be one of ["user","assistant"]'],
+    [{ input: 'x', messages: 'Hi' }, 'tokenize', 'messages', 'messages should be array, got string'],
+    [{ model: 7 }, 'ollama_show', 'model', 'model should be string, got integer'],
+  ];
+  for (const [body, name, param, message] of cases) {
+    assert.throws(() => validateRequest(body, name), { code: 'invalid_request', param, message });
+  }
+});
+
+test('the body itself must be an object', () => {
+  assert.throws(() => validateRequest([], 'chat_completion'), {
+    code: 'invalid_request',
+    param: null,
+    message: 'Request body should be object, got array',
+  });
+});
+
+test('content is required except on assistant turns that call tools', () => {
+  const toolCall = { id: 'call_1', type: 'function', function: { name: 'f', arguments: '{}' } };
+  validateRequest({ messages: [{ role: 'assistant', content: null, tool_calls: [toolCall] }] }, 'chat_completion');
+  assert.throws(
+    () => validateRequest({ messages: [{ role: 'assistant', content: null }] }, 'chat_completion'),
+    { param: 'messages[0].content', message: 'messages[0].content is required for assistant messages' }
+  );
+  assert.throws(() => validateRequest({}, 'tokenize'), { param: 'input' });
+});
@@ -0,0 +1,68 @@
+// test/response-cache.test.js
+// Response cache tests: LRU eviction, expiry, the disk store and purging
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { cacheKey, createResponseCache } = require('../response-cache');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'litert-cache-'));
+
+test('cache keys depend on every part', () => {
+  assert.strictEqual(cacheKey(['mock', 'Hi']), cacheKey(['mock', 'Hi']));
+  assert.notStrictEqual(cacheKey(['mock', 'Hi']), cacheKey(['mock', 'Hi ']));
+  assert.match(cacheKey([]), /^[0-9a-f]{64}$/);
+});
+
+test('the least recently used entry is evicted', () => {
+  const cache = createResponseCache({ maxEntries: 2, ttlMs: 60000 });
+  cache.set('a', { text: 'A' });
+  cache.set('b', { text: 'B' });
+  assert.strictEqual(cache.get('a').text, 'A');
+  cache.set('c', { text: 'C' });
+  assert.strictEqual(cache.get('b'), null);
+  assert.strictEqual(cache.get('a').text, 'A');
+  assert.strictEqual(cache.size(), 2);
+});
+
+test('entries expire after the TTL', async () => {
+  const cache = createResponseCache({ maxEntries: 10, ttlMs: 20 });
+  cache.set('a', { text: 'A' });
+  assert.ok(cache.get('a'));
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(cache.get('a'), null);
+  assert.strictEqual(cache.size(), 0);
+});
+
+test('the disk store survives a restart and follows evictions and purges', () => {
+  const dir = tempDir();
+  const cache = createResponseCache({ maxEntries: 2, ttlMs: 60000, dir });
+  cache.set('a', { model: 'gemma', text: 'A' });
+  cache.set('b', { model: 'phi', text: 'B' });
+  cache.set('c', { model: 'gemma', text: 'C' });
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{"text": ');
+  assert.deepStrictEqual(fs.readdirSync(dir).sort(), ['b.json', 'broken.json', 'c.json']);
+
+  const reopened = createResponseCache({ maxEntries: 2, ttlMs: 60000, dir });
+  assert.strictEqual(reopened.get('c').text, 'C');
+  assert.strictEqual(reopened.size(), 2);
+  assert.ok(!fs.existsSync(path.join(dir, 'broken.json')));
+
+  assert.strictEqual(reopened.purge({ model: 'gemma' }), 1);
+  assert.deepStrictEqual(fs.readdirSync(dir), ['b.json']);
+  assert.strictEqual(reopened.purge(), 1);
+  assert.deepStrictEqual(fs.readdirSync(dir), []);
+});
+
+test('entries that can\'t be written to disk are logged and kept in memory', () => {
+  const dir = tempDir();
+  const errors = [];
+  const logger = { error: (msg, fields) => errors.push({ msg, ...fields }) };
+  const cache = createResponseCache({ maxEntries: 2, ttlMs: 60000, dir, logger });
+  fs.rmSync(dir, { recursive: true });
+  cache.set('a', { model: 'gemma', text: 'A' });
+  assert.strictEqual(cache.get('a').text, 'A');
+  assert.deepStrictEqual(errors.map(e => [e.msg, e.key]), [['Could not write cache entry', 'a']]);
+});
@@ -0,0 +1,100 @@
+// test/response-format.test.js
+// JSON extraction and schema validation tests for response_format
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveResponseFormat, extractJSON, validateSchema, checkResponse } = require('../response-format');
+
+const PERSON = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    age: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', items: { enum: ['a', 'b'] } },
+  },
+  required: ['name', 'age'],
+  additionalProperties: false,
+};
+
+test('resolveResponseFormat accepts text, json_object and json_schema', () => {
+  assert.strictEqual(resolveResponseFormat(undefined), null);
+  assert.strictEqual(resolveResponseFormat({ type: 'text' }), null);
+  assert.deepStrictEqual(resolveResponseFormat({ type: 'json_object' }), { name: 'json_object', schema: null });
+  assert.deepStrictEqual(
+    resolveResponseFormat({ type: 'json_schema', json_schema: { name: 'person', schema: PERSON } }),
+    { name: 'person', schema: PERSON }
+  );
+  assert.throws(() => resolveResponseFormat({ type: 'json_schema', json_schema: {} }), { code: 'invalid_request' });
+  assert.throws(() => resolveResponseFormat({ type: 'yaml' }), { param: 'response_format' });
+});
+
+test('resolveResponseFormat turns away schemas with invalid patterns', () => {
+  const schema = { type: 'object', properties: { id: { type: 'string', pattern: '([a-z]' } } };
+  assert.throws(
+    () => resolveResponseFormat({ type: 'json_schema', json_schema: { name: 'bad', schema } }),
+    { code: 'invalid_request', param: 'response_format', message: /pattern at #\/properties\/id is not a valid regular expression/ }
+  );
+  const good = { type: 'string', pattern: '^[a-z]+$' };
+  const format = resolveResponseFormat({ type: 'json_schema', json_schema: { name: 'word', schema: good } });
+  assert.deepStrictEqual(checkResponse('"abc"', format).errors, []);
+  assert.deepStrictEqual(checkResponse('"ABC"', format).errors, ['$ should match ^[a-z]+$']);
+});
+
+test('extractJSON finds JSON in a reply, a code fence or surrounding text', () => {
+  assert.deepStrictEqual(extractJSON(' {"a": 1} ').value, { a: 1 });
+  assert.deepStrictEqual(extractJSON('Here:\n```json\n[1, 2]\n```').value, [1, 2]);
+  assert.strictEqual(extractJSON('Result: {"s": "}{"} as requested').json, '{"s": "}{"}');
+  assert.strictEqual(extractJSON('no json here'), null);
+});
+
+test('validateSchema reports every problem with its path', () => {
+  assert.deepStrictEqual(validateSchema({ name: 'Ann', age: 3, tags: ['a'] }, PERSON), []);
+  assert.deepStrictEqual(validateSchema({ name: '', age: 2.5, tags: ['c'], extra: 1 }, PERSON), [
+    '$.name should have at least 1 characters',
+    '$.age should be integer, got number',
+    '$.tags[0] should be one of ["a","b"]',
+    '$.extra is not allowed',
+  ]);
+  assert.deepStrictEqual(validateSchema({}, PERSON), ['$.name is required', '$.age is required']);
+});
+
+test('resolveResponseFormat turns away cyclic and unresolvable $refs', () => {
+  const resolve = (schema) => resolveResponseFormat({ type: 'json_schema', json_schema: { name: 'x', schema } });
+  assert.throws(
+    () => resolve({ $ref: '#/$defs/a', $defs: { a: { $ref: '#/$defs/a' } } }),
+    { code: 'invalid_request', param: 'response_format', message: /\$ref at # refers back to itself/ }
+  );
+  assert.throws(
+    () => resolve({ $defs: { a: { anyOf: [{ $ref: '#/$defs/b' }] }, b: { allOf: [{ $ref: '#/$defs/a' }] } }, $ref: '#/$defs/a' }),
+    { code: 'invalid_request', param: 'response_format', message: /refers back to itself/ }
+  );
+  assert.throws(
+    () => resolve({ type: 'array', items: { $ref: '#/$defs/missing' } }),
+    { code: 'invalid_request', param: 'response_format', message: /\$ref at #\/items cannot be resolved/ }
+  );
+  // A ref back to the root through a property is recursion, not a cycle
+  const tree = { type: 'object', properties: { children: { type: 'array', items: { $ref: '#' } } } };
+  assert.strictEqual(resolve(tree).schema, tree);
+  assert.deepStrictEqual(validateSchema({ children: [{ children: [] }, { children: 1 }] }, tree), ['$.children[1].children should be array, got integer']);
+});
+
+test('validateSchema stops at a $ref that leads back to itself', () => {
+  const schema = { $ref: '#/$defs/a', $defs: { a: { $ref: '#/$defs/a' } } };
+  assert.deepStrictEqual(validateSchema(1, schema), ['$: #/$defs/a refers back to itself']);
+});
+
+test('validateSchema follows local $refs and anyOf', () => {
+  const schema = {
+    $defs: { id: { anyOf: [{ type: 'string' }, { type: 'integer' }] } },
+    type: 'array',
+    items: { $ref: '#/$defs/id' },
+  };
+  assert.deepStrictEqual(validateSchema(['x', 1], schema), []);
+  assert.deepStrictEqual(validateSchema([true], schema), ['$[0] does not match any allowed schema']);
+});
+
+test('checkResponse needs an object in JSON mode', () => {
+  assert.deepStrictEqual(checkResponse('{"ok": true}', { schema: null }), { json: '{"ok": true}', errors: [] });
+  assert.deepStrictEqual(checkResponse('[1]', { schema: null }).errors, ['reply should be a JSON object']);
+  assert.deepStrictEqual(checkResponse('sorry', { schema: null }).errors, ['reply does not contain valid JSON']);
+});
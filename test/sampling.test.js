@@ -0,0 +1,41 @@
+// test/sampling.test.js
+// Sampling parameter to command line flag mapping tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSamplingFlags, samplingArgs, isDeterministic } = require('../sampling');
+
+test('parseSamplingFlags reads param=flag pairs', () => {
+  assert.deepStrictEqual(parseSamplingFlags(undefined), {});
+  assert.deepStrictEqual(
+    parseSamplingFlags('temperature=--temperature, seed = --seed'),
+    { temperature: '--temperature', seed: '--seed' }
+  );
+  assert.throws(() => parseSamplingFlags('warmth=--warmth'), /Invalid sampling flag mapping/);
+  assert.throws(() => parseSamplingFlags('top_k='), /Invalid sampling flag mapping/);
+});
+
+test('samplingArgs maps supported parameters and lists the rest', () => {
+  const flags = { temperature: '--temperature', top_k: '--top_k' };
+  const body = { temperature: 0.2, top_k: 40, top_p: 0.9, seed: null, logprobs: false, logit_bias: { 50256: -100 } };
+  assert.deepStrictEqual(samplingArgs(body, flags), {
+    args: ['--temperature=0.2', '--top_k=40'],
+    unsupported: ['top_p', 'logit_bias'],
+  });
+});
+
+test('samplingArgs rejects values that are not numbers', () => {
+  assert.throws(
+    () => samplingArgs({ temperature: 'warm' }, { temperature: '--temperature' }),
+    { code: 'invalid_request', param: 'temperature' }
+  );
+});
+
+test('isDeterministic needs temperature 0 or a seed the binary takes', () => {
+  const flags = { temperature: '--temperature', seed: '--seed' };
+  assert.strictEqual(isDeterministic({ temperature: 0 }, flags), true);
+  assert.strictEqual(isDeterministic({ seed: 42, temperature: 0.8 }, flags), true);
+  assert.strictEqual(isDeterministic({ temperature: 0.2 }, flags), false);
+  assert.strictEqual(isDeterministic({}, flags), false);
+  assert.strictEqual(isDeterministic({ temperature: 0 }, { seed: '--seed' }), false);
+});
@@ -0,0 +1,73 @@
+// test/server-workers.test.js
+// End-to-end tests of the server with the warm worker pool, against the mock backend
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const API_KEY = 'test-key';
+const ADMIN_KEY = 'admin-key';
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'litert-workers-'));
+
+Object.assign(process.env, {
+  BACKEND: 'mock',
+  MODEL_PATH: 'old.litertlm',
+  MODELS_CONFIG: path.join(dataDir, 'models.json'),
+  MOCK_LOAD_MS: '0',
+  MOCK_LATENCY_MS: '1',
+  WORKER_POOL: 'true',
+  WORKER_ARGS: '--interactive',
+  API_KEY,
+  ADMIN_KEY,
+  KEYS_FILE: path.join(dataDir, 'keys.json'),
+  USAGE_LEDGER: path.join(dataDir, 'usage.jsonl'),
+  LOG_LEVEL: 'error',
+  FILES_DIR: path.join(dataDir, 'files'),
+  BATCHES_DIR: path.join(dataDir, 'batches'),
+  CONFIG_FILE: path.join(dataDir, 'config.json'),
+});
+delete process.env.RESPONSE_CACHE;
+
+const { app, shutdown } = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  shutdown();
+  server.closeAllConnections();
+  server.close();
+});
+
+const chat = (content) => fetch(`${baseUrl}/v1/chat/completions`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${API_KEY}` },
+  body: JSON.stringify({ messages: [{ role: 'user', content }] }),
+});
+
+const workers = async () => (await (await fetch(`${baseUrl}/health`)).json()).workers['litert-lm'];
+
+test('a reload that changes the model path starts fresh workers', async () => {
+  assert.strictEqual((await chat('Hi')).status, 200);
+  assert.strictEqual((await chat('Hello')).status, 200);
+  assert.strictEqual((await workers()).served, 2);
+
+  const put = await fetch(`${baseUrl}/admin/config`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ADMIN_KEY}` },
+    body: JSON.stringify({ model_path: 'new.litertlm' }),
+  });
+  assert.strictEqual(put.status, 200);
+
+  assert.strictEqual((await chat('Hi again')).status, 200);
+  // Served by a new pool, not the one started for old.litertlm
+  assert.strictEqual((await workers()).served, 1);
+});
@@ -0,0 +1,760 @@
+// test/server.test.js
+// End-to-end tests of every route against the mock backend
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const API_KEY = 'test-key';
+const ADMIN_KEY = 'admin-key';
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'litert-server-'));
+
+Object.assign(process.env, {
+  BACKEND: 'mock',
+  MODELS_CONFIG: path.join(__dirname, 'fixtures', 'mock-models.json'),
+  MOCK_REPLIES: path.join(__dirname, 'fixtures', 'mock-replies.json'),
+  MOCK_LOAD_MS: '0',
+  MOCK_LATENCY_MS: '1',
+  MAX_CONCURRENT: '2',
+  MAX_QUEUE: '4',
+  CONTEXT_RESERVE_TOKENS: '8',
+  CONTEXT_SUMMARY_TOKENS: '16',
+  API_KEY,
+  ADMIN_KEY,
+  KEYS_FILE: path.join(dataDir, 'keys.json'),
+  USAGE_LEDGER: path.join(dataDir, 'usage.jsonl'),
+  SAMPLING_FLAGS: 'temperature=--temperature,seed=--seed',
+  RESPONSE_CACHE: 'true',
+  LOG_LEVEL: 'info',
+  AUDIT_LOG: path.join(dataDir, 'audit.jsonl'),
+  LOG_REDACT: 'email',
+  FILES_DIR: path.join(dataDir, 'files'),
+  BATCHES_DIR: path.join(dataDir, 'batches'),
+  CONFIG_FILE: path.join(dataDir, 'config.json'),
+});
+delete process.env.STRICT_PARAMS;
+delete process.env.WORKER_POOL;
+delete process.env.CONTEXT_STRATEGY;
+delete process.env.CONTEXT_SUMMARY_MODEL;
+
+// The server's JSON log lines, kept for the logging test instead of printed
+const logLines = [];
+const writeStdout = process.stdout.write.bind(process.stdout);
+process.stdout.write = (chunk, ...rest) => {
+  if (typeof chunk === 'string' && chunk.startsWith('{"time"')) {
+    logLines.push(JSON.parse(chunk));
+    return true;
+  }
+  return writeStdout(chunk, ...rest);
+};
+
+const { app } = require('../server');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+function post(route, body, headers = {}) {
+  return fetch(baseUrl + route, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${API_KEY}`, ...headers },
+    body: JSON.stringify(body),
+  });
+}
+
+function get(route, key = API_KEY) {
+  return fetch(baseUrl + route, { headers: { Authorization: `Bearer ${key}` } });
+}
+
+const asKey = (key) => ({ Authorization: `Bearer ${key}` });
+const createKey = async (spec) => (await post('/admin/keys', spec, asKey(ADMIN_KEY))).json();
+
+// data: payloads of an SSE response, without the final [DONE]
+async function sseData(res) {
+  const text = await res.text();
+  assert.match(text, /data: \[DONE\]\n\n$/);
+  return text.split('\n\n')
+    .filter(block => block.startsWith('data: ') && block !== 'data: [DONE]')
+    .map(block => JSON.parse(block.substring(6)));
+}
+
+const chat = (content, extra = {}) => ({ messages: [{ role: 'user', content }], ...extra });
+
+test('chat completion returns the mock reply without log lines or metrics', async () => {
+  const res = await post('/v1/chat/completions', chat('Hi'));
+  assert.strictEqual(res.status, 200);
+  const body = await res.json();
+  assert.strictEqual(body.object, 'chat.completion');
+  assert.strictEqual(body.choices[0].message.content, 'Hello! This is a mock reply from the LiteRT-LM mock backend.');
+  assert.strictEqual(body.choices[0].finish_reason, 'stop');
+  assert.ok(body.usage.prompt_tokens > 0 && body.usage.completion_tokens > 0);
+});
+
+test('chat completion streams chunks and a usage chunk', async () => {
+  const res = await post('/v1/chat/completions', chat('count to five', { stream: true, stream_options: { include_usage: true } }));
+  assert.strictEqual(res.headers.get('content-type'), 'text/event-stream');
+  const chunks = await sseData(res);
+  const text = chunks.map(c => (c.choices[0] && c.choices[0].delta.content) || '').join('');
+  assert.strictEqual(text, 'one two three four five');
+  assert.strictEqual(chunks[chunks.length - 2].choices[0].finish_reason, 'stop');
+  assert.deepStrictEqual(chunks[chunks.length - 1].choices, []);
+  assert.ok(chunks[chunks.length - 1].usage.completion_tokens > 0);
+});
+
+test('stop sequences and max_tokens cut the reply', async () => {
+  const stopped = await (await post('/v1/chat/completions', chat('count to five', { stop: ' three' }))).json();
+  assert.strictEqual(stopped.choices[0].message.content, 'one two');
+  assert.strictEqual(stopped.choices[0].finish_reason, 'stop');
+
+  const limited = await (await post('/v1/chat/completions', chat('count to five', { max_tokens: 2 }))).json();
+  assert.strictEqual(limited.choices[0].finish_reason, 'length');
+  assert.ok(limited.choices[0].message.content.length <= 8);
+});
+
+test('n returns independent choices', async () => {
+  const body = await (await post('/v1/chat/completions', chat('count to five', { n: 3 }))).json();
+  assert.deepStrictEqual(body.choices.map(c => c.index), [0, 1, 2]);
+  assert.ok(body.choices.every(c => c.message.content === 'one two three four five'));
+});
+
+test('unsupported sampling parameters are flagged in a header', async () => {
+  const res = await post('/v1/chat/completions', chat('Hi', { top_p: 0.5 }));
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('x-litert-warning'), 'Unsupported parameters ignored: top_p');
+});
+
+const PNG = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+const imagePart = { type: 'image_url', image_url: { url: `data:image/png;base64,${PNG}` } };
+
+test('content parts render as text and images reach vision models', async () => {
+  const parts = [{ type: 'text', text: 'Hello' }, { type: 'text', text: 'there' }];
+  const debug = await (await post('/debug/prompt', { messages: [{ role: 'user', content: parts }] })).json();
+  assert.strictEqual(debug.prompt, 'User: Hello\nthere\n\nAssistant:');
+
+  const seen = await (await post('/v1/chat/completions', chat([imagePart, { type: 'text', text: 'Describe' }], { model: 'mock-gemma' }))).json();
+  assert.strictEqual(seen.choices[0].message.content, 'I see 1 image.');
+
+  const refused = await post('/v1/chat/completions', chat([{ type: 'text', text: 'Describe' }, imagePart]));
+  assert.strictEqual(refused.status, 400);
+  assert.deepStrictEqual((await refused.json()).error, {
+    message: 'Model mock does not accept image input',
+    type: 'invalid_request_error',
+    param: 'messages[0].content[1]',
+    code: null,
+  });
+
+  const anthropic = await (await post('/v1/messages', {
+    model: 'mock-gemma',
+    max_tokens: 32,
+    messages: [{ role: 'user', content: [{ type: 'image', source: { type: 'base64', media_type: 'image/png', data: PNG } }] }],
+  })).json();
+  assert.strictEqual(anthropic.content[0].text, 'I see 1 image.');
+
+  const ollama = await (await post('/api/chat', {
+    model: 'mock-gemma',
+    stream: false,
+    messages: [{ role: 'user', content: 'Describe', images: [PNG, PNG] }],
+  })).json();
+  assert.strictEqual(ollama.message.content, 'I see 2 images.');
+});
+
+test('tool calls are parsed from the reply', async () => {
+  const tools = [{ type: 'function', function: { name: 'get_weather', parameters: { type: 'object' } } }];
+  const body = await (await post('/v1/chat/completions', chat('What is the weather?', { tools }))).json();
+  assert.strictEqual(body.choices[0].finish_reason, 'tool_calls');
+  assert.strictEqual(body.choices[0].message.content, null);
+  assert.deepStrictEqual(body.choices[0].message.tool_calls[0].function, { name: 'get_weather', arguments: '{"city":"Paris"}' });
+});
+
+test('response_format returns only the validated JSON', async () => {
+  const schema = { type: 'object', properties: { name: { type: 'string' }, age: { type: 'integer' } }, required: ['name', 'age'] };
+  const body = await (await post('/v1/chat/completions', chat('extract the person', {
+    response_format: { type: 'json_schema', json_schema: { name: 'person', schema } },
+  }))).json();
+  assert.deepStrictEqual(JSON.parse(body.choices[0].message.content), { name: 'Ann', age: 31 });
+
+  const failed = await post('/v1/chat/completions', chat('Hi', { response_format: { type: 'json_object' } }));
+  assert.strictEqual(failed.status, 422);
+  assert.strictEqual((await failed.json()).error.code, 'response_format_failed');
+});
+
+test('legacy completions echo the prompt and number choices per prompt', async () => {
+  const body = await (await post('/v1/completions', { prompt: ['count to five', 'Hi'], echo: true, n: 2 })).json();
+  assert.strictEqual(body.object, 'text_completion');
+  assert.deepStrictEqual(body.choices.map(c => c.index), [0, 1, 2, 3]);
+  assert.strictEqual(body.choices[0].text, 'count to fiveone two three four five');
+  assert.strictEqual(body.choices[3].logprobs, null);
+
+  const chunks = await sseData(await post('/v1/completions', { prompt: 'count to five', stream: true }));
+  assert.strictEqual(chunks.map(c => c.choices[0].text).join(''), 'one two three four five');
+});
+
+test('Anthropic messages accept x-api-key and send named events', async () => {
+  const res = await post('/v1/messages', {
+    max_tokens: 100,
+    system: 'Be brief.',
+    messages: [{ role: 'user', content: [{ type: 'text', text: 'count to five' }] }],
+    stop_sequences: [' four'],
+  }, { Authorization: '', 'x-api-key': API_KEY });
+  const body = await res.json();
+  assert.strictEqual(body.type, 'message');
+  assert.deepStrictEqual(body.content, [{ type: 'text', text: 'one two three' }]);
+  assert.strictEqual(body.stop_reason, 'stop_sequence');
+  assert.strictEqual(body.stop_sequence, ' four');
+
+  const stream = await post('/v1/messages', { max_tokens: 100, stream: true, messages: [{ role: 'user', content: 'Hi' }] });
+  const events = (await stream.text()).match(/^event: (\w+)$/gm).map(line => line.substring(7));
+  assert.strictEqual(events[0], 'message_start');
+  assert.ok(events.includes('content_block_delta'));
+  assert.deepStrictEqual(events.slice(-3), ['content_block_stop', 'message_delta', 'message_stop']);
+
+  const invalid = await post('/v1/messages', { messages: [{ role: 'user', content: 'Hi' }] });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual((await invalid.json()).error.type, 'invalid_request_error');
+});
+
+test('Ollama chat streams NDJSON with timings', async () => {
+  const res = await post('/api/chat', { model: 'mock:latest', messages: [{ role: 'user', content: 'count to five' }] });
+  assert.strictEqual(res.headers.get('content-type'), 'application/x-ndjson');
+  const lines = (await res.text()).trim().split('\n').map(line => JSON.parse(line));
+  const last = lines[lines.length - 1];
+  assert.strictEqual(lines.slice(0, -1).map(l => l.message.content).join(''), 'one two three four five');
+  assert.strictEqual(last.done, true);
+  assert.ok(last.eval_count > 0 && last.eval_duration > 0 && last.prompt_eval_duration > 0);
+});
+
+test('Ollama generate, tags, show and version', async () => {
+  const generated = await (await post('/api/generate', { model: 'mock', prompt: 'count to five', stream: false })).json();
+  assert.strictEqual(generated.response, 'one two three four five');
+  assert.strictEqual(generated.done_reason, 'stop');
+
+  const tags = await (await get('/api/tags')).json();
+  assert.deepStrictEqual(tags.models.map(m => m.name), ['mock', 'mock-gemma', 'mock-small', 'mock-summarize']);
+
+  const shown = await (await post('/api/show', { model: 'mock-gemma' })).json();
+  assert.strictEqual(shown.details.family, 'gemma');
+  assert.strictEqual((await post('/api/show', { model: 'nope' })).status, 404);
+
+  assert.ok((await (await get('/api/version')).json()).version);
+});
+
+test('models, tokenize, debug prompt, health and metrics', async () => {
+  const listed = await (await get('/v1/models')).json();
+  assert.deepStrictEqual(listed.data.map(m => m.id), ['mock', 'mock-gemma', 'mock-small', 'mock-summarize']);
+
+  const tokens = await (await post('/v1/tokenize', { input: ['abcd', 'abcdefgh'] })).json();
+  assert.deepStrictEqual(tokens.counts, [1, 2]);
+
+  const debug = await (await post('/debug/prompt', { model: 'mock-gemma', messages: [{ role: 'user', content: 'Hi' }] })).json();
+  assert.strictEqual(debug.prompt, '<start_of_turn>user\nHi<end_of_turn>\n<start_of_turn>model\n');
+
+  const health = await (await get('/health?test=true')).json();
+  assert.strictEqual(health.status, 'ok');
+  assert.strictEqual(health.binary_test, 'passed');
+  assert.strictEqual(health.default_model, 'mock');
+  assert.ok(!JSON.stringify(health).includes(__dirname));
+  assert.strictEqual((await fetch(`${baseUrl}/health?test=true`)).status, 401);
+
+  const metrics = await (await fetch(`${baseUrl}/metrics`)).text();
+  assert.match(metrics, /^litert_runs_total\{model="mock",backend="mock",outcome="success"\} \d+$/m);
+  assert.match(metrics, /^litert_decode_tokens_per_second_sum\{model="mock",backend="mock"\} [\d.]+$/m);
+});
+
+test('requests are authenticated and validated', async () => {
+  assert.strictEqual((await post('/v1/chat/completions', chat('Hi'), { Authorization: 'Bearer wrong' })).status, 401);
+  assert.strictEqual((await post('/v1/chat/completions', { messages: [] })).status, 400);
+
+  const missing = await post('/v1/chat/completions', chat('Hi', { model: 'nope' }));
+  assert.strictEqual(missing.status, 404);
+  assert.strictEqual((await missing.json()).error.code, 'model_not_found');
+});
+
+test('the admin API needs the admin key', async () => {
+  assert.strictEqual((await get('/admin/keys')).status, 401);
+  const bad = await post('/admin/keys', { models: 'mock' }, asKey(ADMIN_KEY));
+  assert.strictEqual(bad.status, 400);
+  assert.strictEqual((await bad.json()).error.param, 'name');
+});
+
+test('keys only reach their models and are recorded in the usage ledger', async () => {
+  const created = await createKey({ name: 'limited', models: ['mock'] });
+  assert.match(created.key, /^sk-litert-/);
+  assert.strictEqual(created.hash, undefined);
+
+  const res = await post('/v1/chat/completions', chat('Hi'), asKey(created.key));
+  assert.strictEqual(res.status, 200);
+  const { usage } = await res.json();
+
+  const denied = await post('/v1/chat/completions', chat('Hi', { model: 'mock-gemma' }), asKey(created.key));
+  assert.strictEqual(denied.status, 404);
+  const listed = await (await get('/v1/models', created.key)).json();
+  assert.deepStrictEqual(listed.data.map(m => m.id), ['mock']);
+
+  const ledger = await (await get(`/admin/usage?key_id=${created.id}`, ADMIN_KEY)).json();
+  assert.deepStrictEqual(ledger.data.map(row => [row.key_name, row.model, row.runs, row.total_tokens]),
+    [['limited', 'mock', 1, usage.total_tokens]]);
+  assert.strictEqual((await get('/admin/usage?since=yesterday', ADMIN_KEY)).status, 400);
+
+  const revoked = await fetch(`${baseUrl}/admin/keys/${created.id}`, { method: 'DELETE', headers: asKey(ADMIN_KEY) });
+  assert.ok((await revoked.json()).revoked_at);
+  assert.strictEqual((await post('/v1/chat/completions', chat('Hi'), asKey(created.key))).status, 401);
+  const keys = await (await get('/admin/keys', ADMIN_KEY)).json();
+  assert.ok(keys.data.some(k => k.id === created.id && k.revoked_at));
+});
+
+test('per-key rate limits, token quotas and expiry', async () => {
+  const limited = await createKey({ name: 'rpm', requests_per_minute: 1 });
+  assert.strictEqual((await post('/v1/chat/completions', chat('Hi'), asKey(limited.key))).status, 200);
+  const throttled = await post('/v1/chat/completions', chat('Hi'), asKey(limited.key));
+  assert.strictEqual(throttled.status, 429);
+  assert.ok(Number(throttled.headers.get('retry-after')) >= 1);
+  assert.strictEqual((await throttled.json()).error.code, 'rate_limit_exceeded');
+
+  // The quota is checked before a run, so the first run can go over it
+  const quota = await createKey({ name: 'tpd', tokens_per_day: 1 });
+  assert.strictEqual((await post('/v1/chat/completions', chat('Hi'), asKey(quota.key))).status, 200);
+  const exhausted = await post('/v1/chat/completions', chat('Hi'), asKey(quota.key));
+  assert.strictEqual(exhausted.status, 429);
+  assert.strictEqual((await exhausted.json()).error.code, 'insufficient_quota');
+
+  const expired = await createKey({ name: 'old', expires_at: '2020-01-01T00:00:00Z' });
+  assert.strictEqual((await post('/v1/chat/completions', chat('Hi'), asKey(expired.key))).status, 401);
+});
+
+test('deterministic requests are answered from the response cache', async () => {
+  const body = chat('cache me [[mock:reply=alpha beta gamma delta]]', { temperature: 0 });
+  const cacheKey = await createKey({ name: 'cached' });
+  const first = await post('/v1/chat/completions', body, asKey(cacheKey.key));
+  assert.strictEqual(first.headers.get('x-litert-cache'), 'miss');
+  assert.strictEqual((await first.json()).choices[0].message.content, 'alpha beta gamma delta');
+
+  const again = await post('/v1/chat/completions', body, asKey(cacheKey.key));
+  assert.strictEqual(again.headers.get('x-litert-cache'), 'hit');
+  assert.strictEqual((await again.json()).choices[0].message.content, 'alpha beta gamma delta');
+  // Hits are free: only the first request is in the usage ledger
+  const ledger = await (await get(`/admin/usage?key_id=${cacheKey.id}`, ADMIN_KEY)).json();
+  assert.deepStrictEqual(ledger.data.map(row => row.runs), [1]);
+
+  const streamed = await post('/v1/chat/completions', { ...body, stream: true });
+  assert.strictEqual(streamed.headers.get('x-litert-cache'), 'hit');
+  const chunks = await sseData(streamed);
+  assert.strictEqual(chunks.map(c => c.choices[0].delta.content || '').join(''), 'alpha beta gamma delta');
+
+  // The cached reply is cut with the new request's limits
+  const stopped = await (await post('/v1/chat/completions', { ...body, stop: ' gamma' })).json();
+  assert.strictEqual(stopped.choices[0].message.content, 'alpha beta');
+  assert.strictEqual(stopped.choices[0].finish_reason, 'stop');
+
+  const sampled = await post('/v1/chat/completions', { ...body, temperature: 0.7 });
+  assert.strictEqual(sampled.headers.get('x-litert-cache'), 'bypass');
+
+  const metrics = await (await fetch(`${baseUrl}/metrics`)).text();
+  assert.match(metrics, /^litert_cache_lookups_total\{model="mock",backend="mock",result="hit"\} 3$/m);
+
+  const purged = await fetch(`${baseUrl}/admin/cache?model=mock`, { method: 'DELETE', headers: asKey(ADMIN_KEY) });
+  assert.ok((await purged.json()).purged >= 1);
+  assert.strictEqual((await post('/v1/chat/completions', body)).headers.get('x-litert-cache'), 'miss');
+});
+
+test('a reply cut short only answers requests that cut it as short', async () => {
+  const body = chat('short [[mock:reply=one two three four five six]]', { seed: 7, max_tokens: 2 });
+  assert.strictEqual((await post('/v1/chat/completions', body)).headers.get('x-litert-cache'), 'miss');
+  const shorter = await post('/v1/chat/completions', { ...body, max_tokens: 1 });
+  assert.strictEqual(shorter.headers.get('x-litert-cache'), 'hit');
+  assert.strictEqual((await shorter.json()).choices[0].finish_reason, 'length');
+  const longer = await post('/v1/chat/completions', { ...body, max_tokens: undefined });
+  assert.strictEqual(longer.headers.get('x-litert-cache'), 'miss');
+  assert.strictEqual((await longer.json()).choices[0].message.content, 'one two three four five six');
+});
+
+// A conversation of about 140 tokens ending in a short question
+const longChat = [
+  { role: 'system', content: 'Be brief.' },
+  { role: 'user', content: `My name is Ann. ${'I like long walks. '.repeat(5)}` },
+  { role: 'assistant', content: `Nice to meet you, Ann. ${'Walks are good. '.repeat(5)}` },
+  { role: 'user', content: `${'Tell me more. '.repeat(10)}` },
+  { role: 'assistant', content: `${'Sure thing. '.repeat(10)}` },
+  { role: 'user', content: 'count to five' },
+];
+
+test('prompts over the context length are rejected', async () => {
+  const res = await post('/v1/chat/completions', chat('x'.repeat(20000)));
+  assert.strictEqual(res.status, 400);
+  const body = await res.json();
+  assert.strictEqual(body.error.code, 'context_length_exceeded');
+  assert.strictEqual(body.error.param, 'messages');
+
+  const completion = await post('/v1/completions', { prompt: 'x'.repeat(20000) });
+  assert.strictEqual((await completion.json()).error.param, 'prompt');
+
+  const anthropic = await post('/v1/messages', { max_tokens: 10, messages: [{ role: 'user', content: 'x'.repeat(20000) }] });
+  assert.strictEqual(anthropic.status, 400);
+  assert.match((await anthropic.json()).error.message, /^prompt is too long: \d+ tokens > 4096 maximum$/);
+});
+
+test('truncate drops the oldest turns and says so in headers', async () => {
+  const res = await post('/v1/chat/completions', { model: 'mock-small', messages: longChat });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('x-litert-context-dropped'), '3');
+  assert.match(res.headers.get('x-litert-context-tokens'), /^\d+\/64$/);
+  assert.strictEqual((await res.json()).choices[0].message.content, 'one two three four five');
+
+  const tooLong = await post('/v1/chat/completions', { model: 'mock-small', messages: [{ role: 'user', content: 'x'.repeat(400) }] });
+  assert.strictEqual(tooLong.status, 400);
+});
+
+test('summarize replaces the oldest turns with a summary', async () => {
+  const res = await post('/v1/chat/completions', { model: 'mock-summarize', messages: longChat });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.headers.get('x-litert-context-summarized'), '4');
+  assert.strictEqual(res.headers.get('x-litert-context-dropped'), null);
+  assert.strictEqual((await res.json()).choices[0].message.content, 'one two three four five');
+});
+
+test('crashes and check failures become 500s', async () => {
+  const crashed = await post('/v1/chat/completions', chat('count to five [[mock:crash]]'));
+  assert.strictEqual(crashed.status, 500);
+  const crash = (await crashed.json()).error;
+  assert.strictEqual(crash.code, 'litert_process_error');
+  assert.match(crash.message, /exited with code 139/);
+
+  const failed = await post('/v1/chat/completions', chat('count to five [[mock:check_failure]]'));
+  assert.strictEqual(failed.status, 500);
+  const failure = (await failed.json()).error;
+  assert.strictEqual(failure.code, 'litert_check_failed');
+  assert.match(failure.message, /LiteRT fatal error: F0000 .*Check failed/);
+});
+
+test('missing model files, out of memory and unsupported backends have their own errors', async () => {
+  const cases = [
+    ['missing_model', 503, 'model_file_not_found', /could not open the model file/],
+    ['oom', 503, 'out_of_memory', /ran out of memory: .*bad_alloc/],
+    ['unsupported_backend', 501, 'backend_unsupported', /does not support the backend/],
+  ];
+  for (const [fault, status, code, message] of cases) {
+    const res = await post('/v1/chat/completions', chat(`Hi [[mock:${fault}]]`));
+    assert.strictEqual(res.status, status, fault);
+    const { error } = await res.json();
+    assert.strictEqual(error.code, code);
+    assert.match(error.message, message);
+  }
+
+  const anthropic = await post('/v1/messages', { max_tokens: 10, messages: [{ role: 'user', content: 'Hi [[mock:oom]]' }] });
+  assert.strictEqual(anthropic.status, 503);
+  assert.strictEqual((await anthropic.json()).error.type, 'api_error');
+});
+
+test('request bodies are checked against the endpoint schema', async () => {
+  const errorFor = async (body, path = '/v1/chat/completions') => {
+    const res = await post(path, body);
+    assert.strictEqual(res.status, 400);
+    return (await res.json()).error;
+  };
+
+  assert.deepStrictEqual(await errorFor({ messages: [{ role: 'robot', content: 'Hi' }] }), {
+    message: 'messages[0].role should be one of ["system","developer","user","assistant","tool"]',
+    type: 'invalid_request_error',
+    param: 'messages[0].role',
+    code: null,
+  });
+  assert.strictEqual((await errorFor(chat('Hi', { temperature: 5 }))).param, 'temperature');
+  assert.strictEqual((await errorFor({ messages: [{ role: 'user', content: 42 }] })).param, 'messages[0].content');
+  assert.strictEqual((await errorFor({ messages: [{ role: 'user', content: 'Hi' }, { content: 'Hi' }] })).param, 'messages[1].role');
+  assert.strictEqual((await errorFor({ messages: [{ role: 'user' }] })).param, 'messages[0].content');
+  assert.strictEqual((await errorFor({ prompt: 'Hi', stop: ['a', 'b', 'c', 'd', 'e'] }, '/v1/completions')).param, 'stop');
+  assert.strictEqual((await errorFor({}, '/v1/tokenize')).param, 'input');
+
+  // An assistant turn made of tool calls needs no content
+  const toolTurn = await post('/debug/prompt', {
+    messages: [
+      { role: 'user', content: 'Weather?' },
+      { role: 'assistant', content: null, tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'weather', arguments: '{}' } }] },
+      { role: 'tool', tool_call_id: 'call_1', content: 'Sunny' },
+    ],
+  });
+  assert.strictEqual(toolTurn.status, 200);
+
+  const anthropic = await post('/v1/messages', { messages: [{ role: 'user', content: 'Hi' }] });
+  assert.strictEqual(anthropic.status, 400);
+  assert.deepStrictEqual(await anthropic.json(), {
+    type: 'error',
+    error: { type: 'invalid_request_error', message: 'max_tokens is required' },
+  });
+
+  const ollama = await post('/api/chat', { model: 'mock', messages: [{ role: 'user', content: ['Hi'] }] });
+  assert.strictEqual(ollama.status, 400);
+  assert.strictEqual(typeof (await ollama.json()).error, 'string');
+});
+
+test('requests are logged under their response id, and runs are audited', async () => {
+  const res = await post('/v1/chat/completions', chat('Hi, I am jane@example.com'));
+  const body = await res.json();
+  assert.strictEqual(res.headers.get('x-request-id'), body.id);
+
+  // The log line is written once the response has closed
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const line = logLines.find(l => l.msg === 'request' && l.request_id === body.id);
+  assert.strictEqual(line.level, 'info');
+  assert.strictEqual(line.path, '/v1/chat/completions');
+  assert.strictEqual(line.status, 200);
+  assert.strictEqual(line.model, 'mock');
+  assert.strictEqual(line.key, 'API_KEY');
+  assert.strictEqual(line.exit_code, 0);
+  assert.strictEqual(line.parse, 'high');
+  assert.ok(line.latency_ms >= 0 && line.prompt_tokens > 0 && line.completion_tokens > 0);
+
+  const audit = fs.readFileSync(path.join(dataDir, 'audit.jsonl'), 'utf8')
+    .trim().split('\n').map(entry => JSON.parse(entry))
+    .find(entry => entry.request_id === body.id);
+  assert.match(audit.prompt, /Hi, I am \[REDACTED:email\]/);
+  assert.strictEqual(audit.response, body.choices[0].message.content);
+
+  // Requests without a response id of their own still get one
+  assert.match((await get('/v1/models')).headers.get('x-request-id'), /^req_[0-9a-f]{24}$/);
+});
+
+test('malformed JSON and unknown URLs get JSON errors', async () => {
+  const malformed = await fetch(`${baseUrl}/v1/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: '{"messages": [',
+  });
+  assert.strictEqual(malformed.status, 400);
+  assert.match((await malformed.json()).error.message, /not valid JSON/);
+
+  const unknown = await get('/v1/engines');
+  assert.strictEqual(unknown.status, 404);
+  assert.strictEqual((await unknown.json()).error.code, 'unknown_url');
+
+  const ollama = await post('/api/pull', { model: 'mock' });
+  assert.strictEqual(ollama.status, 404);
+  assert.match((await ollama.json()).error, /Unknown request URL: POST \/api\/pull/);
+});
+
+test('output without a reply is a 502, not a made-up answer', async () => {
+  const res = await post('/v1/chat/completions', chat('Hi [[mock:silent]]'));
+  assert.strictEqual(res.status, 502);
+  const body = await res.json();
+  assert.strictEqual(body.error.code, 'upstream_parse_error');
+  assert.match(body.error.message, /printed nothing but log lines/);
+
+  const ollama = await post('/api/generate', { model: 'mock', prompt: 'Hi [[mock:silent]]', stream: false });
+  assert.strictEqual(ollama.status, 502);
+});
+
+test('a hung generation times out with 504', async () => {
+  const res = await post('/v1/chat/completions', chat('count to five [[mock:hang]]', { model: 'mock-gemma' }));
+  assert.strictEqual(res.status, 504);
+  assert.strictEqual((await res.json()).error.code, 'generation_timeout');
+});
+
+test('a full queue is rejected with 429 and Retry-After', async () => {
+  // Two requests run and four wait, so of seven sent together one is turned away
+  const slow = chat(`Hi [[mock:reply=${'word '.repeat(200)}]]`);
+  const responses = await Promise.all(Array.from({ length: 7 }, () => post('/v1/chat/completions', slow)));
+  const rejected = responses.filter(res => res.status === 429);
+  assert.strictEqual(rejected.length, 1);
+  assert.ok(Number(rejected[0].headers.get('retry-after')) >= 1);
+  assert.strictEqual((await rejected[0].json()).error.code, 'queue_full');
+  await Promise.all(responses.filter(res => res.status === 200).map(res => res.text()));
+});
+
+// Upload a file as multipart/form-data, as the OpenAI SDKs do
+function upload(content, purpose = 'batch', key = API_KEY) {
+  const form = new FormData();
+  form.append('purpose', purpose);
+  form.append('file', new Blob([content]), 'requests.jsonl');
+  return fetch(`${baseUrl}/v1/files`, { method: 'POST', headers: asKey(key), body: form });
+}
+
+test('files are uploaded, listed, read and deleted per key', async () => {
+  const res = await upload('{"hello": "world"}\n');
+  assert.strictEqual(res.status, 200);
+  const file = await res.json();
+  assert.match(file.id, /^file-[0-9a-f]{24}$/);
+  assert.strictEqual(file.object, 'file');
+  assert.strictEqual(file.bytes, 19);
+  assert.strictEqual(file.filename, 'requests.jsonl');
+  assert.strictEqual(file.purpose, 'batch');
+
+  assert.ok((await (await get('/v1/files?purpose=batch')).json()).data.some(f => f.id === file.id));
+  assert.strictEqual(await (await get(`/v1/files/${file.id}/content`)).text(), '{"hello": "world"}\n');
+
+  const other = await createKey({ name: 'files-other' });
+  assert.strictEqual((await get(`/v1/files/${file.id}`, other.key)).status, 404);
+  assert.deepStrictEqual((await (await get('/v1/files', other.key)).json()).data, []);
+
+  const badPurpose = await upload('x', 'fine-tune');
+  assert.strictEqual(badPurpose.status, 400);
+  assert.strictEqual((await badPurpose.json()).error.param, 'purpose');
+  const notMultipart = await post('/v1/files', { purpose: 'batch' });
+  assert.strictEqual(notMultipart.status, 400);
+  assert.match((await notMultipart.json()).error.message, /multipart\/form-data/);
+
+  const deleted = await fetch(`${baseUrl}/v1/files/${file.id}`, { method: 'DELETE', headers: asKey(API_KEY) });
+  assert.deepStrictEqual(await deleted.json(), { id: file.id, object: 'file', deleted: true });
+  assert.strictEqual((await get(`/v1/files/${file.id}`)).status, 404);
+});
+
+test('a batch runs its lines through chat completions and writes an output file', async () => {
+  const lines = [
+    { custom_id: 'hi', method: 'POST', url: '/v1/chat/completions', body: chat('Hi') },
+    { custom_id: 'count', method: 'POST', url: '/v1/chat/completions', body: chat('count to five', { stream: true }) },
+    { custom_id: 'missing', method: 'POST', url: '/v1/chat/completions', body: chat('Hi', { model: 'no-such-model' }) },
+  ];
+  const input = await (await upload(lines.map(line => JSON.stringify(line)).join('\n'))).json();
+
+  const invalid = await post('/v1/batches', { input_file_id: input.id, endpoint: '/v1/embeddings', completion_window: '24h' });
+  assert.strictEqual(invalid.status, 400);
+  assert.strictEqual((await invalid.json()).error.param, 'endpoint');
+  const malformed = await (await upload('{"custom_id": "a"\n')).json();
+  const rejected = await post('/v1/batches', { input_file_id: malformed.id, endpoint: '/v1/chat/completions', completion_window: '24h' });
+  assert.strictEqual(rejected.status, 400);
+  assert.match((await rejected.json()).error.message, /Line 1 is not valid JSON/);
+
+  const res = await post('/v1/batches', {
+    input_file_id: input.id,
+    endpoint: '/v1/chat/completions',
+    completion_window: '24h',
+    metadata: { job: 'nightly' },
+  });
+  assert.strictEqual(res.status, 200);
+  let batch = await res.json();
+  assert.match(batch.id, /^batch_[0-9a-f]{24}$/);
+  assert.strictEqual(batch.status, 'validating');
+  assert.deepStrictEqual(batch.metadata, { job: 'nightly' });
+
+  for (let i = 0; i < 200 && batch.status !== 'completed'; i++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+    batch = await (await get(`/v1/batches/${batch.id}`)).json();
+  }
+  assert.strictEqual(batch.status, 'completed');
+  assert.deepStrictEqual(batch.request_counts, { total: 3, completed: 2, failed: 1 });
+
+  const output = (await (await get(`/v1/files/${batch.output_file_id}/content`)).text())
+    .trim().split('\n').map(line => JSON.parse(line));
+  const replies = Object.fromEntries(output.map(line => [line.custom_id, line.response]));
+  assert.strictEqual(replies.hi.status_code, 200);
+  assert.strictEqual(replies.hi.body.object, 'chat.completion');
+  assert.strictEqual(replies.hi.body.id, replies.hi.request_id);
+  assert.strictEqual(replies.count.body.choices[0].message.content, 'one two three four five');
+
+  const errors = (await (await get(`/v1/files/${batch.error_file_id}/content`)).text()).trim().split('\n').map(line => JSON.parse(line));
+  assert.strictEqual(errors[0].custom_id, 'missing');
+  assert.strictEqual(errors[0].response.status_code, 404);
+  assert.strictEqual(errors[0].response.body.error.code, 'model_not_found');
+  assert.ok(logLines.some(line => line.msg === 'batch request' && line.batch_id === batch.id && line.request_id === replies.hi.request_id));
+
+  const list = await (await get('/v1/batches?limit=1')).json();
+  assert.strictEqual(list.first_id, batch.id);
+  assert.strictEqual(list.data.length, 1);
+  const cancel = await post(`/v1/batches/${batch.id}/cancel`, {});
+  assert.strictEqual(cancel.status, 400);
+  assert.strictEqual((await post('/v1/batches/batch_nope/cancel', {})).status, 404);
+});
+
+test('n larger than the queue runs its choices in turn instead of returning 429', async () => {
+  // MAX_CONCURRENT is 2 and MAX_QUEUE 4, so 7 runs at once could never be admitted
+  const res = await post('/v1/chat/completions', chat('count to five', { n: 7 }));
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).choices.length, 7);
+
+  const streamed = await sseData(await post('/v1/chat/completions', chat('count to five', { n: 7, stream: true })));
+  assert.deepStrictEqual(new Set(streamed.map(c => c.choices[0].index)).size, 7);
+
+  const completions = await post('/v1/completions', { prompt: ['count to five', 'Hi'], n: 4 });
+  assert.strictEqual(completions.status, 200);
+  assert.strictEqual((await completions.json()).choices.length, 8);
+
+  const line = { custom_id: 'many', method: 'POST', url: '/v1/chat/completions', body: chat('Hi', { n: 7 }) };
+  const input = await (await upload(JSON.stringify(line))).json();
+  let batch = await (await post('/v1/batches', { input_file_id: input.id, endpoint: '/v1/chat/completions', completion_window: '24h' })).json();
+  for (let i = 0; i < 200 && batch.status !== 'completed'; i++) {
+    await new Promise(resolve => setTimeout(resolve, 25));
+    batch = await (await get(`/v1/batches/${batch.id}`)).json();
+  }
+  assert.deepStrictEqual(batch.request_counts, { total: 1, completed: 1, failed: 0 });
+});
+
+test('the configuration is reloaded without a restart, and requests in flight keep theirs', async () => {
+  const configFile = path.join(dataDir, 'config.json');
+  const admin = asKey(ADMIN_KEY);
+  const put = (settings) => fetch(`${baseUrl}/admin/config`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', ...admin },
+    body: JSON.stringify(settings),
+  });
+  const reload = () => fetch(`${baseUrl}/admin/reload`, { method: 'POST', headers: admin });
+
+  const shown = await (await get('/admin/config', ADMIN_KEY)).json();
+  assert.strictEqual(shown.file, configFile);
+  assert.strictEqual(shown.settings.api_key, '********');
+  assert.strictEqual(shown.settings.max_queue, 4);
+  assert.deepStrictEqual(shown.restart_required, []);
+
+  // Invalid settings are turned away with what is wrong, and nothing is written
+  const invalid = await put({ max_concurrent: 'two', context_strategy: 'shorten', colour: 'blue' });
+  assert.strictEqual(invalid.status, 400);
+  const error = (await invalid.json()).error;
+  assert.strictEqual(error.code, 'invalid_config');
+  assert.deepStrictEqual(error.errors.map(e => [e.setting, e.active, e.proposed]), [
+    ['max_concurrent', 2, 'two'],
+    ['context_strategy', 'reject', 'shorten'],
+    ['colour', undefined, 'blue'],
+  ]);
+  assert.ok(!fs.existsSync(configFile));
+
+  // A request already running keeps the model registry it started with
+  const modelsFile = path.join(dataDir, 'models.json');
+  fs.writeFileSync(modelsFile, JSON.stringify({ models: [{ id: 'mock', path: 'mock.litertlm', chat_template: 'generic' }] }));
+  const hung = post('/v1/chat/completions', chat('Hi [[mock:hang]]', { model: 'mock-gemma' }));
+  await new Promise(resolve => setTimeout(resolve, 300));
+  const updated = await put({ port: 4000, models_config: modelsFile, api_key: 'sk-rotated' });
+  assert.strictEqual(updated.status, 200);
+  const body = await updated.json();
+  assert.deepStrictEqual(body.changed, [
+    { setting: 'port', from: 3000, to: 4000 },
+    { setting: 'models_config', from: process.env.MODELS_CONFIG, to: modelsFile },
+    { setting: 'api_key', from: '********', to: '********' },
+  ]);
+  assert.deepStrictEqual(body.restart_required, ['port']);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(configFile, 'utf8')), { port: 4000, models_config: modelsFile, api_key: 'sk-rotated' });
+  assert.ok(logLines.some(line => line.msg === 'Configuration reloaded' && line.source === 'admin'));
+  assert.strictEqual((await hung).status, 504);
+
+  // New requests get the new key and models
+  assert.strictEqual((await post('/v1/chat/completions', chat('Hi'))).status, 401);
+  assert.strictEqual((await post('/v1/chat/completions', chat('Hi'), asKey('sk-rotated'))).status, 200);
+  const gone = await post('/v1/chat/completions', chat('Hi', { model: 'mock-gemma' }), asKey('sk-rotated'));
+  assert.strictEqual((await gone.json()).error.code, 'model_not_found');
+
+  // A secret sent back masked keeps its value
+  assert.strictEqual((await put({ api_key: '********', max_queue: 6 })).status, 200);
+  assert.strictEqual(JSON.parse(fs.readFileSync(configFile, 'utf8')).api_key, 'sk-rotated');
+  assert.strictEqual((await (await get('/health')).json()).queue.max_queue, 6);
+
+  // Edits to the file are read again on reload; a broken file changes nothing
+  fs.writeFileSync(configFile, '{"api_key": "sk-rotated", "max_queue": 5');
+  const broken = await reload();
+  assert.strictEqual(broken.status, 400);
+  assert.match((await broken.json()).error.errors[0].message, /not valid JSON/);
+  fs.writeFileSync(configFile, '{"api_key": "sk-rotated", "max_queue": 5}');
+  const reloaded = await (await reload()).json();
+  assert.deepStrictEqual(reloaded.changed, [{ setting: 'max_queue', from: 6, to: 5 }]);
+
+  // Back to the environment's settings for the tests that follow
+  assert.strictEqual((await put({})).status, 200);
+  assert.strictEqual((await post('/v1/chat/completions', chat('Hi'))).status, 200);
+});
@@ -0,0 +1,105 @@
+// test/tokenizer.test.js
+// Tokenizer tests with tiny SentencePiece and tokenizer.json vocabularies
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadTokenizer, getTokenCounter } = require('../tokenizer');
+
+// Protobuf encoding helpers for building a SentencePiece model in memory
+function varint(n) {
+  const bytes = [];
+  while (n > 127) {
+    bytes.push((n % 128) | 0x80);
+    n = Math.floor(n / 128);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+function lengthField(field, value) {
+  const buf = Buffer.isBuffer(value) ? value : Buffer.from(value, 'utf8');
+  return Buffer.concat([varint(field * 8 + 2), varint(buf.length), buf]);
+}
+
+function varintField(field, value) {
+  return Buffer.concat([varint(field * 8), varint(value)]);
+}
+
+function floatField(field, value) {
+  const buf = Buffer.alloc(4);
+  buf.writeFloatLE(value);
+  return Buffer.concat([varint(field * 8 + 5), buf]);
+}
+
+function sentencePieceModel(pieces, modelType) {
+  const parts = pieces.map(([piece, score, type = 1]) =>
+    lengthField(1, Buffer.concat([lengthField(1, piece), floatField(2, score), varintField(3, type)])));
+  parts.push(lengthField(2, varintField(3, modelType)));
+  parts.push(lengthField(3, Buffer.concat([varintField(3, 1), varintField(4, 0)])));
+  return Buffer.concat(parts);
+}
+
+function writeTemp(name, content) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'tokenizer-')), name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+const PIECES = [
+  ['<unk>', 0, 2],
+  ['<start_of_turn>', 0, 4],
+  ['<0x77>', 0, 6],
+  ['▁hello', -1],
+  ['▁', -2],
+  ['hell', -2],
+  ['he', -2.5],
+  ['ll', -2.8],
+  ['h', -3],
+  ['e', -3],
+  ['l', -3],
+  ['o', -3],
+];
+
+test('SentencePiece unigram model picks the best-scoring split', () => {
+  const tokenizer = loadTokenizer(writeTemp('unigram.model', sentencePieceModel(PIECES, 1)));
+  assert.deepStrictEqual(tokenizer.encode('hello hello'), ['▁hello', '▁hello']);
+  assert.deepStrictEqual(tokenizer.encode('<start_of_turn>hello'), ['<start_of_turn>', 'hell', 'o']);
+});
+
+test('SentencePiece byte fallback encodes unknown characters as bytes', () => {
+  const tokenizer = loadTokenizer(writeTemp('unigram.model', sentencePieceModel(PIECES, 1)));
+  assert.deepStrictEqual(tokenizer.encode('w'), ['▁', '<0x77>']);
+});
+
+test('SentencePiece BPE model merges by piece score', () => {
+  const tokenizer = loadTokenizer(writeTemp('bpe.model', sentencePieceModel(PIECES, 2)));
+  assert.deepStrictEqual(tokenizer.encode('hello'), ['▁', 'hell', 'o']);
+});
+
+test('tokenizer.json byte-level BPE applies merges in rank order', () => {
+  const tokenizer = loadTokenizer(path.join(__dirname, 'fixtures', 'tokenizer-bpe.json'));
+  assert.deepStrictEqual(tokenizer.encode('hello hello<|im_end|>hel'), ['hello', 'Ġ', 'hello', '<|im_end|>', 'he', 'l']);
+});
+
+test('getTokenCounter falls back to an estimate', () => {
+  const counter = getTokenCounter(null);
+  assert.strictEqual(counter.exact, false);
+  assert.strictEqual(counter.count('12345678'), 2);
+
+  const warnings = [];
+  const logger = { warn: (msg, fields) => warnings.push({ msg, ...fields }) };
+  const file = writeTemp('broken.json', '{"model":{"type":"WordPiece"}}');
+  const broken = getTokenCounter(file, logger);
+  assert.strictEqual(broken.exact, false);
+  assert.strictEqual(warnings.length, 1);
+  assert.strictEqual(warnings[0].file, file);
+});
+
+test('getTokenCounter counts with the tokenizer file', () => {
+  const counter = getTokenCounter(path.join(__dirname, 'fixtures', 'tokenizer-bpe.json'));
+  assert.strictEqual(counter.exact, true);
+  assert.strictEqual(counter.count('hello hello'), 3);
+});
@@ -0,0 +1,68 @@
+// test/tool-calls.test.js
+// Tool definition, call parsing and streaming filter tests
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveTemplate } = require('../chat-templates');
+const { resolveTools, addToolInstructions, parseToolCalls, createToolCallFilter } = require('../tool-calls');
+
+const TOOLS = [
+  { type: 'function', function: { name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } } } } },
+  { type: 'function', function: { name: 'get_time' } },
+];
+const offer = resolveTools(TOOLS);
+const qwen = resolveTemplate('qwen');
+
+test('resolveTools handles tool_choice', () => {
+  assert.strictEqual(resolveTools(undefined), null);
+  assert.strictEqual(resolveTools(TOOLS, 'none'), null);
+  assert.strictEqual(resolveTools(TOOLS, 'required').required, true);
+
+  const named = resolveTools(TOOLS, { type: 'function', function: { name: 'get_time' } });
+  assert.deepStrictEqual(named.functions.map(f => f.name), ['get_time']);
+
+  assert.throws(() => resolveTools(TOOLS, { type: 'function', function: { name: 'nope' } }), { code: 'invalid_request', param: 'tool_choice' });
+  assert.throws(() => resolveTools([{ type: 'function' }]), { code: 'invalid_request' });
+});
+
+test('tool instructions are added to the system message', () => {
+  const messages = addToolInstructions([{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }], offer, qwen);
+  assert.strictEqual(messages.length, 2);
+  assert.match(messages[0].content, /^Be brief\.\n\nYou can call the following functions/);
+  assert.match(messages[0].content, /"name":"get_weather"/);
+  assert.match(messages[0].content, /<tool_call>\n\{"name": "<function name>"/);
+});
+
+test('parses calls between the template markers', () => {
+  const text = 'Checking.\n<tool_call>\n{"name": "get_weather", "arguments": {"city": "Paris"}}\n</tool_call>';
+  const parsed = parseToolCalls(text, offer, qwen);
+  assert.strictEqual(parsed.content, 'Checking.');
+  assert.strictEqual(parsed.tool_calls.length, 1);
+  assert.match(parsed.tool_calls[0].id, /^call_/);
+  assert.deepStrictEqual(parsed.tool_calls[0].function, { name: 'get_weather', arguments: '{"city":"Paris"}' });
+});
+
+test('parses a bare JSON call and ignores unknown functions', () => {
+  const bare = parseToolCalls('```json\n{"name": "get_time", "parameters": {}}\n```', offer, qwen);
+  assert.strictEqual(bare.content, '');
+  assert.deepStrictEqual(bare.tool_calls[0].function, { name: 'get_time', arguments: '{}' });
+
+  const unknown = parseToolCalls('{"name": "rm_rf", "arguments": {}}', offer, qwen);
+  assert.deepStrictEqual(unknown, { content: '{"name": "rm_rf", "arguments": {}}', tool_calls: [] });
+});
+
+test('the streaming filter passes plain text and holds back calls', () => {
+  const filter = createToolCallFilter(offer, qwen);
+  let streamed = '';
+  for (const chunk of ['Sure', ', one moment <to', 'ol_call>\n{"name": "get_time", ', '"arguments": {}}\n</tool_call>']) {
+    streamed += filter.push(chunk);
+  }
+  assert.strictEqual(streamed, 'Sure, one moment ');
+  const rest = filter.end();
+  assert.strictEqual(rest.content, '');
+  assert.strictEqual(rest.tool_calls[0].function.name, 'get_time');
+
+  const plain = createToolCallFilter(offer, qwen);
+  const text = plain.push('Hello <b>') + plain.push(' world');
+  assert.strictEqual(text + plain.end().content, 'Hello <b> world');
+});
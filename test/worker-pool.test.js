@@ -0,0 +1,143 @@
+// test/worker-pool.test.js
+// Worker pool tests against the stand-in binary
+
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { createWorkerPool, encodePrompt } = require('../worker-pool');
+
+const STAND_IN = path.join(__dirname, 'fixtures', 'stand-in-litert.js');
+const MODEL = { id: 'stand-in', path: 'stand-in.litertlm', backend: 'cpu' };
+const RUN = { timeout: 5000 };
+
+function createPool(overrides = {}) {
+  return createWorkerPool({
+    binary: STAND_IN,
+    workerArgs: ['--interactive'],
+    size: 1,
+    maxRequests: 0,
+    readyMarker: '>>> ',
+    startupTimeoutMs: 5000,
+    ...overrides,
+  });
+}
+
+function pidOf(output) {
+  return output.match(/\[pid (\d+)\]/)[1];
+}
+
+test('encodePrompt keeps a prompt on one line', () => {
+  assert.strictEqual(encodePrompt('a\\b\nc'), 'a\\\\b\\nc\n');
+});
+
+test('reuses a warm worker across requests', async (t) => {
+  const pool = createPool();
+  t.after(() => pool.shutdown());
+
+  const first = await pool.run(MODEL, 'first', RUN);
+  const second = await pool.run(MODEL, 'second\nline', RUN);
+
+  assert.match(first.output, /first/);
+  assert.match(second.output, /second\nline/);
+  assert.strictEqual(pidOf(first.output), pidOf(second.output));
+  assert.strictEqual(pool.stats()['stand-in'].served, 2);
+});
+
+test('streams response output and strips the ready marker', async (t) => {
+  const pool = createPool();
+  t.after(() => pool.shutdown());
+
+  let streamed = '';
+  const result = await pool.run(MODEL, 'hello', { ...RUN, onOutput: (text) => { streamed += text; } });
+
+  assert.strictEqual(streamed, result.output);
+  assert.doesNotMatch(result.output, />>> /);
+});
+
+test('a reply containing the ready marker is not cut short', async (t) => {
+  const pool = createPool();
+  t.after(() => pool.shutdown());
+
+  const first = await pool.run(MODEL, 'try >>> print(1) in the REPL', RUN);
+  assert.match(first.output, /try >>> print\(1\) in the REPL\n\nPrefill/);
+  assert.match(first.output, /Decode: 8 tokens/);
+
+  const second = await pool.run(MODEL, 'next', RUN);
+  assert.match(second.output, /^Response: \[pid \d+\] next/);
+});
+
+test('output between requests is discarded', async (t) => {
+  const pool = createPool();
+  t.after(() => pool.shutdown());
+
+  await pool.run(MODEL, 'STRAY', RUN);
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const next = await pool.run(MODEL, 'next', RUN);
+  assert.doesNotMatch(next.output, /stray output/);
+  assert.match(next.output, /^Response: /);
+});
+
+test('recycles a worker after maxRequests', async (t) => {
+  const pool = createPool({ maxRequests: 1 });
+  t.after(() => pool.shutdown());
+
+  const first = await pool.run(MODEL, 'one', RUN);
+  const second = await pool.run(MODEL, 'two', RUN);
+
+  assert.notStrictEqual(pidOf(first.output), pidOf(second.output));
+  assert.strictEqual(pool.stats()['stand-in'].recycled, 2);
+});
+
+test('restarts a worker that crashed', async (t) => {
+  const pool = createPool();
+  t.after(() => pool.shutdown());
+
+  await assert.rejects(pool.run(MODEL, 'CRASH', RUN), /LiteRT fatal error/);
+  const result = await pool.run(MODEL, 'after crash', RUN);
+
+  assert.match(result.output, /after crash/);
+  assert.strictEqual(pool.stats()['stand-in'].restarts, 1);
+});
+
+test('kills a worker that exceeds the timeout', async (t) => {
+  const pool = createPool();
+  t.after(() => pool.shutdown());
+
+  await assert.rejects(pool.run(MODEL, 'HANG', { timeout: 200 }), { code: 'timeout' });
+  const result = await pool.run(MODEL, 'after hang', RUN);
+
+  assert.match(result.output, /after hang/);
+});
+
+test('pruning stops the workers of a model whose path changed', async (t) => {
+  const pool = createPool();
+  t.after(() => pool.shutdown());
+
+  const before = await pool.run(MODEL, 'before', RUN);
+  const moved = { ...MODEL, path: 'moved.litertlm' };
+  pool.prune([moved]);
+  const after = await pool.run(moved, 'after', RUN);
+
+  assert.notStrictEqual(pidOf(before.output), pidOf(after.output));
+  assert.strictEqual(pool.stats()['stand-in'].served, 1);
+  const alive = (pid) => {
+    try {
+      process.kill(pid, 0);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  };
+  for (let i = 0; i < 100 && alive(Number(pidOf(before.output))); i++) {
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  assert.strictEqual(alive(Number(pidOf(before.output))), false);
+});
+
+test('reports binaries without stdin mode as unsupported', async (t) => {
+  const pool = createPool({ workerArgs: [] });
+  t.after(() => pool.shutdown());
+
+  await assert.rejects(pool.run(MODEL, 'hello', RUN), { code: 'worker_unsupported' });
+  await assert.rejects(pool.run(MODEL, 'again', RUN), { code: 'worker_unsupported' });
+});
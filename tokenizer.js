@@ -0,0 +1,565 @@
+// tokenizer.js
+// Counts tokens with a model's own vocabulary: SentencePiece .model files or
+// Hugging Face tokenizer.json files (BPE or Unigram)
+
+const fs = require('fs');
+
+// SentencePiece piece and model types (sentencepiece_model.proto)
+const PIECE_NORMAL = 1;
+const PIECE_CONTROL = 3;
+const PIECE_USER_DEFINED = 4;
+const PIECE_BYTE = 6;
+const MODEL_UNIGRAM = 1;
+const MODEL_BPE = 2;
+
+const SPACE_SYMBOL = '▁';
+const MAX_PIECE_LENGTH = 64;
+const WORD_CACHE_SIZE = 10000;
+
+// Pre-tokenization pattern used by GPT-2 style byte-level BPE tokenizers
+const BYTE_LEVEL_PATTERN = /'s|'t|'re|'ve|'m|'ll|'d| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+(?!\S)|\s+/gu;
+
+// Used when a model has no tokenizer configured or it can't be loaded
+const ESTIMATE = {
+  exact: false,
+  count: (text) => Math.ceil(text.length / 4), // Rough estimate
+};
+
+// --- Protobuf decoding (just enough for SentencePiece model files) ---
+
+function readVarint(buf, pos) {
+  let result = 0;
+  let shift = 0;
+  let byte;
+  do {
+    if (pos >= buf.length) {
+      throw new Error('Truncated varint');
+    }
+    byte = buf[pos++];
+    result += (byte & 0x7f) * Math.pow(2, shift);
+    shift += 7;
+  } while (byte & 0x80);
+  return [result, pos];
+}
+
+function readFields(buf) {
+  const fields = [];
+  let pos = 0;
+  while (pos < buf.length) {
+    let key;
+    [key, pos] = readVarint(buf, pos);
+    const field = Math.floor(key / 8);
+    const wireType = key % 8;
+    let value;
+    switch (wireType) {
+      case 0:
+        [value, pos] = readVarint(buf, pos);
+        break;
+      case 1:
+        value = buf.subarray(pos, pos + 8);
+        pos += 8;
+        break;
+      case 2: {
+        let length;
+        [length, pos] = readVarint(buf, pos);
+        value = buf.subarray(pos, pos + length);
+        pos += length;
+        break;
+      }
+      case 5:
+        value = buf.readFloatLE(pos);
+        pos += 4;
+        break;
+      default:
+        throw new Error(`Unsupported protobuf wire type ${wireType}`);
+    }
+    fields.push({ field, value });
+  }
+  return fields;
+}
+
+// --- Segmentation algorithms ---
+
+// Minimal binary heap ordered by rank, then position (leftmost pair first)
+function heapPush(heap, item) {
+  heap.push(item);
+  let i = heap.length - 1;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (!lessThan(heap[i], heap[parent])) break;
+    [heap[i], heap[parent]] = [heap[parent], heap[i]];
+    i = parent;
+  }
+}
+
+function heapPop(heap) {
+  const top = heap[0];
+  const last = heap.pop();
+  if (heap.length > 0) {
+    heap[0] = last;
+    let i = 0;
+    while (true) {
+      const left = 2 * i + 1;
+      const right = left + 1;
+      let smallest = i;
+      if (left < heap.length && lessThan(heap[left], heap[smallest])) smallest = left;
+      if (right < heap.length && lessThan(heap[right], heap[smallest])) smallest = right;
+      if (smallest === i) break;
+      [heap[i], heap[smallest]] = [heap[smallest], heap[i]];
+      i = smallest;
+    }
+  }
+  return top;
+}
+
+function lessThan(a, b) {
+  return a.rank < b.rank || (a.rank === b.rank && a.left < b.left);
+}
+
+/**
+ * Byte-pair encoding: repeatedly merge the adjacent pair with the best rank
+ * @param {string[]} symbols - Initial symbols (characters)
+ * @param {function(string, string): (number|null)} rankOf - Merge rank, lower merges first
+ * @returns {string[]} - Merged pieces
+ */
+function bytePairEncode(symbols, rankOf) {
+  const nodes = symbols.map((text, i) => ({ text, prev: i - 1, next: i + 1 < symbols.length ? i + 1 : -1, alive: true }));
+  const heap = [];
+
+  const addPair = (left) => {
+    const right = nodes[left].next;
+    if (right === -1) return;
+    const rank = rankOf(nodes[left].text, nodes[right].text);
+    if (rank != null) {
+      heapPush(heap, { rank, left, right, text: nodes[left].text + nodes[right].text });
+    }
+  };
+
+  for (let i = 0; i < nodes.length - 1; i++) {
+    addPair(i);
+  }
+
+  while (heap.length > 0) {
+    const { left, right, text } = heapPop(heap);
+    const leftNode = nodes[left];
+    const rightNode = nodes[right];
+    // Skip pairs that went stale after an earlier merge
+    if (!leftNode.alive || !rightNode.alive || leftNode.next !== right || leftNode.text + rightNode.text !== text) {
+      continue;
+    }
+
+    leftNode.text = text;
+    leftNode.next = rightNode.next;
+    rightNode.alive = false;
+    if (rightNode.next !== -1) {
+      nodes[rightNode.next].prev = left;
+    }
+
+    if (leftNode.prev !== -1) addPair(leftNode.prev);
+    addPair(left);
+  }
+
+  return nodes.filter(n => n.alive).map(n => n.text);
+}
+
+/**
+ * Unigram segmentation: the split with the highest total piece score (Viterbi)
+ * @param {string[]} chars - Characters of the word
+ * @param {Map<string, number>} scores - Piece scores
+ * @param {number} maxLength - Longest piece in characters
+ * @param {number} unknownScore - Score for a character no piece covers
+ * @returns {string[]} - Pieces
+ */
+function unigramEncode(chars, scores, maxLength, unknownScore) {
+  const best = new Array(chars.length + 1).fill(-Infinity);
+  const from = new Array(chars.length + 1).fill(0);
+  best[0] = 0;
+
+  for (let end = 1; end <= chars.length; end++) {
+    for (let start = Math.max(0, end - maxLength); start < end; start++) {
+      if (best[start] === -Infinity) continue;
+      const piece = chars.slice(start, end).join('');
+      const score = scores.get(piece);
+      if (score !== undefined && best[start] + score > best[end]) {
+        best[end] = best[start] + score;
+        from[end] = start;
+      }
+    }
+    if (best[end] === -Infinity) {
+      best[end] = best[end - 1] + unknownScore;
+      from[end] = end - 1;
+    }
+  }
+
+  const pieces = [];
+  for (let end = chars.length; end > 0; end = from[end]) {
+    pieces.unshift(chars.slice(from[end], end).join(''));
+  }
+  return pieces;
+}
+
+// --- Tokenizer construction ---
+
+/**
+ * Build a tokenizer from a parsed vocabulary
+ * @param {Object} spec
+ * @param {string} spec.algorithm - 'bpe' or 'unigram'
+ * @param {Map<string, number>} spec.scores - Pieces usable in segmentation with their scores
+ * @param {function(string, string): (number|null)} [spec.rankOf] - BPE merge rank
+ * @param {string[]} spec.specials - Tokens matched whole wherever they appear in the text
+ * @param {boolean} spec.byteFallback - Encode unknown characters as UTF-8 byte tokens
+ * @param {function(string, boolean): string[]} spec.preTokenize - Splits a text segment into words;
+ *   the flag says whether the segment starts the text
+ * @returns {{encode: function(string): string[]}}
+ */
+function createTokenizer(spec) {
+  const wordCache = new Map();
+  let maxLength = 1;
+  let minScore = 0;
+  for (const [piece, score] of spec.scores) {
+    maxLength = Math.max(maxLength, Array.from(piece).length);
+    minScore = Math.min(minScore, score);
+  }
+  maxLength = Math.min(maxLength, MAX_PIECE_LENGTH);
+
+  const specials = spec.specials.filter(Boolean).sort((a, b) => b.length - a.length);
+  const specialPattern = specials.length > 0
+    ? new RegExp(`(${specials.map(s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`)
+    : null;
+
+  function encodeWord(word) {
+    if (wordCache.has(word)) {
+      return wordCache.get(word);
+    }
+
+    const chars = Array.from(word);
+    const pieces = spec.algorithm === 'bpe'
+      ? bytePairEncode(chars, spec.rankOf)
+      : unigramEncode(chars, spec.scores, maxLength, minScore - 10);
+
+    const tokens = [];
+    for (const piece of pieces) {
+      if (spec.scores.has(piece)) {
+        tokens.push(piece);
+      } else if (spec.byteFallback) {
+        for (const byte of Buffer.from(piece, 'utf8')) {
+          tokens.push(`<0x${byte.toString(16).toUpperCase().padStart(2, '0')}>`);
+        }
+      } else {
+        tokens.push('<unk>');
+      }
+    }
+
+    if (wordCache.size >= WORD_CACHE_SIZE) {
+      wordCache.clear();
+    }
+    wordCache.set(word, tokens);
+    return tokens;
+  }
+
+  return {
+    encode(text) {
+      const tokens = [];
+      const segments = specialPattern ? text.split(specialPattern) : [text];
+      segments.forEach((segment, index) => {
+        if (!segment) return;
+        if (index % 2 === 1) {
+          tokens.push(segment); // Special token
+          return;
+        }
+        for (const word of spec.preTokenize(segment, index === 0)) {
+          if (word) tokens.push(...encodeWord(word));
+        }
+      });
+      return tokens;
+    }
+  };
+}
+
+/**
+ * Load a SentencePiece .model file
+ * @param {Buffer} buf - File contents
+ * @returns {{encode: function(string): string[]}}
+ */
+function loadSentencePiece(buf) {
+  const scores = new Map();
+  const specials = [];
+  let byteFallback = false;
+  let modelType = MODEL_UNIGRAM;
+  let addDummyPrefix = true;
+  let removeExtraWhitespaces = true;
+  let splitByWhitespace = true;
+
+  for (const { field, value } of readFields(buf)) {
+    if (field === 1) {
+      let piece = '';
+      let score = 0;
+      let type = PIECE_NORMAL;
+      for (const f of readFields(value)) {
+        if (f.field === 1) piece = f.value.toString('utf8');
+        else if (f.field === 2) score = f.value;
+        else if (f.field === 3) type = f.value;
+      }
+      if (type === PIECE_NORMAL) {
+        scores.set(piece, score);
+      } else if (type === PIECE_USER_DEFINED || type === PIECE_CONTROL) {
+        specials.push(piece);
+      } else if (type === PIECE_BYTE) {
+        byteFallback = true;
+      }
+    } else if (field === 2) {
+      for (const f of readFields(value)) {
+        if (f.field === 3) modelType = f.value;
+        else if (f.field === 22) splitByWhitespace = f.value !== 0;
+      }
+    } else if (field === 3) {
+      for (const f of readFields(value)) {
+        if (f.field === 3) addDummyPrefix = f.value !== 0;
+        else if (f.field === 4) removeExtraWhitespaces = f.value !== 0;
+      }
+    }
+  }
+
+  if (scores.size === 0) {
+    throw new Error('No pieces found, not a SentencePiece model');
+  }
+  if (modelType !== MODEL_UNIGRAM && modelType !== MODEL_BPE) {
+    throw new Error(`Unsupported SentencePiece model type ${modelType}`);
+  }
+
+  return createTokenizer({
+    algorithm: modelType === MODEL_BPE ? 'bpe' : 'unigram',
+    scores,
+    // SentencePiece BPE merges the pair whose result has the highest score
+    rankOf: (left, right) => {
+      const score = scores.get(left + right);
+      return score === undefined ? null : -score;
+    },
+    specials,
+    byteFallback,
+    preTokenize: (segment, isFirst) => {
+      let text = removeExtraWhitespaces ? segment.replace(/ +/g, ' ') : segment;
+      if (removeExtraWhitespaces && isFirst) text = text.replace(/^ /, '');
+      text = text.replace(/ /g, SPACE_SYMBOL);
+      if (addDummyPrefix && isFirst) text = SPACE_SYMBOL + text;
+      return splitByWhitespace ? text.split(new RegExp(`(?=${SPACE_SYMBOL})`)) : [text];
+    },
+  });
+}
+
+// Map every byte to a printable character, as GPT-2 style byte-level BPE does
+function byteLevelAlphabet() {
+  const bytes = [];
+  for (let b = 33; b <= 126; b++) bytes.push(b);
+  for (let b = 161; b <= 172; b++) bytes.push(b);
+  for (let b = 174; b <= 255; b++) bytes.push(b);
+  const chars = bytes.slice();
+  let extra = 0;
+  for (let b = 0; b < 256; b++) {
+    if (!bytes.includes(b)) {
+      bytes.push(b);
+      chars.push(256 + extra++);
+    }
+  }
+  const alphabet = new Array(256);
+  bytes.forEach((b, i) => { alphabet[b] = String.fromCharCode(chars[i]); });
+  return alphabet;
+}
+
+/**
+ * Build the function for a tokenizer.json "normalizer" entry
+ * @param {Object} spec
+ * @returns {function(string, boolean): string}
+ */
+function buildNormalizer(spec) {
+  if (!spec) return (text) => text;
+  switch (spec.type) {
+    case 'Sequence': {
+      const steps = spec.normalizers.map(buildNormalizer);
+      return (text, isFirst) => steps.reduce((t, step) => step(t, isFirst), text);
+    }
+    case 'Prepend':
+      return (text, isFirst) => (isFirst ? spec.prepend + text : text);
+    case 'Replace':
+      if (spec.pattern && typeof spec.pattern.String === 'string') {
+        return (text) => text.split(spec.pattern.String).join(spec.content);
+      }
+      return (text) => text;
+    case 'NFC':
+    case 'NFD':
+    case 'NFKC':
+    case 'NFKD':
+      return (text) => text.normalize(spec.type);
+    case 'Lowercase':
+      return (text) => text.toLowerCase();
+    default:
+      return (text) => text;
+  }
+}
+
+function splitByPattern(text, pattern, removeMatches) {
+  const pieces = [];
+  let last = 0;
+  for (const match of text.matchAll(pattern)) {
+    if (match.index > last) pieces.push(text.substring(last, match.index));
+    if (!removeMatches && match[0]) pieces.push(match[0]);
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) pieces.push(text.substring(last));
+  return pieces;
+}
+
+/**
+ * Build the function for a tokenizer.json "pre_tokenizer" entry
+ * @param {Object} spec
+ * @returns {function(string[], boolean): string[]} - Maps pieces to smaller pieces
+ */
+function buildPreTokenizer(spec) {
+  if (!spec) return (pieces) => pieces;
+  switch (spec.type) {
+    case 'Sequence': {
+      const steps = spec.pretokenizers.map(buildPreTokenizer);
+      return (pieces, isFirst) => steps.reduce((p, step) => step(p, isFirst), pieces);
+    }
+    case 'ByteLevel': {
+      const alphabet = byteLevelAlphabet();
+      return (pieces, isFirst) => {
+        let result = pieces;
+        if (spec.add_prefix_space && isFirst && result.length > 0 && !result[0].startsWith(' ')) {
+          result = [' ' + result[0], ...result.slice(1)];
+        }
+        if (spec.use_regex !== false) {
+          result = result.flatMap(p => p.match(BYTE_LEVEL_PATTERN) || []);
+        }
+        return result.map(p => Array.from(Buffer.from(p, 'utf8'), b => alphabet[b]).join(''));
+      };
+    }
+    case 'Metaspace': {
+      const replacement = spec.replacement || SPACE_SYMBOL;
+      const scheme = spec.prepend_scheme || (spec.add_prefix_space === false ? 'never' : 'always');
+      return (pieces, isFirst) => pieces.flatMap((p, i) => {
+        let text = p.split(' ').join(replacement);
+        if ((scheme === 'always' || (scheme === 'first' && isFirst && i === 0)) && !text.startsWith(replacement)) {
+          text = replacement + text;
+        }
+        return spec.split === false ? [text] : text.split(new RegExp(`(?=${replacement})`));
+      });
+    }
+    case 'Split': {
+      let pattern;
+      try {
+        pattern = spec.pattern.Regex !== undefined
+          ? new RegExp(spec.pattern.Regex, 'gu')
+          : new RegExp(spec.pattern.String.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gu');
+      } catch (e) {
+        // Some patterns use regex syntax JavaScript lacks; GPT-2's split is a close match
+        pattern = BYTE_LEVEL_PATTERN;
+      }
+      return (pieces) => pieces.flatMap(p => splitByPattern(p, pattern, spec.behavior === 'Removed'));
+    }
+    case 'Whitespace':
+      return (pieces) => pieces.flatMap(p => p.match(/\w+|[^\w\s]+/gu) || []);
+    case 'WhitespaceSplit':
+      return (pieces) => pieces.flatMap(p => p.split(/\s+/).filter(Boolean));
+    case 'Digits':
+      return (pieces) => pieces.flatMap(p => splitByPattern(p, spec.individual_digits ? /\p{N}/gu : /\p{N}+/gu, false));
+    case 'Punctuation':
+      return (pieces) => pieces.flatMap(p => splitByPattern(p, /\p{P}/gu, false));
+    default:
+      return (pieces) => pieces;
+  }
+}
+
+/**
+ * Load a Hugging Face tokenizer.json file
+ * @param {Object} json - Parsed file contents
+ * @returns {{encode: function(string): string[]}}
+ */
+function loadHuggingFace(json) {
+  const model = json.model || {};
+  const scores = new Map();
+  let rankOf = null;
+  let algorithm;
+
+  if (model.type === 'BPE') {
+    algorithm = 'bpe';
+    for (const piece of Object.keys(model.vocab)) {
+      scores.set(piece, 0);
+    }
+    const merges = new Map();
+    model.merges.forEach((merge, rank) => {
+      const [left, right] = Array.isArray(merge) ? merge : merge.split(' ');
+      merges.set(`${left} ${right}`, rank);
+    });
+    rankOf = (left, right) => {
+      const rank = merges.get(`${left} ${right}`);
+      return rank === undefined ? null : rank;
+    };
+  } else if (model.type === 'Unigram') {
+    algorithm = 'unigram';
+    for (const [piece, score] of model.vocab) {
+      scores.set(piece, score);
+    }
+  } else {
+    throw new Error(`Unsupported tokenizer.json model type ${model.type}`);
+  }
+
+  const normalize = buildNormalizer(json.normalizer);
+  const preTokenize = buildPreTokenizer(json.pre_tokenizer);
+
+  return createTokenizer({
+    algorithm,
+    scores,
+    rankOf,
+    specials: (json.added_tokens || []).map(t => t.content),
+    byteFallback: Boolean(model.byte_fallback),
+    preTokenize: (segment, isFirst) => preTokenize([normalize(segment, isFirst)], isFirst),
+  });
+}
+
+/**
+ * Load a tokenizer from a SentencePiece .model or Hugging Face tokenizer.json file
+ * @param {string} file - Path to the tokenizer file
+ * @returns {{encode: function(string): string[]}}
+ */
+function loadTokenizer(file) {
+  const buf = fs.readFileSync(file);
+  if (file.endsWith('.json')) {
+    return loadHuggingFace(JSON.parse(buf.toString('utf8')));
+  }
+  return loadSentencePiece(buf);
+}
+
+const counters = new Map();
+
+/**
+ * Get a token counter for a tokenizer file, falling back to a length-based
+ * estimate when no file is given or it can't be loaded
+ * @param {(string|null)} file - Path to the tokenizer file
+ * @param {Object} [logger] - Told when the file can't be loaded (see logger.js)
+ * @returns {{exact: boolean, count: function(string): number}}
+ */
+function getTokenCounter(file, logger) {
+  if (!file) {
+    return ESTIMATE;
+  }
+  if (!counters.has(file)) {
+    let counter;
+    try {
+      const tokenizer = loadTokenizer(file);
+      counter = { exact: true, count: (text) => tokenizer.encode(text).length };
+    } catch (e) {
+      if (logger) {
+        logger.warn('Could not load tokenizer, using estimates', { file, error: e.message });
+      }
+      counter = ESTIMATE;
+    }
+    counters.set(file, counter);
+  }
+  return counters.get(file);
+}
+
+module.exports = {
+  loadTokenizer,
+  getTokenCounter
+};
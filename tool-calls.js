@@ -0,0 +1,222 @@
+// tool-calls.js
+// Tool (function) calling emulation: tool definitions are described in the
+// prompt, and calls are parsed back out of the generated text
+
+const crypto = require('crypto');
+const { appendSystemText } = require('./chat-templates');
+
+function invalidRequest(message, param) {
+  const err = new Error(message);
+  err.code = 'invalid_request';
+  err.param = param;
+  return err;
+}
+
+/**
+ * Check a request's tools and tool_choice and work out which functions to offer
+ * @param {Array} [tools] - OpenAI tool definitions
+ * @param {(string|Object)} [toolChoice] - "none", "auto", "required" or a named function
+ * @returns {({functions: Object[], required: boolean}|null)} - null when no tools are offered
+ */
+function resolveTools(tools, toolChoice) {
+  if (tools == null) {
+    if (toolChoice != null && toolChoice !== 'none' && toolChoice !== 'auto') {
+      throw invalidRequest('tool_choice requires tools', 'tool_choice');
+    }
+    return null;
+  }
+
+  if (!Array.isArray(tools)) {
+    throw invalidRequest('tools must be an array', 'tools');
+  }
+  const functions = tools.map((tool, i) => {
+    if (!tool || tool.type !== 'function' || !tool.function || typeof tool.function.name !== 'string' || !tool.function.name) {
+      throw invalidRequest(`tools[${i}] must be a function with a name`, `tools[${i}]`);
+    }
+    return tool.function;
+  });
+
+  if (functions.length === 0 || toolChoice === 'none') {
+    return null;
+  }
+  if (toolChoice == null || toolChoice === 'auto') {
+    return { functions, required: false };
+  }
+  if (toolChoice === 'required') {
+    return { functions, required: true };
+  }
+
+  const name = toolChoice && toolChoice.type === 'function' && toolChoice.function && toolChoice.function.name;
+  if (!name) {
+    throw invalidRequest('tool_choice must be "none", "auto", "required" or a function', 'tool_choice');
+  }
+  const chosen = functions.find(f => f.name === name);
+  if (!chosen) {
+    throw invalidRequest(`tool_choice names an unknown function "${name}"`, 'tool_choice');
+  }
+  return { functions: [chosen], required: true };
+}
+
+/**
+ * Add the tool instructions to the conversation as a system message
+ * @param {Array} messages - OpenAI chat messages
+ * @param {Object} offer - Result of resolveTools
+ * @param {Object} template - Chat template, for its tool call markers
+ * @returns {Array} - Messages with the instructions
+ */
+function addToolInstructions(messages, offer, template) {
+  const definitions = offer.functions.map(f => JSON.stringify({
+    name: f.name,
+    description: f.description || '',
+    parameters: f.parameters || { type: 'object', properties: {} },
+  }));
+  const example = `${template.tool_call_start}{"name": "<function name>", "arguments": {<arguments as JSON>}}${template.tool_call_end}`;
+
+  const instructions = [
+    'You can call the following functions. Each is described by a JSON schema:',
+    definitions.join('\n'),
+    '',
+    'To call a function, reply with nothing but one or more calls, each written as:',
+    example,
+    offer.required
+      ? 'You must call a function in this reply.'
+      : 'If no function is needed, reply normally.',
+  ].join('\n');
+
+  return appendSystemText(messages, instructions);
+}
+
+// A parsed call, if the JSON names one of the offered functions
+function toCall(json, offer) {
+  let value;
+  try {
+    value = JSON.parse(json);
+  } catch (e) {
+    return null;
+  }
+  if (!value || typeof value !== 'object' || !offer.functions.some(f => f.name === value.name)) {
+    return null;
+  }
+  const args = value.arguments !== undefined ? value.arguments : (value.parameters || {});
+  return {
+    id: `call_${crypto.randomBytes(12).toString('hex')}`,
+    type: 'function',
+    function: {
+      name: value.name,
+      arguments: typeof args === 'string' ? args : JSON.stringify(args),
+    },
+  };
+}
+
+/**
+ * Pull tool calls out of generated text. Calls are recognised between the
+ * template's markers, or as a reply that is nothing but a JSON call.
+ * @param {string} text - Generated text
+ * @param {Object} offer - Result of resolveTools
+ * @param {Object} template - Chat template
+ * @returns {{content: string, tool_calls: Object[]}} - Remaining text and OpenAI tool calls
+ */
+function parseToolCalls(text, offer, template) {
+  const start = template.tool_call_start.trim();
+  const end = template.tool_call_end.trim();
+  const toolCalls = [];
+  let content = '';
+  let position = 0;
+
+  while (position < text.length) {
+    const startIndex = text.indexOf(start, position);
+    if (startIndex === -1) break;
+    const endIndex = text.indexOf(end, startIndex + start.length);
+    // An unterminated call runs to the end of the text
+    const json = text.substring(startIndex + start.length, endIndex === -1 ? text.length : endIndex).trim();
+    const call = toCall(json, offer);
+    if (call) {
+      toolCalls.push(call);
+      content += text.substring(position, startIndex);
+    } else {
+      content += text.substring(position, endIndex === -1 ? text.length : endIndex + end.length);
+    }
+    position = endIndex === -1 ? text.length : endIndex + end.length;
+  }
+  content += text.substring(position);
+
+  // Some models skip the markers and reply with the JSON alone
+  if (toolCalls.length === 0) {
+    const bare = text.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/, '$1');
+    const call = toCall(bare, offer);
+    if (call) {
+      return { content: '', tool_calls: [call] };
+    }
+  }
+
+  return { content: content.trim(), tool_calls: toolCalls };
+}
+
+/**
+ * Filter streamed text so tool calls are not sent as content. Text is passed
+ * through until it could be the start of a call; from there it is held back
+ * and parsed when generation ends.
+ * @param {Object} offer - Result of resolveTools
+ * @param {Object} template - Chat template
+ * @returns {{push: function(string): string, end: function(): {content: string, tool_calls: Object[]}}}
+ *   push returns the text that is safe to stream; end returns the rest of the
+ *   content along with any tool calls
+ */
+function createToolCallFilter(offer, template) {
+  const start = template.tool_call_start.trim();
+  let held = '';
+  let streamed = false;
+  let holding = false;
+
+  return {
+    push(chunk) {
+      held += chunk;
+      if (holding) return '';
+
+      // A reply that opens like JSON may be a bare call
+      if (!streamed) {
+        const opening = held.trimStart();
+        if (!opening) return '';
+        if (opening.startsWith('{') || opening.startsWith('```')) {
+          holding = true;
+          return '';
+        }
+      }
+
+      const startIndex = held.indexOf(start);
+      if (startIndex !== -1) {
+        holding = true;
+        const text = held.substring(0, startIndex);
+        held = held.substring(startIndex);
+        streamed = streamed || text.length > 0;
+        return text;
+      }
+
+      // Keep back anything that could be the beginning of the start marker
+      let keep = Math.min(held.length, start.length - 1);
+      while (keep > 0 && !start.startsWith(held.substring(held.length - keep))) {
+        keep--;
+      }
+      const text = held.substring(0, held.length - keep);
+      held = held.substring(held.length - keep);
+      streamed = streamed || text.length > 0;
+      return text;
+    },
+
+    end() {
+      const parsed = parseToolCalls(held, offer, template);
+      if (parsed.tool_calls.length === 0) {
+        // Held-back text follows what was already streamed, so keep its whitespace
+        return { content: streamed ? held : held.trim(), tool_calls: [] };
+      }
+      return parsed;
+    }
+  };
+}
+
+module.exports = {
+  resolveTools,
+  addToolInstructions,
+  parseToolCalls,
+  createToolCallFilter
+};
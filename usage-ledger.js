@@ -0,0 +1,115 @@
+// usage-ledger.js
+// Append-only record of the tokens each API key uses, one JSON line per LiteRT run
+
+const fs = require('fs');
+
+// UTC calendar day of a time, as "YYYY-MM-DD"
+const dayOf = (time) => new Date(time).toISOString().substring(0, 10);
+
+/**
+ * Open the usage ledger
+ * @param {Object} options
+ * @param {string} options.file - JSON lines file entries are appended to
+ * @returns {Object} - Ledger
+ */
+function createUsageLedger({ file }) {
+  // Tokens used today by each key, for the tokens-per-day limit
+  let today = dayOf(Date.now());
+  let tokensToday = new Map();
+
+  function readEntries() {
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, 'utf8')
+      .split('\n')
+      .filter(line => line.trim())
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch (e) {
+          return null; // A line cut short by a crash
+        }
+      })
+      .filter(Boolean);
+  }
+
+  function rollOver(now) {
+    const day = dayOf(now);
+    if (day !== today) {
+      today = day;
+      tokensToday = new Map();
+    }
+  }
+
+  for (const entry of readEntries()) {
+    if (dayOf(entry.time) === today) {
+      tokensToday.set(entry.key_id, (tokensToday.get(entry.key_id) || 0) + entry.prompt_tokens + entry.completion_tokens);
+    }
+  }
+
+  return {
+    /**
+     * Record a run
+     * @param {Object} entry - { key_id, key_name, model, prompt_tokens, completion_tokens }
+     */
+    record(entry) {
+      const now = Date.now();
+      rollOver(now);
+      const line = { time: new Date(now).toISOString(), ...entry };
+      fs.appendFileSync(file, JSON.stringify(line) + '\n');
+      tokensToday.set(entry.key_id, (tokensToday.get(entry.key_id) || 0) + entry.prompt_tokens + entry.completion_tokens);
+    },
+
+    /**
+     * Tokens a key has used since midnight UTC
+     * @param {string} keyId
+     * @returns {number}
+     */
+    tokensToday(keyId) {
+      rollOver(Date.now());
+      return tokensToday.get(keyId) || 0;
+    },
+
+    /**
+     * Total usage by key, day and model
+     * @param {Object} [filter]
+     * @param {string} [filter.key_id] - Only this key
+     * @param {number} [filter.since] - Only entries at or after this time (ms)
+     * @param {number} [filter.until] - Only entries before this time (ms)
+     * @returns {Object[]} - { key_id, key_name, date, model, runs, prompt_tokens, completion_tokens, total_tokens }
+     */
+    query(filter = {}) {
+      const totals = new Map();
+      for (const entry of readEntries()) {
+        const time = Date.parse(entry.time);
+        if (filter.key_id && entry.key_id !== filter.key_id) continue;
+        if (filter.since != null && time < filter.since) continue;
+        if (filter.until != null && time >= filter.until) continue;
+
+        const date = dayOf(time);
+        const id = `${entry.key_id}\n${date}\n${entry.model}`;
+        if (!totals.has(id)) {
+          totals.set(id, {
+            key_id: entry.key_id,
+            key_name: entry.key_name,
+            date,
+            model: entry.model,
+            runs: 0,
+            prompt_tokens: 0,
+            completion_tokens: 0,
+            total_tokens: 0,
+          });
+        }
+        const total = totals.get(id);
+        total.runs++;
+        total.prompt_tokens += entry.prompt_tokens;
+        total.completion_tokens += entry.completion_tokens;
+        total.total_tokens += entry.prompt_tokens + entry.completion_tokens;
+      }
+      return Array.from(totals.values());
+    }
+  };
+}
+
+module.exports = {
+  createUsageLedger
+};
@@ -0,0 +1,383 @@
+// worker-pool.js
+// Keeps LiteRT-LM processes loaded between requests and feeds them prompts over stdin
+//
+// Worker protocol: a worker is started with the model arguments plus the
+// configured worker arguments. It writes the ready marker to stdout once the
+// model is loaded. Each request is written to stdin as a single line: a
+// request id of random hex digits, a space, then the prompt with backslashes
+// and newlines escaped as \\ and \n. The worker ends its response with the
+// ready marker followed by that request id. The model never sees the id, so
+// it can't end a response early by writing the marker itself, and anything a
+// worker prints between requests is thrown away.
+
+const crypto = require('crypto');
+const { startLiteRT, killProcessGroup, exitError, cancelledError, watchDeadline } = require('./litert-process');
+
+// Delay before restarting a worker that crashed, so a broken setup doesn't spin
+const RESTART_DELAY_MS = 1000;
+
+/**
+ * Encode a prompt as a single stdin line
+ * @param {string} prompt
+ * @returns {string}
+ */
+function encodePrompt(prompt) {
+  return prompt.replace(/\\/g, '\\\\').replace(/\r?\n/g, '\\n') + '\n';
+}
+
+function unsupportedError(model, reason) {
+  const err = new Error(`LiteRT worker mode is not available for model ${model.id}: ${reason}`);
+  err.code = 'worker_unsupported';
+  return err;
+}
+
+// Workers are started with a model's path and backend, so those pick its pool
+// along with the id; a reload that changes either gets fresh workers
+function poolKey(model) {
+  return JSON.stringify([model.id, model.path, model.backend]);
+}
+
+/**
+ * Create a pool of long-lived LiteRT workers, started lazily per model.
+ * If a model's first worker never reports ready, the model is marked
+ * unsupported and run() rejects with code 'worker_unsupported' so the caller
+ * can fall back to spawning a process per request.
+ * @param {Object} options
+ * @param {string} options.binary - Path to litert_lm_main
+ * @param {string[]} options.workerArgs - Extra arguments that enable stdin mode
+ * @param {number} options.size - Workers kept per model
+ * @param {number} options.maxRequests - Requests a worker serves before it is recycled (0 = never)
+ * @param {string} options.readyMarker - Text the worker prints when it is ready, and before the request id ending a response
+ * @param {number} options.startupTimeoutMs - How long a worker may take to become ready
+ * @param {Object} [options.logger] - Logger for worker lifecycle events (see logger.js)
+ * @returns {{run: function, stats: function(): Object, prune: function(Object[]), shutdown: function()}}
+ */
+function createWorkerPool(options) {
+  const pools = new Map();
+  // Pools pruned after a reload, until their last worker has exited
+  const retiredPools = new Set();
+  let shuttingDown = false;
+
+  function log(level, msg, fields) {
+    if (options.logger) {
+      options.logger[level](msg, fields);
+    }
+  }
+
+  function poolFor(model) {
+    const key = poolKey(model);
+    let pool = pools.get(key);
+    if (!pool) {
+      pool = {
+        model,
+        workers: [],
+        waiters: [],
+        unsupported: null,
+        everReady: false,
+        retired: false,
+        served: 0,
+        restarts: 0,
+        recycled: 0,
+      };
+      pools.set(key, pool);
+    }
+    return pool;
+  }
+
+  // Length of the longest suffix of text that could be the start of marker
+  function markerHoldback(text, marker) {
+    for (let length = Math.min(text.length, marker.length - 1); length > 0; length--) {
+      if (marker.startsWith(text.substring(text.length - length))) {
+        return length;
+      }
+    }
+    return 0;
+  }
+
+  function startWorker(pool) {
+    const { model } = pool;
+    const args = ['--backend', model.backend, '--model_path', model.path, ...options.workerArgs];
+    log('debug', 'Starting worker', { model: model.id });
+
+    const child = startLiteRT(options.binary, args);
+    const worker = { child, state: 'starting', requests: 0, buffer: '', stderr: '', job: null };
+    pool.workers.push(worker);
+
+    const startupTimer = setTimeout(() => {
+      if (worker.state === 'starting') {
+        worker.startupFailure = `not ready after ${options.startupTimeoutMs}ms`;
+        killProcessGroup(child);
+      }
+    }, options.startupTimeoutMs);
+
+    // Writes to a worker that just died fail with EPIPE; the exit handler deals with it
+    child.stdin.on('error', () => {});
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', (data) => {
+      worker.buffer += data;
+
+      if (worker.state === 'starting') {
+        const index = worker.buffer.indexOf(options.readyMarker);
+        if (index !== -1) {
+          clearTimeout(startupTimer);
+          worker.buffer = worker.buffer.substring(index + options.readyMarker.length);
+          worker.state = 'idle';
+          pool.everReady = true;
+          log('debug', 'Worker ready', { model: model.id });
+          dispatch(pool);
+        }
+      } else if (worker.job) {
+        handleResponseOutput(pool, worker);
+      } else {
+        // Output outside a request belongs to no one
+        worker.buffer = '';
+      }
+    });
+
+    child.stderr.on('data', (data) => {
+      if (worker.job) {
+        worker.job.stderr += data.toString();
+      } else if (worker.state === 'starting') {
+        worker.stderr += data.toString();
+      }
+    });
+
+    const onExit = (code, err) => {
+      clearTimeout(startupTimer);
+      if (worker.state === 'dead') return;
+      const previousState = worker.state;
+      worker.state = 'dead';
+      pool.workers.splice(pool.workers.indexOf(worker), 1);
+      if (pool.workers.length === 0) {
+        retiredPools.delete(pool);
+      }
+      handleExit(pool, worker, previousState, code, err);
+    };
+    child.on('close', (code) => onExit(code));
+    child.on('error', (err) => onExit(null, err));
+  }
+
+  // Pass response text to the job and finish it once the ready marker comes
+  // back with the job's request id
+  function handleResponseOutput(pool, worker) {
+    const job = worker.job;
+    const index = worker.buffer.indexOf(job.endMarker);
+
+    if (index === -1) {
+      const safeLength = worker.buffer.length - markerHoldback(worker.buffer, job.endMarker);
+      job.output(worker.buffer.substring(0, safeLength));
+      worker.buffer = worker.buffer.substring(safeLength);
+      return;
+    }
+
+    job.output(worker.buffer.substring(0, index));
+    worker.buffer = '';
+    worker.job = null;
+    worker.requests++;
+    pool.served++;
+    job.complete();
+
+    if (pool.retired && pool.waiters.length === 0) {
+      worker.state = 'retiring';
+      killProcessGroup(worker.child);
+    } else if (options.maxRequests > 0 && worker.requests >= options.maxRequests) {
+      log('debug', 'Recycling worker', { model: pool.model.id, requests: worker.requests });
+      worker.state = 'retiring';
+      pool.recycled++;
+      killProcessGroup(worker.child);
+    } else {
+      worker.state = 'idle';
+      dispatch(pool);
+    }
+  }
+
+  function handleExit(pool, worker, previousState, code, err) {
+    const { model } = pool;
+
+    if (previousState === 'starting' && !pool.everReady) {
+      // The binary never got as far as waiting for a prompt, so it has no stdin mode
+      const reason = worker.startupFailure || (err ? err.message : `exited with code ${code}`);
+      log('warn', 'Worker failed to start', { model: model.id, reason, stderr: worker.stderr });
+      pool.unsupported = reason;
+      for (const waiter of pool.waiters.splice(0)) {
+        waiter.reject(unsupportedError(model, reason));
+      }
+      return;
+    }
+
+    // A worker killed for a timeout or cancellation is replaced straight away
+    let aborted = false;
+    if (worker.job) {
+      const job = worker.job;
+      worker.job = null;
+      aborted = Boolean(job.abortError);
+      job.fail(job.abortError || exitError(code, job.stderr));
+    }
+
+    // A retired pool only keeps workers for requests still waiting on it
+    if (shuttingDown || (pool.retired && pool.waiters.length === 0)) return;
+
+    if (previousState === 'retiring' || aborted) {
+      refill(pool);
+      return;
+    }
+
+    pool.restarts++;
+    log('warn', 'Worker exited, restarting', { model: model.id, state: previousState });
+    setTimeout(() => {
+      if (!shuttingDown) refill(pool);
+    }, RESTART_DELAY_MS);
+  }
+
+  // Start workers until the model has its full complement again
+  function refill(pool) {
+    while (pool.workers.length < options.size) {
+      startWorker(pool);
+    }
+  }
+
+  // Hand idle workers to waiting requests
+  function dispatch(pool) {
+    while (pool.waiters.length > 0) {
+      const worker = pool.workers.find(w => w.state === 'idle');
+      if (!worker) return;
+      worker.state = 'busy';
+      pool.waiters.shift().resolve(worker);
+    }
+  }
+
+  function acquire(pool) {
+    return new Promise((resolve, reject) => {
+      if (pool.unsupported) {
+        return reject(unsupportedError(pool.model, pool.unsupported));
+      }
+      pool.waiters.push({ resolve, reject });
+      refill(pool);
+      dispatch(pool);
+    });
+  }
+
+  function release(pool, worker) {
+    if (pool.retired && pool.waiters.length === 0) {
+      worker.state = 'retiring';
+      killProcessGroup(worker.child);
+      return;
+    }
+    worker.state = 'idle';
+    dispatch(pool);
+  }
+
+  return {
+    /**
+     * Run a prompt on a warm worker for the model
+     * @param {Object} model - Registry entry
+     * @param {string} prompt - Rendered prompt
+     * @param {Object} runOptions
+     * @param {number} runOptions.timeout - Generation timeout in milliseconds
+     * @param {AbortSignal} [runOptions.signal] - Cancels the run (the worker is killed and replaced)
+     * @param {function(string)} [runOptions.onOutput] - Receives response output as it arrives
+     * @returns {Promise<{output: string, error: string}>}
+     */
+    async run(model, prompt, { timeout, signal, onOutput }) {
+      const pool = poolFor(model);
+      const worker = await acquire(pool);
+
+      if (signal && signal.aborted) {
+        release(pool, worker);
+        throw cancelledError();
+      }
+      if (worker.state === 'dead') {
+        throw new Error(`LiteRT worker for ${model.id} exited before it received the prompt`);
+      }
+
+      return new Promise((resolve, reject) => {
+        let output = '';
+        const requestId = crypto.randomBytes(8).toString('hex');
+        const job = {
+          endMarker: options.readyMarker + requestId,
+          stderr: '',
+          abortError: null,
+          output(text) {
+            if (text) {
+              output += text;
+              if (onOutput) onOutput(text);
+            }
+          },
+          complete() {
+            stopWatching();
+            resolve({ output, error: job.stderr });
+          },
+          fail(err) {
+            stopWatching();
+            reject(err);
+          },
+        };
+
+        const stopWatching = watchDeadline(worker.child, { timeout, signal }, (err) => {
+          job.abortError = err;
+        });
+
+        worker.job = job;
+        worker.buffer = '';
+        worker.child.stdin.write(`${requestId} ${encodePrompt(prompt)}`);
+      });
+    },
+
+    stats() {
+      const result = {};
+      for (const pool of pools.values()) {
+        result[pool.model.id] = {
+          backend: pool.model.backend,
+          workers: pool.workers.map(w => ({ state: w.state, requests: w.requests })),
+          waiting: pool.waiters.length,
+          served: pool.served,
+          restarts: pool.restarts,
+          recycled: pool.recycled,
+          unsupported: pool.unsupported,
+        };
+      }
+      return result;
+    },
+
+    /**
+     * Stop the workers of models that are gone, or whose path or backend has
+     * changed, after a reload. Idle workers stop straight away and busy ones
+     * once they have answered the requests waiting for them.
+     * @param {Object[]} models - Registry entries now in use
+     */
+    prune(models) {
+      const keep = new Set(models.map(poolKey));
+      for (const [key, pool] of pools) {
+        if (keep.has(key)) continue;
+        log('debug', 'Retiring workers', { model: pool.model.id });
+        pools.delete(key);
+        pool.retired = true;
+        if (pool.workers.length > 0) {
+          retiredPools.add(pool);
+        }
+        if (pool.waiters.length > 0) continue;
+        for (const worker of pool.workers) {
+          if (worker.state === 'idle' || worker.state === 'starting') {
+            worker.state = 'retiring';
+            killProcessGroup(worker.child);
+          }
+        }
+      }
+    },
+
+    shutdown() {
+      shuttingDown = true;
+      for (const pool of [...pools.values(), ...retiredPools]) {
+        for (const worker of pool.workers) {
+          killProcessGroup(worker.child);
+        }
+      }
+    }
+  };
+}
+
+module.exports = {
+  createWorkerPool,
+  encodePrompt
+};